@@ -0,0 +1,705 @@
+// Pure audio analysis shared by the browser player and the Node build scripts.
+// Loaded as a plain <script> (global AudioAnalysis) or via require().
+const AudioAnalysis = {
+    // Bump when the bucket math or normalization changes so old peak files are ignored
+    PEAKS_VERSION: 1,
+    WAVEFORM_RESOLUTION: 400,
+    // Voice tag defaults for preview mode, shared by the player and render-previews
+    PREVIEW_DEFAULTS: { interval: 30, gain: 0.8, bitrate: '96k' },
+    // Onset detection tuning. Times are in seconds so the detector behaves the same
+    // whether it is fed every animation frame or every FFT hop of a decoded file.
+    ONSET_DEFAULTS: {
+        fftSize: 1024,
+        lowHz: 200,           // kicks and bass live below this
+        compression: 100,     // log(1 + c * magnitude) evens out loud and quiet mixes
+        window: 1.5,          // trailing flux history the threshold adapts to
+        sensitivity: 1.5,     // standard deviations above the mean an onset must reach
+        minGap: 0.1,
+        offGridStrength: 2,   // with a known BPM, off-beat onsets must be this much stronger
+        gridTolerance: 0.12,  // in beats
+        dropWindow: 0.5,
+        dropHistory: 6,
+        dropRatio: 1.6,       // how much harder than the hits before a hit must land to count as a drop
+        dropCooldown: 8
+    },
+    // Key detection works on long frames so neighbouring semitones in the bass land in
+    // different FFT bins
+    KEY_DEFAULTS: { fftSize: 16384, minHz: 60, maxHz: 2000 },
+    // Tempo estimation. minBpm/maxBpm bound the answer, so a beat felt at half or double
+    // time outside the range is reported at the tempo inside it.
+    TEMPO_DEFAULTS: {
+        fftSize: 1024,
+        hop: 256,
+        minBpm: 70,
+        maxBpm: 200,
+        harmonics: 4,         // multiples of the beat period that must also line up
+        tolerance: 0.02       // how close to the claimed tempo (or half/double) counts as agreeing
+    },
+    KEY_NAMES: ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'],
+    // Krumhansl-Kessler probe-tone ratings, starting from the tonic
+    KEY_PROFILES: {
+        major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+        minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    },
+
+    computeWaveformBuckets(rawData, samples = AudioAnalysis.WAVEFORM_RESOLUTION) {
+        const blockSize = Math.floor(rawData.length / samples);
+        const filteredData = [];
+
+        for (let i = 0; i < samples; i++) {
+            let blockStart = blockSize * i;
+            let sum = 0;
+            let max = 0;
+            let rms = 0;
+
+            for (let j = 0; j < blockSize; j++) {
+                const sample = rawData[blockStart + j];
+                const abs = Math.abs(sample);
+                sum += abs;
+                max = Math.max(max, abs);
+                rms += sample * sample;
+            }
+
+            // Calculate various amplitude measures
+            const average = sum / blockSize;
+            const peak = max;
+            const rmsValue = Math.sqrt(rms / blockSize);
+
+            // Create more realistic waveform with better amplitude distribution
+            const combined = (average * 0.4) + (peak * 0.3) + (rmsValue * 0.3);
+
+            filteredData.push({
+                average: average,
+                peak: peak,
+                rms: rmsValue,
+                combined: combined
+            });
+        }
+
+        return AudioAnalysis.normalizeWaveform(filteredData);
+    },
+
+    normalizeWaveform(filteredData) {
+        // Advanced normalization for realistic waveforms
+        const combinedValues = filteredData.map(d => d.combined);
+        const maxCombined = Math.max(...combinedValues);
+        const avgCombined = combinedValues.reduce((a, b) => a + b, 0) / combinedValues.length;
+
+        // Use dynamic range compression to avoid empty spaces
+        const threshold = avgCombined * 0.3; // 30% of average as minimum
+        const compressionRatio = 0.7; // Compress loud parts
+
+        return filteredData.map(d => {
+            let normalized = d.combined;
+
+            // Apply threshold and compression
+            if (normalized < threshold) {
+                normalized = threshold + (normalized / threshold) * 0.2;
+            } else if (normalized > avgCombined) {
+                // Compress loud parts
+                const excess = normalized - avgCombined;
+                normalized = avgCombined + (excess * compressionRatio);
+            }
+
+            // Final normalization to 0.2-0.9 range (no silent parts)
+            const finalValue = 0.2 + (normalized / maxCombined) * 0.7;
+
+            return {
+                average: Math.min(0.85, Math.max(0.15, (d.average / maxCombined) * 0.7 + 0.15)),
+                peak: Math.min(0.9, Math.max(0.2, (d.peak / maxCombined) * 0.7 + 0.2)),
+                rms: Math.min(0.8, Math.max(0.1, (d.rms / maxCombined) * 0.7 + 0.1)),
+                combined: Math.min(0.95, Math.max(0.2, finalValue))
+            };
+        });
+    },
+
+    // Peak files store one array per measure to keep them small
+    encodePeaks(waveform, meta) {
+        const round = value => Math.round(value * 1000) / 1000;
+
+        return {
+            version: AudioAnalysis.PEAKS_VERSION,
+            resolution: waveform.length,
+            ...meta,
+            average: waveform.map(d => round(d.average)),
+            peak: waveform.map(d => round(d.peak)),
+            rms: waveform.map(d => round(d.rms)),
+            combined: waveform.map(d => round(d.combined))
+        };
+    },
+
+    decodePeaks(peaks) {
+        if (!peaks || peaks.version !== AudioAnalysis.PEAKS_VERSION || !Array.isArray(peaks.combined)) {
+            return null;
+        }
+
+        return peaks.combined.map((combined, i) => ({
+            average: peaks.average[i],
+            peak: peaks.peak[i],
+            rms: peaks.rms[i],
+            combined: combined
+        }));
+    },
+
+    // In-place radix-2 FFT; re and im must be the same power-of-two length
+    fft(re, im) {
+        const n = re.length;
+
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < size / 2; k++) {
+                    const cos = Math.cos(angle * k);
+                    const sin = Math.sin(angle * k);
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tRe = re[b] * cos - im[b] * sin;
+                    const tIm = re[b] * sin + im[b] * cos;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                }
+            }
+        }
+    },
+
+    // Hann-windowed magnitudes scaled like AnalyserNode's (|X| / N)
+    magnitudeSpectrum(frame) {
+        const n = frame.length;
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            re[i] = frame[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / n));
+        }
+
+        AudioAnalysis.fft(re, im);
+
+        const magnitudes = new Float32Array(n / 2);
+        for (let k = 0; k < n / 2; k++) {
+            magnitudes[k] = Math.hypot(re[k], im[k]) / n;
+        }
+        return magnitudes;
+    },
+
+    // Real-time kick/onset detector: spectral flux over the low bands, peak-picked
+    // against a threshold that follows the recent flux. process() takes one magnitude
+    // spectrum and the time it was taken at, and returns an onset one frame later:
+    //   { time, strength, beat, onGrid, drop }
+    // strength is flux over threshold (>= 1). With a BPM, beat is the nearest grid beat
+    // and onGrid says whether the onset landed on it. drop marks the first hit after the
+    // low end jumps well above what came before.
+    createOnsetDetector(options = {}) {
+        const settings = { ...AudioAnalysis.ONSET_DEFAULTS, ...options };
+        const bins = Math.max(2, Math.ceil(settings.lowHz / (settings.sampleRate / settings.fftSize)));
+        let grid = null;
+        let previous = null;
+        let history = [];
+        let candidate = null;
+        let lastFlux = 0;
+        let lastOnset = -Infinity;
+        let lastDrop = -Infinity;
+        let hits = [];
+
+        const mean = (items, key) => items.reduce((sum, item) => sum + item[key], 0) / items.length;
+
+        const detector = {
+            setGrid(bpm, offset = 0) {
+                grid = bpm > 0 ? { beatLength: 60 / bpm, offset } : null;
+            },
+
+            reset() {
+                previous = null;
+                history = [];
+                candidate = null;
+                lastFlux = 0;
+                lastOnset = -Infinity;
+                lastDrop = -Infinity;
+                hits = [];
+            },
+
+            process(magnitudes, time) {
+                const current = new Float32Array(bins);
+                let flux = 0;
+                let energy = 0;
+                for (let k = 0; k < bins; k++) {
+                    current[k] = Math.log1p(settings.compression * magnitudes[k]);
+                    energy += current[k];
+                    if (previous) flux += Math.max(0, current[k] - previous[k]);
+                }
+                previous = current;
+
+                // The previous frame is an onset if it topped its threshold and this frame fell back
+                let onset = null;
+                if (candidate && candidate.flux > candidate.threshold && candidate.flux >= lastFlux && flux < candidate.flux) {
+                    onset = detector.pick(candidate, Math.max(candidate.energy, energy));
+                }
+
+                history.push({ time, flux, energy });
+                const horizon = time - Math.max(settings.window, settings.dropHistory + settings.dropWindow);
+                while (history.length && history[0].time < horizon) history.shift();
+
+                const recent = history.filter(item => item.time > time - settings.window);
+                const fluxMean = mean(recent, 'flux');
+                const deviation = Math.sqrt(recent.reduce((sum, item) => sum + (item.flux - fluxMean) ** 2, 0) / recent.length);
+
+                lastFlux = candidate ? candidate.flux : 0;
+                candidate = {
+                    time,
+                    flux,
+                    energy,
+                    // A floor keeps near-silence from producing onsets out of noise
+                    threshold: Math.max(fluxMean + settings.sensitivity * deviation, 0.05 * bins)
+                };
+
+                return onset;
+            },
+
+            pick(frame, energy) {
+                if (frame.time - lastOnset < settings.minGap) return null;
+
+                const strength = frame.flux / frame.threshold;
+                let beat = null;
+                let onGrid = false;
+                if (grid) {
+                    const position = (frame.time - grid.offset) / grid.beatLength;
+                    beat = Math.round(position);
+                    onGrid = Math.abs(position - beat) <= settings.gridTolerance;
+                    if (!onGrid && strength < settings.offGridStrength) return null;
+                }
+                lastOnset = frame.time;
+
+                // Compare this hit with the hits before it, or with the level of a breakdown that had none
+                hits = hits.filter(hit => hit.time > frame.time - settings.dropHistory);
+                const reference = hits.length >= 2
+                    ? mean(hits, 'energy')
+                    : mean(history.filter(item => item.time <= frame.time - settings.dropWindow), 'energy');
+                const settled = history[0].time <= frame.time - settings.dropHistory / 2;
+                const drop = settled && frame.time - lastDrop >= settings.dropCooldown &&
+                    energy > settings.dropRatio * Math.max(reference || 0, 0.01 * bins);
+                if (drop) lastDrop = frame.time;
+                hits.push({ time: frame.time, energy });
+
+                return { time: frame.time, strength, beat, onGrid, drop };
+            }
+        };
+
+        return detector;
+    },
+
+    // Offline counterpart for decoded audio: runs the same detector over FFT frames
+    detectOnsets(samples, sampleRate, options = {}) {
+        const detector = AudioAnalysis.createOnsetDetector({ ...options, sampleRate });
+        const fftSize = options.fftSize || AudioAnalysis.ONSET_DEFAULTS.fftSize;
+        const hop = fftSize / 2;
+        const onsets = [];
+        if (options.bpm) detector.setGrid(options.bpm, options.offset);
+
+        for (let start = 0; start + fftSize <= samples.length; start += hop) {
+            const magnitudes = AudioAnalysis.magnitudeSpectrum(samples.subarray(start, start + fftSize));
+            // Time the frame by its centre, which is where a new hit first shows up in the flux
+            const onset = detector.process(magnitudes, (start + fftSize / 2) / sampleRate);
+            if (onset) onsets.push(onset);
+        }
+
+        return onsets;
+    },
+
+    // Onset strength over time: log-compressed spectral flux across the whole spectrum,
+    // less its moving average so only the jumps remain. One value per hop.
+    onsetEnvelope(samples, sampleRate, options = {}) {
+        const settings = { ...AudioAnalysis.TEMPO_DEFAULTS, ...options };
+        const frames = Math.max(0, Math.floor((samples.length - settings.fftSize) / settings.hop) + 1);
+        const flux = new Float32Array(frames);
+        let previous = null;
+
+        for (let i = 0; i < frames; i++) {
+            const start = i * settings.hop;
+            const magnitudes = AudioAnalysis.magnitudeSpectrum(samples.subarray(start, start + settings.fftSize));
+            const current = magnitudes.map(value => Math.log1p(AudioAnalysis.ONSET_DEFAULTS.compression * value));
+            if (previous) {
+                for (let k = 0; k < current.length; k++) {
+                    flux[i] += Math.max(0, current[k] - previous[k]);
+                }
+            }
+            previous = current;
+        }
+
+        // Subtract a ~0.4 s moving average so sustained loud passages don't read as onsets
+        const radius = Math.round(0.2 * sampleRate / settings.hop);
+        const envelope = new Float32Array(frames);
+        let sum = 0;
+        for (let i = 0; i < Math.min(frames, radius); i++) sum += flux[i];
+        for (let i = 0; i < frames; i++) {
+            if (i + radius < frames) sum += flux[i + radius];
+            if (i - radius - 1 >= 0) sum -= flux[i - radius - 1];
+            const count = Math.min(frames - 1, i + radius) - Math.max(0, i - radius) + 1;
+            envelope[i] = Math.max(0, flux[i] - sum / count);
+        }
+        return envelope;
+    },
+
+    // Estimates tempo by autocorrelating the onset envelope and scoring every candidate
+    // BPM (in 0.1 steps) by the autocorrelation at its beat period and the next few
+    // multiples of it. Returns { bpm, confidence } with confidence the normalised
+    // autocorrelation at the beat period (0-1), or null when nothing repeats.
+    estimateTempo(samples, sampleRate, options = {}) {
+        const settings = { ...AudioAnalysis.TEMPO_DEFAULTS, ...options };
+        const envelope = AudioAnalysis.onsetEnvelope(samples, sampleRate, settings);
+        const frameRate = sampleRate / settings.hop;
+        const maxLag = Math.min(envelope.length - 1, Math.ceil(settings.harmonics * frameRate * 60 / settings.minBpm) + 1);
+        if (maxLag < 2) return null;
+
+        // Left unnormalised, so a lag that fits fewer times in the file counts for less
+        // and the faster of two equally regular tempos wins
+        const acf = new Float64Array(maxLag + 1);
+        for (let lag = 0; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = lag; i < envelope.length; i++) sum += envelope[i] * envelope[i - lag];
+            acf[lag] = sum;
+        }
+        if (!(acf[0] > 0)) return null;
+
+        // Onsets are only a frame or two wide; smoothing keeps a beat period that falls
+        // between two lags from missing its peak
+        const smoothed = new Float64Array(maxLag + 1);
+        for (let lag = 0; lag <= maxLag; lag++) {
+            let sum = 0;
+            let weight = 0;
+            [1, 4, 6, 4, 1].forEach((w, j) => {
+                const index = lag + j - 2;
+                if (index >= 0 && index <= maxLag) {
+                    sum += w * acf[index];
+                    weight += w;
+                }
+            });
+            smoothed[lag] = sum / weight;
+        }
+
+        const at = lag => {
+            if (lag >= maxLag) return 0;
+            const index = Math.floor(lag);
+            return smoothed[index] + (smoothed[index + 1] - smoothed[index]) * (lag - index);
+        };
+
+        let best = null;
+        for (let tenths = settings.minBpm * 10; tenths <= settings.maxBpm * 10; tenths++) {
+            const period = frameRate * 600 / tenths;
+            let score = 0;
+            for (let k = 1; k <= settings.harmonics; k++) score += at(k * period);
+            if (!best || score > best.score) best = { bpm: tenths / 10, period, score };
+        }
+
+        return {
+            bpm: best.bpm,
+            confidence: Math.round(Math.max(0, Math.min(1, at(best.period) / smoothed[0])) * 100) / 100
+        };
+    },
+
+    // How an estimated tempo relates to the one a file claims: 'match', 'half-time' (the
+    // audio moves at half the claimed BPM), 'double-time', or 'mismatch'
+    compareTempo(estimated, claimed, tolerance = AudioAnalysis.TEMPO_DEFAULTS.tolerance) {
+        const ratio = estimated / claimed;
+        const near = target => Math.abs(ratio / target - 1) <= tolerance;
+
+        if (near(1)) return 'match';
+        if (near(0.5)) return 'half-time';
+        if (near(2)) return 'double-time';
+        return 'mismatch';
+    },
+
+    // How much of each pitch class a recording contains: 12 values, C first, summing to 1.
+    // Every frame counts the same however loud it is, and bins are weighted by how close
+    // they sit to an equal-tempered semitone.
+    chromagram(samples, sampleRate, options = {}) {
+        const settings = { ...AudioAnalysis.KEY_DEFAULTS, ...options };
+        const fftSize = settings.fftSize;
+        const binHz = sampleRate / fftSize;
+        const first = Math.max(1, Math.ceil(settings.minHz / binHz));
+        const last = Math.min(fftSize / 2 - 1, Math.floor(settings.maxHz / binHz));
+
+        const classes = new Int8Array(last + 1);
+        const weights = new Float32Array(last + 1);
+        for (let k = first; k <= last; k++) {
+            const midi = 69 + 12 * Math.log2((k * binHz) / 440);
+            const nearest = Math.round(midi);
+            classes[k] = ((nearest % 12) + 12) % 12;
+            weights[k] = 1 - 2 * Math.abs(midi - nearest);
+        }
+
+        const chroma = new Float64Array(12);
+        const frame = new Float64Array(12);
+        for (let start = 0; start + fftSize <= samples.length; start += fftSize / 2) {
+            const magnitudes = AudioAnalysis.magnitudeSpectrum(samples.subarray(start, start + fftSize));
+            frame.fill(0);
+            for (let k = first; k <= last; k++) {
+                frame[classes[k]] += magnitudes[k] * weights[k];
+            }
+
+            const total = frame.reduce((sum, value) => sum + value, 0);
+            // Skip silence, where the spectrum is all noise floor
+            if (total < 1e-4) continue;
+            for (let pc = 0; pc < 12; pc++) chroma[pc] += frame[pc] / total;
+        }
+
+        const total = chroma.reduce((sum, value) => sum + value, 0);
+        return Array.from(chroma, value => (total > 0 ? value / total : 0));
+    },
+
+    // Correlates a chromagram with the major and minor profile in all 12 transpositions.
+    // Returns { name, tonic, mode, confidence } for the best fit, or null for silence.
+    // confidence is that key's correlation (0-1); relative majors and minors share their
+    // notes, so a mix that sits between them scores lower than one that commits.
+    estimateKey(chroma) {
+        if (!chroma.some(value => value > 0)) return null;
+
+        const correlate = (a, b) => {
+            const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+            const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+            let covariance = 0;
+            let varianceA = 0;
+            let varianceB = 0;
+            for (let i = 0; i < a.length; i++) {
+                covariance += (a[i] - meanA) * (b[i] - meanB);
+                varianceA += (a[i] - meanA) ** 2;
+                varianceB += (b[i] - meanB) ** 2;
+            }
+            return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+        };
+
+        let best = null;
+        for (const mode of ['major', 'minor']) {
+            const profile = AudioAnalysis.KEY_PROFILES[mode];
+            for (let tonic = 0; tonic < 12; tonic++) {
+                // Rotate the chromagram so the candidate tonic comes first, like the profile
+                const rotated = Array.from({ length: 12 }, (_, pc) => chroma[(pc + tonic) % 12]);
+                const score = correlate(rotated, profile);
+                if (!best || score > best.score) best = { tonic, mode, score };
+            }
+        }
+
+        return {
+            name: `${AudioAnalysis.KEY_NAMES[best.tonic]} ${best.mode}`,
+            tonic: AudioAnalysis.KEY_NAMES[best.tonic],
+            mode: best.mode,
+            confidence: Math.round(Math.max(0, best.score) * 100) / 100
+        };
+    },
+
+    detectKey(samples, sampleRate, options = {}) {
+        return AudioAnalysis.estimateKey(AudioAnalysis.chromagram(samples, sampleRate, options));
+    },
+
+    // Length in bytes of the ID3v2 tag at the start of a file, header and footer included,
+    // or 0 without one. Only the first ID3_HEADER_SIZE bytes are needed.
+    ID3_HEADER_SIZE: 10,
+
+    id3TagLength(bytes) {
+        if (bytes.length < AudioAnalysis.ID3_HEADER_SIZE ||
+            bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33 ||
+            bytes[3] < 2 || bytes[3] > 4) {
+            return 0;
+        }
+
+        const footer = bytes[3] === 4 && (bytes[5] & 0x10) ? 10 : 0;
+        return AudioAnalysis.ID3_HEADER_SIZE + AudioAnalysis.syncsafe(bytes, 6) + footer;
+    },
+
+    // Reads an ID3v2.2-2.4 tag into { title, artist, album, bpm, key, picture }, with null
+    // for anything the tag doesn't have; picture is { mime, type, description, data },
+    // preferring the front cover. bytes may stop part-way through the tag: frames that
+    // are cut off are skipped, which is how callers read the text without the artwork.
+    // Returns null when there is no tag.
+    parseId3(bytes) {
+        const length = AudioAnalysis.id3TagLength(bytes);
+        if (!length) return null;
+
+        const version = bytes[3];
+        const flags = bytes[5];
+        let body = bytes.subarray(AudioAnalysis.ID3_HEADER_SIZE, Math.min(bytes.length, length));
+        // Before 2.4, unsynchronisation applies to the whole tag
+        if (version < 4 && (flags & 0x80)) body = AudioAnalysis.resynchronise(body);
+
+        let offset = 0;
+        if (version > 2 && (flags & 0x40)) {
+            // 2.4 counts the extended header's size field in its size; 2.3 doesn't
+            offset = version === 4 ? AudioAnalysis.syncsafe(body, 0) : AudioAnalysis.uint32(body, 0) + 4;
+        }
+
+        const ids = version === 2
+            ? { TT2: 'title', TP1: 'artist', TAL: 'album', TBP: 'bpm', TKE: 'key', PIC: 'picture' }
+            : { TIT2: 'title', TPE1: 'artist', TALB: 'album', TBPM: 'bpm', TKEY: 'key', APIC: 'picture' };
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+        const tags = { title: null, artist: null, album: null, bpm: null, key: null, picture: null };
+
+        while (offset + headerLength <= body.length) {
+            // Padding, or the end of the frames
+            if (body[offset] === 0) break;
+
+            const id = String.fromCharCode(...body.subarray(offset, offset + idLength));
+            const size = version === 2 ? (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5]
+                : version === 4 ? AudioAnalysis.syncsafe(body, offset + 4)
+                    : AudioAnalysis.uint32(body, offset + 4);
+            const start = offset + headerLength;
+            if (start + size > body.length) break;
+
+            let data = body.subarray(start, start + size);
+            const format = version === 2 ? 0 : body[offset + 9];
+            offset = start + size;
+
+            const field = ids[id];
+            if (!field) continue;
+
+            if (version === 3) {
+                // Compressed or encrypted frames can't be read without more machinery
+                if (format & 0xc0) continue;
+                if (format & 0x20) data = data.subarray(1);
+            } else if (version === 4) {
+                if (format & 0x0c) continue;
+                if (format & 0x40) data = data.subarray(1);
+                if (format & 0x01) data = data.subarray(4);
+                if (format & 0x02) data = AudioAnalysis.resynchronise(data);
+            }
+
+            if (field === 'picture') {
+                const picture = AudioAnalysis.readId3Picture(data, version);
+                if (picture && (!tags.picture || (picture.type === 3 && tags.picture.type !== 3))) {
+                    tags.picture = picture;
+                }
+            } else if (data.length > 1 && tags[field] === null) {
+                // 2.4 separates several values with nulls
+                const text = AudioAnalysis.decodeId3Text(data.subarray(1), data[0])
+                    .split('\u0000').map(value => value.trim()).filter(Boolean).join(', ');
+                if (text) tags[field] = text;
+            }
+        }
+
+        if (tags.bpm !== null) {
+            const bpm = parseFloat(tags.bpm);
+            tags.bpm = bpm > 0 ? bpm : null;
+        }
+        return tags;
+    },
+
+    readId3Picture(data, version) {
+        const encoding = data[0];
+        let offset = 1;
+        let mime;
+        if (version === 2) {
+            const format = String.fromCharCode(...data.subarray(1, 4)).toUpperCase();
+            mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+            offset = 4;
+        } else {
+            const end = data.indexOf(0, offset);
+            if (end === -1) return null;
+            mime = String.fromCharCode(...data.subarray(offset, end)).toLowerCase() || 'image/jpeg';
+            // Some taggers write just "jpg" or "png"
+            if (!mime.includes('/')) mime = `image/${mime === 'jpg' ? 'jpeg' : mime}`;
+            offset = end + 1;
+        }
+
+        const type = data[offset];
+        const end = AudioAnalysis.id3TextEnd(data, offset + 1, encoding);
+        if (end === -1) return null;
+
+        const width = encoding === 1 || encoding === 2 ? 2 : 1;
+        return {
+            mime,
+            type,
+            description: AudioAnalysis.decodeId3Text(data.subarray(offset + 1, end), encoding),
+            data: data.subarray(end + width)
+        };
+    },
+
+    // Index of the null terminator of a string in the given text encoding, or -1
+    id3TextEnd(data, start, encoding) {
+        if (encoding !== 1 && encoding !== 2) return data.indexOf(0, start);
+
+        for (let i = start; i + 1 < data.length; i += 2) {
+            if (data[i] === 0 && data[i + 1] === 0) return i;
+        }
+        return -1;
+    },
+
+    // Encodings 0-3: ISO-8859-1, UTF-16 with a byte order mark, UTF-16BE, UTF-8
+    decodeId3Text(data, encoding) {
+        if (encoding === 3) return new TextDecoder('utf-8').decode(data);
+        if (encoding !== 1 && encoding !== 2) return String.fromCharCode(...data);
+
+        let littleEndian = false;
+        let start = 0;
+        if (data[0] === 0xff && data[1] === 0xfe) {
+            littleEndian = true;
+            start = 2;
+        } else if (data[0] === 0xfe && data[1] === 0xff) {
+            start = 2;
+        }
+
+        const units = [];
+        for (let i = start; i + 1 < data.length; i += 2) {
+            units.push(littleEndian ? data[i] | (data[i + 1] << 8) : (data[i] << 8) | data[i + 1]);
+        }
+        // Each string in a multi-value frame carries its own byte order mark
+        return String.fromCharCode(...units).replace(/\ufeff/g, '');
+    },
+
+    // Undoes unsynchronisation: every 0xFF 0x00 pair was written for a lone 0xFF
+    resynchronise(data) {
+        const output = new Uint8Array(data.length);
+        let length = 0;
+        for (let i = 0; i < data.length; i++) {
+            output[length++] = data[i];
+            if (data[i] === 0xff && data[i + 1] === 0x00) i++;
+        }
+        return output.subarray(0, length);
+    },
+
+    syncsafe(bytes, offset) {
+        return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+            ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+    },
+
+    uint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    },
+
+    // "coconut water 140BPM Girmai Fleur Delis .mp3" -> 140, and "bpm 92" or "BPM_92"
+    // with the number after. Numbers that aren't next to "bpm" (years, track numbers)
+    // and ones inside longer numbers are ignored.
+    parseBpmFromFilename(name) {
+        const match = /(?<!\d)(\d{2,3}(?:\.\d+)?)[\s_-]*bpm|bpm[\s_-]*(\d{2,3}(?:\.\d+)?)(?!\.?\d)/i.exec(name);
+        if (!match) return null;
+
+        const bpm = parseFloat(match[1] || match[2]);
+        return bpm >= 40 && bpm <= 300 ? bpm : null;
+    },
+
+    peaksUrlFor(src) {
+        const slash = src.lastIndexOf('/');
+        const dir = src.slice(0, slash + 1);
+        const file = src.slice(slash + 1).replace(/\.[^.]+$/, '');
+        return `${dir}peaks/${file}.json`;
+    },
+
+    previewUrlFor(src) {
+        const slash = src.lastIndexOf('/');
+        const dir = src.slice(0, slash + 1);
+        const file = src.slice(slash + 1).replace(/\.[^.]+$/, '');
+        return `${dir}previews/${file}.mp3`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioAnalysis;
+}
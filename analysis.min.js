@@ -0,0 +1 @@
+const AudioAnalysis={PEAKS_VERSION:1,WAVEFORM_RESOLUTION:400,PREVIEW_DEFAULTS:{interval:30,gain:.8,bitrate:"96k"},ONSET_DEFAULTS:{fftSize:1024,lowHz:200,compression:100,window:1.5,sensitivity:1.5,minGap:.1,offGridStrength:2,gridTolerance:.12,dropWindow:.5,dropHistory:6,dropRatio:1.6,dropCooldown:8},KEY_DEFAULTS:{fftSize:16384,minHz:60,maxHz:2e3},TEMPO_DEFAULTS:{fftSize:1024,hop:256,minBpm:70,maxBpm:200,harmonics:4,tolerance:.02},KEY_NAMES:["C","C#","D","Eb","E","F","F#","G","Ab","A","Bb","B"],KEY_PROFILES:{major:[6.35,2.23,3.48,2.33,4.38,4.09,2.52,5.19,2.39,3.66,2.29,2.88],minor:[6.33,2.68,3.52,5.38,2.6,3.53,2.54,4.75,3.98,2.69,3.34,3.17]},computeWaveformBuckets(e,t=AudioAnalysis.WAVEFORM_RESOLUTION){const r=Math.floor(e.length/t),n=[];for(let o=0;o<t;o++){let t=r*o,a=0,i=0,s=0;for(let n=0;n<r;n++){const r=e[t+n],o=Math.abs(r);a+=o,i=Math.max(i,o),s+=r*r}const l=a/r,u=i,m=Math.sqrt(s/r),c=.4*l+.3*u+.3*m;n.push({average:l,peak:u,rms:m,combined:c})}return AudioAnalysis.normalizeWaveform(n)},normalizeWaveform(e){const t=e.map(e=>e.combined),r=Math.max(...t),n=t.reduce((e,t)=>e+t,0)/t.length,o=.3*n;return e.map(e=>{let t=e.combined;if(t<o)t=o+t/o*.2;else if(t>n){t=n+.7*(t-n)}const a=.2+t/r*.7;return{average:Math.min(.85,Math.max(.15,e.average/r*.7+.15)),peak:Math.min(.9,Math.max(.2,e.peak/r*.7+.2)),rms:Math.min(.8,Math.max(.1,e.rms/r*.7+.1)),combined:Math.min(.95,Math.max(.2,a))}})},encodePeaks(e,t){const r=e=>Math.round(1e3*e)/1e3;return{version:AudioAnalysis.PEAKS_VERSION,resolution:e.length,...t,average:e.map(e=>r(e.average)),peak:e.map(e=>r(e.peak)),rms:e.map(e=>r(e.rms)),combined:e.map(e=>r(e.combined))}},decodePeaks:e=>e&&e.version===AudioAnalysis.PEAKS_VERSION&&Array.isArray(e.combined)?e.combined.map((t,r)=>({average:e.average[r],peak:e.peak[r],rms:e.rms[r],combined:t})):null,fft(e,t){const r=e.length;for(let n=1,o=0;n<r;n++){let a=r>>1;for(;o&a;a>>=1)o^=a;o^=a,n<o&&([e[n],e[o]]=[e[o],e[n]],[t[n],t[o]]=[t[o],t[n]])}for(let n=2;n<=r;n<<=1){const o=-2*Math.PI/n;for(let a=0;a<r;a+=n)for(let r=0;r<n/2;r++){const i=Math.cos(o*r),s=Math.sin(o*r),l=a+r,u=l+n/2,m=e[u]*i-t[u]*s,c=e[u]*s+t[u]*i;e[u]=e[l]-m,t[u]=t[l]-c,e[l]+=m,t[l]+=c}}},magnitudeSpectrum(e){const t=e.length,r=new Float64Array(t),n=new Float64Array(t);for(let n=0;n<t;n++)r[n]=e[n]*(.5-.5*Math.cos(2*Math.PI*n/t));AudioAnalysis.fft(r,n);const o=new Float32Array(t/2);for(let e=0;e<t/2;e++)o[e]=Math.hypot(r[e],n[e])/t;return o},createOnsetDetector(e={}){const t={...AudioAnalysis.ONSET_DEFAULTS,...e},r=Math.max(2,Math.ceil(t.lowHz/(t.sampleRate/t.fftSize)));let n=null,o=null,a=[],i=null,s=0,l=-1/0,u=-1/0,m=[];const c=(e,t)=>e.reduce((e,r)=>e+r[t],0)/e.length,d={setGrid(e,t=0){n=e>0?{beatLength:60/e,offset:t}:null},reset(){o=null,a=[],i=null,s=0,l=-1/0,u=-1/0,m=[]},process(e,n){const l=new Float32Array(r);let u=0,m=0;for(let n=0;n<r;n++)l[n]=Math.log1p(t.compression*e[n]),m+=l[n],o&&(u+=Math.max(0,l[n]-o[n]));o=l;let f=null;i&&i.flux>i.threshold&&i.flux>=s&&u<i.flux&&(f=d.pick(i,Math.max(i.energy,m))),a.push({time:n,flux:u,energy:m});const h=n-Math.max(t.window,t.dropHistory+t.dropWindow);for(;a.length&&a[0].time<h;)a.shift();const A=a.filter(e=>e.time>n-t.window),p=c(A,"flux"),y=Math.sqrt(A.reduce((e,t)=>e+(t.flux-p)**2,0)/A.length);return s=i?i.flux:0,i={time:n,flux:u,energy:m,threshold:Math.max(p+t.sensitivity*y,.05*r)},f},pick(e,o){if(e.time-l<t.minGap)return null;const i=e.flux/e.threshold;let s=null,d=!1;if(n){const r=(e.time-n.offset)/n.beatLength;if(s=Math.round(r),d=Math.abs(r-s)<=t.gridTolerance,!d&&i<t.offGridStrength)return null}l=e.time,m=m.filter(r=>r.time>e.time-t.dropHistory);const f=m.length>=2?c(m,"energy"):c(a.filter(r=>r.time<=e.time-t.dropWindow),"energy"),h=a[0].time<=e.time-t.dropHistory/2&&e.time-u>=t.dropCooldown&&o>t.dropRatio*Math.max(f||0,.01*r);return h&&(u=e.time),m.push({time:e.time,energy:o}),{time:e.time,strength:i,beat:s,onGrid:d,drop:h}}};return d},detectOnsets(e,t,r={}){const n=AudioAnalysis.createOnsetDetector({...r,sampleRate:t}),o=r.fftSize||AudioAnalysis.ONSET_DEFAULTS.fftSize,a=o/2,i=[];r.bpm&&n.setGrid(r.bpm,r.offset);for(let r=0;r+o<=e.length;r+=a){const a=AudioAnalysis.magnitudeSpectrum(e.subarray(r,r+o)),s=n.process(a,(r+o/2)/t);s&&i.push(s)}return i},onsetEnvelope(e,t,r={}){const n={...AudioAnalysis.TEMPO_DEFAULTS,...r},o=Math.max(0,Math.floor((e.length-n.fftSize)/n.hop)+1),a=new Float32Array(o);let i=null;for(let t=0;t<o;t++){const r=t*n.hop,o=AudioAnalysis.magnitudeSpectrum(e.subarray(r,r+n.fftSize)).map(e=>Math.log1p(AudioAnalysis.ONSET_DEFAULTS.compression*e));if(i)for(let e=0;e<o.length;e++)a[t]+=Math.max(0,o[e]-i[e]);i=o}const s=Math.round(.2*t/n.hop),l=new Float32Array(o);let u=0;for(let e=0;e<Math.min(o,s);e++)u+=a[e];for(let e=0;e<o;e++){e+s<o&&(u+=a[e+s]),e-s-1>=0&&(u-=a[e-s-1]);const t=Math.min(o-1,e+s)-Math.max(0,e-s)+1;l[e]=Math.max(0,a[e]-u/t)}return l},estimateTempo(e,t,r={}){const n={...AudioAnalysis.TEMPO_DEFAULTS,...r},o=AudioAnalysis.onsetEnvelope(e,t,n),a=t/n.hop,i=Math.min(o.length-1,Math.ceil(n.harmonics*a*60/n.minBpm)+1);if(i<2)return null;const s=new Float64Array(i+1);for(let e=0;e<=i;e++){let t=0;for(let r=e;r<o.length;r++)t+=o[r]*o[r-e];s[e]=t}if(!(s[0]>0))return null;const l=new Float64Array(i+1);for(let e=0;e<=i;e++){let t=0,r=0;[1,4,6,4,1].forEach((n,o)=>{const a=e+o-2;a>=0&&a<=i&&(t+=n*s[a],r+=n)}),l[e]=t/r}const u=e=>{if(e>=i)return 0;const t=Math.floor(e);return l[t]+(l[t+1]-l[t])*(e-t)};let m=null;for(let e=10*n.minBpm;e<=10*n.maxBpm;e++){const t=600*a/e;let r=0;for(let e=1;e<=n.harmonics;e++)r+=u(e*t);(!m||r>m.score)&&(m={bpm:e/10,period:t,score:r})}return{bpm:m.bpm,confidence:Math.round(100*Math.max(0,Math.min(1,u(m.period)/l[0])))/100}},compareTempo(e,t,r=AudioAnalysis.TEMPO_DEFAULTS.tolerance){const n=e/t,o=e=>Math.abs(n/e-1)<=r;return o(1)?"match":o(.5)?"half-time":o(2)?"double-time":"mismatch"},chromagram(e,t,r={}){const n={...AudioAnalysis.KEY_DEFAULTS,...r},o=n.fftSize,a=t/o,i=Math.max(1,Math.ceil(n.minHz/a)),s=Math.min(o/2-1,Math.floor(n.maxHz/a)),l=new Int8Array(s+1),u=new Float32Array(s+1);for(let e=i;e<=s;e++){const t=69+12*Math.log2(e*a/440),r=Math.round(t);l[e]=(r%12+12)%12,u[e]=1-2*Math.abs(t-r)}const m=new Float64Array(12),c=new Float64Array(12);for(let t=0;t+o<=e.length;t+=o/2){const r=AudioAnalysis.magnitudeSpectrum(e.subarray(t,t+o));c.fill(0);for(let e=i;e<=s;e++)c[l[e]]+=r[e]*u[e];const n=c.reduce((e,t)=>e+t,0);if(!(n<1e-4))for(let e=0;e<12;e++)m[e]+=c[e]/n}const d=m.reduce((e,t)=>e+t,0);return Array.from(m,e=>d>0?e/d:0)},estimateKey(e){if(!e.some(e=>e>0))return null;const t=(e,t)=>{const r=e.reduce((e,t)=>e+t,0)/e.length,n=t.reduce((e,t)=>e+t,0)/t.length;let o=0,a=0,i=0;for(let s=0;s<e.length;s++)o+=(e[s]-r)*(t[s]-n),a+=(e[s]-r)**2,i+=(t[s]-n)**2;return a&&i?o/Math.sqrt(a*i):0};let r=null;for(const n of["major","minor"]){const o=AudioAnalysis.KEY_PROFILES[n];for(let a=0;a<12;a++){const i=t(Array.from({length:12},(t,r)=>e[(r+a)%12]),o);(!r||i>r.score)&&(r={tonic:a,mode:n,score:i})}}return{name:`${AudioAnalysis.KEY_NAMES[r.tonic]} ${r.mode}`,tonic:AudioAnalysis.KEY_NAMES[r.tonic],mode:r.mode,confidence:Math.round(100*Math.max(0,r.score))/100}},detectKey:(e,t,r={})=>AudioAnalysis.estimateKey(AudioAnalysis.chromagram(e,t,r)),ID3_HEADER_SIZE:10,id3TagLength(e){if(e.length<AudioAnalysis.ID3_HEADER_SIZE||73!==e[0]||68!==e[1]||51!==e[2]||e[3]<2||e[3]>4)return 0;const t=4===e[3]&&16&e[5]?10:0;return AudioAnalysis.ID3_HEADER_SIZE+AudioAnalysis.syncsafe(e,6)+t},parseId3(e){const t=AudioAnalysis.id3TagLength(e);if(!t)return null;const r=e[3],n=e[5];let o=e.subarray(AudioAnalysis.ID3_HEADER_SIZE,Math.min(e.length,t));r<4&&128&n&&(o=AudioAnalysis.resynchronise(o));let a=0;r>2&&64&n&&(a=4===r?AudioAnalysis.syncsafe(o,0):AudioAnalysis.uint32(o,0)+4);const i=2===r?{TT2:"title",TP1:"artist",TAL:"album",TBP:"bpm",TKE:"key",PIC:"picture"}:{TIT2:"title",TPE1:"artist",TALB:"album",TBPM:"bpm",TKEY:"key",APIC:"picture"},s=2===r?3:4,l=2===r?6:10,u={title:null,artist:null,album:null,bpm:null,key:null,picture:null};for(;a+l<=o.length&&0!==o[a];){const e=String.fromCharCode(...o.subarray(a,a+s)),t=2===r?o[a+3]<<16|o[a+4]<<8|o[a+5]:4===r?AudioAnalysis.syncsafe(o,a+4):AudioAnalysis.uint32(o,a+4),n=a+l;if(n+t>o.length)break;let m=o.subarray(n,n+t);const c=2===r?0:o[a+9];a=n+t;const d=i[e];if(d){if(3===r){if(192&c)continue;32&c&&(m=m.subarray(1))}else if(4===r){if(12&c)continue;64&c&&(m=m.subarray(1)),1&c&&(m=m.subarray(4)),2&c&&(m=AudioAnalysis.resynchronise(m))}if("picture"===d){const e=AudioAnalysis.readId3Picture(m,r);e&&(!u.picture||3===e.type&&3!==u.picture.type)&&(u.picture=e)}else if(m.length>1&&null===u[d]){const e=AudioAnalysis.decodeId3Text(m.subarray(1),m[0]).split("\0").map(e=>e.trim()).filter(Boolean).join(", ");e&&(u[d]=e)}}}if(null!==u.bpm){const e=parseFloat(u.bpm);u.bpm=e>0?e:null}return u},readId3Picture(e,t){const r=e[0];let n,o=1;if(2===t){n="PNG"===String.fromCharCode(...e.subarray(1,4)).toUpperCase()?"image/png":"image/jpeg",o=4}else{const t=e.indexOf(0,o);if(-1===t)return null;n=String.fromCharCode(...e.subarray(o,t)).toLowerCase()||"image/jpeg",n.includes("/")||(n=`image/${"jpg"===n?"jpeg":n}`),o=t+1}const a=e[o],i=AudioAnalysis.id3TextEnd(e,o+1,r);if(-1===i)return null;const s=1===r||2===r?2:1;return{mime:n,type:a,description:AudioAnalysis.decodeId3Text(e.subarray(o+1,i),r),data:e.subarray(i+s)}},id3TextEnd(e,t,r){if(1!==r&&2!==r)return e.indexOf(0,t);for(let r=t;r+1<e.length;r+=2)if(0===e[r]&&0===e[r+1])return r;return-1},decodeId3Text(e,t){if(3===t)return new TextDecoder("utf-8").decode(e);if(1!==t&&2!==t)return String.fromCharCode(...e);let r=!1,n=0;255===e[0]&&254===e[1]?(r=!0,n=2):254===e[0]&&255===e[1]&&(n=2);const o=[];for(let t=n;t+1<e.length;t+=2)o.push(r?e[t]|e[t+1]<<8:e[t]<<8|e[t+1]);return String.fromCharCode(...o).replace(/\ufeff/g,"")},resynchronise(e){const t=new Uint8Array(e.length);let r=0;for(let n=0;n<e.length;n++)t[r++]=e[n],255===e[n]&&0===e[n+1]&&n++;return t.subarray(0,r)},syncsafe:(e,t)=>(127&e[t])<<21|(127&e[t+1])<<14|(127&e[t+2])<<7|127&e[t+3],uint32:(e,t)=>(e[t]<<24|e[t+1]<<16|e[t+2]<<8|e[t+3])>>>0,parseBpmFromFilename(e){const t=/(?<!\d)(\d{2,3}(?:\.\d+)?)[\s_-]*bpm|bpm[\s_-]*(\d{2,3}(?:\.\d+)?)(?!\.?\d)/i.exec(e);if(!t)return null;const r=parseFloat(t[1]||t[2]);return r>=40&&r<=300?r:null},peaksUrlFor(e){const t=e.lastIndexOf("/");return`${e.slice(0,t+1)}peaks/${e.slice(t+1).replace(/\.[^.]+$/,"")}.json`},previewUrlFor(e){const t=e.lastIndexOf("/");return`${e.slice(0,t+1)}previews/${e.slice(t+1).replace(/\.[^.]+$/,"")}.mp3`}};"undefined"!=typeof module&&module.exports&&(module.exports=AudioAnalysis);
\ No newline at end of file
@@ -0,0 +1,74 @@
+// AudioWorklet that shifts pitch without touching tempo. Two read heads sweep a
+// short delay line at the pitch ratio and crossfade so the wrap points don't click.
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.5, maxValue: 2, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        this.windowSize = Math.round(sampleRate * 0.05);
+        this.bufferSize = this.windowSize * 2;
+        this.buffers = [];
+        this.writeIndex = 0;
+        this.phase = 0;
+    }
+
+    read(buffer, delay) {
+        let position = this.writeIndex - delay;
+        if (position < 0) position += this.bufferSize;
+
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const next = (index + 1) % this.bufferSize;
+        return buffer[index] + (buffer[next] - buffer[index]) * fraction;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+
+        if (!input.length) return true;
+
+        while (this.buffers.length < input.length) {
+            this.buffers.push(new Float32Array(this.bufferSize));
+        }
+
+        const frames = input[0].length;
+        const step = (1 - ratio) / this.windowSize;
+        const startIndex = this.writeIndex;
+        const startPhase = this.phase;
+
+        for (let channel = 0; channel < output.length; channel++) {
+            const source = input[Math.min(channel, input.length - 1)];
+            const target = output[channel];
+            const buffer = this.buffers[Math.min(channel, input.length - 1)];
+
+            this.writeIndex = startIndex;
+            this.phase = startPhase;
+
+            for (let i = 0; i < frames; i++) {
+                buffer[this.writeIndex] = source[i];
+
+                if (ratio === 1) {
+                    target[i] = source[i];
+                } else {
+                    const phaseB = (this.phase + 0.5) % 1;
+                    const a = this.read(buffer, this.phase * this.windowSize);
+                    const b = this.read(buffer, phaseB * this.windowSize);
+
+                    // Equal-power window: each head fades out as it reaches a wrap point
+                    target[i] = a * Math.sin(Math.PI * this.phase) + b * Math.sin(Math.PI * phaseB);
+                }
+
+                this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
+                this.phase = (this.phase + step + 1) % 1;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
@@ -1,17 +1,51 @@
+// Events AudioPlayer.on() accepts. Every payload carries the track element involved.
+//   trackchange { track, previous }  track is null once playback stops
+//   play        { track, time, resumed, deepLinked }
+//   pause       { track, time }
+//   seek        { track, time }
+//   progress    { track, time, duration }
+//   stop        { track, time }
+//   ended       { track }
+//   amplitude   { track, level, source }  level 0-1; source is 'waveform' or 'analyser'
+//   beat        { track, time, strength, beat, onGrid }  a detected kick; see createOnsetDetector
+//   drop        { track, time, strength }  a hit well above the ones before it
+const PLAYER_EVENTS = new Set(['trackchange', 'play', 'pause', 'seek', 'progress', 'stop', 'ended', 'amplitude', 'beat', 'drop']);
+
 class AudioPlayer {
     constructor() {
         this.currentAudio = null;
         this.currentTrack = null;
         this.audioContext = null;
-        this.analyser = null;
-        this.dataArray = null;
-        this.animationId = null;
+        this.engine = null;
+        this.effects = new EffectsQuality(document.querySelector('.motion-toggle'));
+        this.frames = new FrameLoop(this.effects);
+        this.stopVisualization = null;
         this.waveformData = new Map();
         this.trackColors = new Map();
-        this.isDragging = false;
-        this.rainEffect = new RainEffect();
-        this.lightningEffect = new LightningEffect();
-        this.realtimeAnalysers = new Map();
+        this.catalog = new Map();
+        this.tags = new TagReader();
+        this.durations = new Map();
+        this.beatsPerBar = 4;
+        this.gridSettings = this.readGridSettings();
+        this.loops = new LoopStore();
+        this.crossfade = this.readCrossfade();
+        this.listeners = new Map();
+        this.plugins = new Map();
+        this.reportedTrack = null;
+        this.onsetDetector = null;
+        this.transition = null;
+        this.loopDrag = null;
+        this.mediaSession = new MediaSessionController({
+            play: () => (this.currentAudio ? this.resumeTrack() : this.playNext()),
+            pause: () => this.pauseTrack(),
+            seekTo: (time) => this.seekTo(time),
+            seekBy: (offset) => this.currentAudio && this.seekTo(this.currentAudio.currentTime + offset),
+            next: () => this.playNext(),
+            previous: () => this.playPrevious()
+        });
+
+        this.registerPlugin(new RainEffect());
+        this.registerPlugin(new LightningEffect());
 
         this.init();
     }
@@ -23,717 +57,4784 @@ class AudioPlayer {
             console.warn('Web Audio API not supported');
         }
 
+        this.engine = new PlaybackEngine(this.audioContext);
+        this.metronome = new Metronome(this.audioContext, this.engine.master, () => {
+            const grid = this.beatGrid(this.currentTrack);
+            return grid && this.currentAudio ? { audio: this.currentAudio, grid, beatsPerBar: this.beatsPerBar } : null;
+        });
+        if (this.engine.onsetAnalyser) {
+            this.onsetDetector = AudioAnalysis.createOnsetDetector({
+                sampleRate: this.audioContext.sampleRate,
+                fftSize: this.engine.onsetAnalyser.fftSize
+            });
+            this.onsetMagnitudes = new Float32Array(this.engine.onsetAnalyser.frequencyBinCount);
+        }
+        this.voiceTag = new VoiceTag(this.audioContext, this.engine.master);
+        this.visualizer = new ReactiveVisualizer(this, this.engine.analyser, document.querySelector('.tempo-controls'));
+        this.setupEngineEvents();
+        window.addEventListener('pagehide', (e) => {
+            if (!e.persisted) this.destroy();
+        });
+
+        await this.loadCatalog();
         this.setupEventListeners();
         this.generateTrackColors();
+        this.setupFilter();
+        this.setupQueue();
+        this.setupTempo();
+        this.setupInquiry();
+        this.setupOffline();
+        this.setupLibrary();
+        this.setupDeepLinks();
         await this.preloadWaveforms();
     }
 
-    generateTrackColors() {
-        const colors = [
-            '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
-            '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9',
-            '#FFFF00', '#ADFF2F', '#00FF00', '#FFD700', '#FFA500',
-            '#E6E6FA', '#DA70D6', '#BA55D3', '#9370DB',
-            '#FF69B4', '#FF1493', '#DC143C', '#B22222', '#8B0000',
-            '#00CED1', '#40E0D0', '#48D1CC', '#00FFFF', '#7FFFD4',
-            '#98FB98', '#90EE90', '#32CD32', '#228B22', '#006400'
-        ];
-
-        const usedColors = new Set();
-        const tracks = document.querySelectorAll('.track');
+    // Features that react to playback subscribe here instead of living in toggleTrack.
+    // See PLAYER_EVENTS for the event names and payloads. Returns an unsubscribe function.
+    on(type, handler) {
+        if (!PLAYER_EVENTS.has(type)) {
+            throw new TypeError(`Unknown player event "${type}"`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.listeners.get(type).delete(handler);
+    }
 
-        tracks.forEach((track, index) => {
-            const src = track.dataset.src;
-            let selectedColor;
+    emit(type, detail) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
 
-            // Ensure no duplicate colors by cycling through available colors
-            if (index < colors.length) {
-                selectedColor = colors[index];
-            } else {
-                // If more tracks than colors, start reusing but with some spacing
-                selectedColor = colors[index % colors.length];
+        handlers.forEach(handler => {
+            // One broken subscriber shouldn't stop playback
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
             }
-
-            this.trackColors.set(src, selectedColor);
         });
     }
 
-    setupEventListeners() {
-        document.querySelectorAll('.track').forEach(track => {
-            const playButton = track.querySelector('.play-button');
-            const canvas = track.querySelector('.waveform');
+    // A plugin is an object with a unique name and an install(player) method. install
+    // subscribes with player.on() and may return a function that undoes it.
+    registerPlugin(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.install !== 'function') {
+            throw new TypeError('A plugin needs a name and an install(player) method');
+        }
+        if (this.plugins.has(plugin.name)) {
+            throw new Error(`Plugin "${plugin.name}" is already registered`);
+        }
 
-            playButton.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleTrack(track);
-            });
+        const cleanup = plugin.install(this);
+        this.plugins.set(plugin.name, { plugin, cleanup: typeof cleanup === 'function' ? cleanup : null });
+        return () => this.unregisterPlugin(plugin.name);
+    }
 
-            // Add scrubbing functionality
-            canvas.addEventListener('click', (e) => {
-                if (this.currentTrack === track && this.currentAudio) {
-                    const rect = canvas.getBoundingClientRect();
-                    const x = e.clientX - rect.left;
-                    const progress = x / rect.width;
-                    const newTime = progress * this.currentAudio.duration;
-                    this.currentAudio.currentTime = newTime;
-                }
-            });
+    unregisterPlugin(name) {
+        const entry = this.plugins.get(name);
+        if (!entry) return false;
 
-            // Mouse events
-            canvas.addEventListener('mousedown', (e) => {
-                if (this.currentTrack === track && this.currentAudio) {
-                    this.isDragging = true;
-                    this.handleScrub(e, canvas);
-                }
-            });
+        this.plugins.delete(name);
+        if (entry.cleanup) {
+            try {
+                entry.cleanup();
+            } catch (error) {
+                console.error(`Error removing plugin ${name}:`, error);
+            }
+        }
+        return true;
+    }
 
-            canvas.addEventListener('mousemove', (e) => {
-                if (this.isDragging && this.currentTrack === track && this.currentAudio) {
-                    this.handleScrub(e, canvas);
-                }
-            });
+    plugin(name) {
+        const entry = this.plugins.get(name);
+        return entry ? entry.plugin : null;
+    }
 
-            canvas.addEventListener('mouseup', () => {
-                this.isDragging = false;
-            });
+    notifyTrackChange(track) {
+        if (track === this.reportedTrack) return;
 
-            canvas.addEventListener('mouseleave', () => {
-                this.isDragging = false;
-            });
+        const previous = this.reportedTrack;
+        this.reportedTrack = track;
+        this.emit('trackchange', { track, previous });
+    }
 
-            // Touch events for mobile
-            canvas.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                if (this.currentTrack === track && this.currentAudio) {
-                    this.isDragging = true;
-                    this.handleTouchScrub(e, canvas);
-                }
-            });
+    setupLibrary() {
+        const strip = document.querySelector('.library-strip');
+        if (!strip) return;
 
-            canvas.addEventListener('touchmove', (e) => {
-                e.preventDefault();
-                if (this.isDragging && this.currentTrack === track && this.currentAudio) {
-                    this.handleTouchScrub(e, canvas);
-                }
-            });
+        this.library = new ListeningLibrary(this, strip);
+    }
 
-            canvas.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.isDragging = false;
-            });
+    setupDeepLinks() {
+        this.pendingStart = null;
+        this.lastHashSecond = null;
 
-            canvas.addEventListener('touchcancel', (e) => {
-                e.preventDefault();
-                this.isDragging = false;
-            });
+        window.addEventListener('hashchange', () => this.applyDeepLink());
 
-            // Add cursor styling for interactive waveform
-            canvas.style.cursor = 'pointer';
-        });
-    }
+        // Autoplay rules: wait for the first interaction unless audio is already allowed
+        const onInteraction = (e) => {
+            if (!this.pendingStart) return;
+            if (e.target.closest('.track, .filter-bar, .transport, a, button, input, select')) return;
+            this.startPendingTrack();
+        };
+        document.addEventListener('pointerdown', onInteraction, true);
+        document.addEventListener('keydown', onInteraction, true);
 
-    handleScrub(e, canvas) {
-        const rect = canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const progress = Math.max(0, Math.min(1, x / rect.width));
-        const newTime = progress * this.currentAudio.duration;
-        this.currentAudio.currentTime = newTime;
+        this.applyDeepLink();
     }
 
-    handleTouchScrub(e, canvas) {
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches[0] || e.changedTouches[0];
-        const x = touch.clientX - rect.left;
-        const progress = Math.max(0, Math.min(1, x / rect.width));
-        const newTime = progress * this.currentAudio.duration;
-        this.currentAudio.currentTime = newTime;
+    parseDeepLink(hash) {
+        const match = /^#([a-z0-9-]+)(?:\?(.*))?$/i.exec(hash);
+        if (!match) return null;
+
+        const params = new URLSearchParams(match[2] || '');
+        return { slug: match[1].toLowerCase(), time: this.parseTimestamp(params.get('t')) };
     }
 
-    async preloadWaveforms() {
-        const tracks = document.querySelectorAll('.track');
+    parseTimestamp(value) {
+        if (!value) return 0;
 
-        for (const track of tracks) {
-            const src = track.dataset.src;
-            const canvas = track.querySelector('.waveform');
+        // Accepts 45, 1:30 and 1m30s
+        if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value);
 
-            try {
-                const waveform = await this.generateWaveform(src);
-                this.waveformData.set(src, waveform);
-                // Force regeneration of waveform display
-                setTimeout(() => {
-                    this.drawStaticWaveform(canvas, waveform, src);
-                }, 10);
-            } catch (error) {
-                console.error(`Failed to generate waveform for ${src}:`, error);
-                this.drawPlaceholderWaveform(canvas, src);
-            }
-        }
+        const clock = /^(?:(\d+):)?(\d+):(\d{1,2})$/.exec(value);
+        if (clock) return (Number(clock[1] || 0) * 3600) + (Number(clock[2]) * 60) + Number(clock[3]);
+
+        const units = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+        if (units) return (Number(units[1] || 0) * 3600) + (Number(units[2] || 0) * 60) + Number(units[3] || 0);
+
+        return 0;
     }
 
-    async generateWaveform(src) {
-        try {
-            const response = await fetch(src);
-            const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+    applyDeepLink() {
+        const link = this.parseDeepLink(window.location.hash);
+        if (!link) return;
 
-            const rawData = audioBuffer.getChannelData(0);
-            const samples = 400; // Balanced resolution for good detail
-            const blockSize = Math.floor(rawData.length / samples);
-            const filteredData = [];
-
-            for (let i = 0; i < samples; i++) {
-                let blockStart = blockSize * i;
-                let sum = 0;
-                let max = 0;
-                let rms = 0;
-
-                for (let j = 0; j < blockSize; j++) {
-                    const sample = rawData[blockStart + j];
-                    const abs = Math.abs(sample);
-                    sum += abs;
-                    max = Math.max(max, abs);
-                    rms += sample * sample;
-                }
+        const track = document.querySelector(`.track[data-slug="${link.slug}"]`);
+        if (!track || track === this.currentTrack) return;
 
-                // Calculate various amplitude measures
-                const average = sum / blockSize;
-                const peak = max;
-                const rmsValue = Math.sqrt(rms / blockSize);
+        if (track.hidden && this.trackFilter) {
+            this.trackFilter.reset();
+        }
 
-                // Create more realistic waveform with better amplitude distribution
-                const combined = (average * 0.4) + (peak * 0.3) + (rmsValue * 0.3);
+        document.querySelectorAll('.track.highlighted').forEach(el => {
+            el.classList.remove('highlighted');
+            const prompt = el.querySelector('.deep-link-prompt');
+            if (prompt) prompt.remove();
+        });
+        track.classList.add('highlighted');
+        track.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
-                filteredData.push({
-                    average: average,
-                    peak: peak,
-                    rms: rmsValue,
-                    combined: combined
-                });
-            }
+        this.pendingStart = { track, time: link.time };
 
-            // Advanced normalization for realistic waveforms
-            const combinedValues = filteredData.map(d => d.combined);
-            const maxCombined = Math.max(...combinedValues);
-            const avgCombined = combinedValues.reduce((a, b) => a + b, 0) / combinedValues.length;
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.startPendingTrack();
+            return;
+        }
 
-            // Use dynamic range compression to avoid empty spaces
-            const threshold = avgCombined * 0.3; // 30% of average as minimum
-            const compressionRatio = 0.7; // Compress loud parts
+        const prompt = document.createElement('button');
+        prompt.type = 'button';
+        prompt.className = 'deep-link-prompt';
+        prompt.textContent = link.time > 0 ? `▶ Play from ${this.formatTime(link.time)}` : '▶ Play';
+        prompt.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.startPendingTrack();
+        });
+        track.querySelector('.track-info').appendChild(prompt);
+    }
 
-            return filteredData.map(d => {
-                let normalized = d.combined;
+    startPendingTrack() {
+        if (!this.pendingStart) return;
+        this.playTrack(this.pendingStart.track);
+    }
 
-                // Apply threshold and compression
-                if (normalized < threshold) {
-                    normalized = threshold + (normalized / threshold) * 0.2;
-                } else if (normalized > avgCombined) {
-                    // Compress loud parts
-                    const excess = normalized - avgCombined;
-                    normalized = avgCombined + (excess * compressionRatio);
-                }
+    // Called once a new track has started so a deep link's start time can be applied
+    // Returns whether a deep-linked start time was applied
+    consumePendingStart(track) {
+        const pending = this.pendingStart;
+        this.pendingStart = null;
 
-                // Final normalization to 0.2-0.9 range (no silent parts)
-                const finalValue = 0.2 + (normalized / maxCombined) * 0.7;
+        document.querySelectorAll('.deep-link-prompt').forEach(prompt => prompt.remove());
+        if (!pending || pending.track !== track || !(pending.time > 0)) return false;
 
-                return {
-                    average: Math.min(0.85, Math.max(0.15, (d.average / maxCombined) * 0.7 + 0.15)),
-                    peak: Math.min(0.9, Math.max(0.2, (d.peak / maxCombined) * 0.7 + 0.2)),
-                    rms: Math.min(0.8, Math.max(0.1, (d.rms / maxCombined) * 0.7 + 0.1)),
-                    combined: Math.min(0.95, Math.max(0.2, finalValue))
-                };
-            });
-        } catch (error) {
-            console.error('Error generating waveform:', error);
-            return this.generatePlaceholderData();
+        this.seekWhenReady(pending.time);
+        return true;
+    }
+
+    // Seeking before the duration is known would clamp to zero
+    seekWhenReady(time) {
+        const audio = this.currentAudio;
+        if (audio.readyState >= 1) {
+            this.seekTo(time);
+            return;
         }
+
+        // The element is shared between beats, so make sure it still holds this one
+        const src = audio.src;
+        audio.addEventListener('loadedmetadata', () => {
+            if (this.currentAudio === audio && audio.src === src) {
+                this.seekTo(time);
+            }
+        }, { once: true });
     }
 
-    generatePlaceholderData() {
-        const data = [];
-        const samples = 400;
+    trackLink(track, time = 0) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = time >= 1 ? `${track.dataset.slug}?t=${Math.floor(time)}` : track.dataset.slug;
+        return url.href;
+    }
 
-        for (let i = 0; i < samples; i++) {
-            // Create more realistic placeholder waveform
-            const base = 0.15 + Math.sin(i * 0.1) * 0.1; // Sine wave base
-            const noise = (Math.random() - 0.5) * 0.3; // Add some randomness
-            const peaks = Math.random() > 0.9 ? Math.random() * 0.4 : 0; // Occasional peaks
+    updateHash(track, time) {
+        const second = Math.floor(time);
+        if (second === this.lastHashSecond) return;
+        this.lastHashSecond = second;
 
-            const amplitude = Math.max(0.05, Math.min(0.9, base + noise + peaks));
+        const hash = second >= 1 ? `#${track.dataset.slug}?t=${second}` : `#${track.dataset.slug}`;
+        history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+    }
 
-            data.push({
-                average: amplitude * 0.8,
-                peak: amplitude,
-                rms: amplitude * 0.9,
-                combined: amplitude
-            });
+    async copyTrackLink(track, button) {
+        const time = this.currentTrack === track && this.currentAudio ? this.currentAudio.currentTime : 0;
+        const link = this.trackLink(track, time);
+
+        try {
+            await navigator.clipboard.writeText(link);
+        } catch (error) {
+            // Clipboard API needs a secure context; fall back to a hidden textarea
+            const textarea = document.createElement('textarea');
+            textarea.value = link;
+            textarea.setAttribute('readonly', '');
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            document.execCommand('copy');
+            textarea.remove();
         }
 
-        return data;
+        button.textContent = 'Copied!';
+        this.announce('Link copied');
+        clearTimeout(button.resetTimer);
+        button.resetTimer = setTimeout(() => {
+            button.textContent = 'Copy link';
+        }, 1500);
     }
 
-    drawStaticWaveform(canvas, waveform, src) {
-        const ctx = canvas.getContext('2d');
-        const color = this.trackColors.get(src) || '#2ECC71';
+    setupFilter() {
+        const container = document.querySelector('main.tracks');
+        const filterBar = document.querySelector('.filter-bar');
+        if (!container || !filterBar) return;
+
+        this.trackFilter = new TrackFilter(container, filterBar, {
+            onChange: (visibleTracks) => {
+                // Canvases that were hidden during the initial draw have no size yet
+                visibleTracks.forEach(track => {
+                    if (track !== this.currentTrack) {
+                        this.redrawWaveform(track);
+                    }
+                });
+            }
+        });
+    }
 
-        // Get the display size from CSS
-        const rect = canvas.getBoundingClientRect();
-        const displayWidth = rect.width;
-        const displayHeight = rect.height;
+    setupQueue() {
+        this.queue = new PlaybackQueue(() => this.queueTracks());
 
-        // Enable high-quality rendering
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
+        const transport = document.querySelector('.transport');
+        if (!transport) return;
 
-        // Scale for high DPI displays
-        const dpr = window.devicePixelRatio || 1;
-        canvas.width = displayWidth * dpr;
-        canvas.height = displayHeight * dpr;
-        ctx.scale(dpr, dpr);
+        const prevButton = transport.querySelector('.transport-prev');
+        const nextButton = transport.querySelector('.transport-next');
+        const shuffleButton = transport.querySelector('.transport-shuffle');
+        const repeatButton = transport.querySelector('.transport-repeat');
+        const autoplayButton = transport.querySelector('.transport-autoplay');
 
-        ctx.clearRect(0, 0, displayWidth, displayHeight);
+        const repeatLabels = { off: 'Repeat: off', all: 'Repeat: all', one: 'Repeat: one' };
+        const render = () => {
+            // The next beat may have changed; let the next timeupdate pick it again
+            if (this.transition && !this.transition.started) {
+                this.transition = null;
+            }
 
-        const centerY = displayHeight / 2;
+            shuffleButton.setAttribute('aria-pressed', this.queue.shuffle);
+            autoplayButton.setAttribute('aria-pressed', this.queue.autoplay);
+            repeatButton.textContent = repeatLabels[this.queue.repeat];
+            repeatButton.classList.toggle('active', this.queue.repeat !== 'off');
+        };
 
-        // Create detailed, realistic waveform with individual bars
-        const barCount = waveform.length;
-        const barWidth = displayWidth / barCount;
-        const barGap = Math.max(0.5, barWidth * 0.15); // Small gap between bars
+        prevButton.addEventListener('click', () => this.playPrevious());
+        nextButton.addEventListener('click', () => this.playNext());
+        shuffleButton.addEventListener('click', () => {
+            this.queue.setShuffle(!this.queue.shuffle, this.currentTrack);
+            render();
+        });
+        repeatButton.addEventListener('click', () => {
+            this.queue.cycleRepeat();
+            render();
+        });
+        autoplayButton.addEventListener('click', () => {
+            this.queue.autoplay = !this.queue.autoplay;
+            render();
+        });
 
-        for (let i = 0; i < barCount; i++) {
-            const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
+        const crossfadeInput = document.querySelector('.crossfade-seconds');
+        const crossfadeOutput = document.querySelector('.crossfade-value');
+        if (crossfadeInput) {
+            const renderCrossfade = () => {
+                crossfadeInput.value = this.crossfade;
+                crossfadeOutput.textContent = this.crossfade > 0 ? `${this.crossfade}s` : 'Off';
+            };
+
+            crossfadeInput.disabled = !this.audioContext;
+            crossfadeInput.addEventListener('input', () => {
+                this.crossfade = parseFloat(crossfadeInput.value) || 0;
+                this.saveCrossfade();
+                renderCrossfade();
+            });
+            renderCrossfade();
+        }
 
-            // Much better amplitude scaling - fills canvas height more effectively
-            const normalizedAmplitude = Math.max(0.3, Math.min(0.95, amplitude));
-            const barHeight = normalizedAmplitude * displayHeight * 0.85; // Use 85% of canvas height
+        const gridButton = transport.querySelector('.transport-grid');
+        const clickButton = transport.querySelector('.transport-click');
+        const downbeatButton = transport.querySelector('.transport-downbeat');
+        const renderGrid = () => {
+            gridButton.setAttribute('aria-pressed', this.gridSettings.visible);
+            clickButton.setAttribute('aria-pressed', this.gridSettings.click);
+            clickButton.disabled = !this.audioContext;
+        };
 
-            const x = i * barWidth;
-            const actualBarWidth = Math.max(1, barWidth - barGap);
+        gridButton.addEventListener('click', () => {
+            this.gridSettings.visible = !this.gridSettings.visible;
+            this.saveGridSettings();
+            document.querySelectorAll('.track').forEach(track => this.redrawWaveform(track));
+            renderGrid();
+        });
+        clickButton.addEventListener('click', () => {
+            this.gridSettings.click = !this.gridSettings.click;
+            this.saveGridSettings();
+            if (this.gridSettings.click && this.currentAudio && !this.currentAudio.paused) {
+                this.metronome.start();
+            } else {
+                this.metronome.stop();
+            }
+            renderGrid();
+        });
+        downbeatButton.addEventListener('click', () => this.setDownbeatAtPlayhead());
+        renderGrid();
 
-            // Create gradient for each bar
-            const barGradient = ctx.createLinearGradient(x, centerY - barHeight / 2, x, centerY + barHeight / 2);
-            barGradient.addColorStop(0, color + 'CC'); // 80% opacity at edges
-            barGradient.addColorStop(0.5, color + '99'); // 60% opacity at center
-            barGradient.addColorStop(1, color + 'CC'); // 80% opacity at edges
+        const loopButton = transport.querySelector('.transport-loop');
+        loopButton.addEventListener('click', () => {
+            if (!this.currentTrack) return;
 
-            ctx.fillStyle = barGradient;
+            if (this.loopFor(this.currentTrack)) {
+                this.clearLoop(this.currentTrack);
+                this.updateLoopButton();
+            } else {
+                this.setLoopMarker(this.pendingLoopStart != null ? 'b' : 'a');
+            }
+        });
 
-            // Draw rounded rectangle bar
-            const barY = centerY - barHeight / 2;
-            const cornerRadius = Math.min(actualBarWidth / 3, 2);
+        render();
+        transport.hidden = false;
+    }
 
-            ctx.beginPath();
-            ctx.roundRect(x, barY, actualBarWidth, barHeight, cornerRadius);
-            ctx.fill();
+    setupTempo() {
+        this.tempo = new TempoController(document.querySelector('.tempo-controls'), {
+            onChange: () => {
+                if (this.currentAudio) {
+                    this.tempo.applyTo(this.currentAudio);
+                    this.mediaSession.updatePosition(this.currentAudio);
+                    this.metronome.resync();
+                }
+                this.engine.setPitchRatio(this.tempo.pitchRatio());
+                this.updateBpmLabels();
+            }
+        });
 
-            // Add subtle stroke for definition
-            ctx.strokeStyle = color + '40'; // 25% opacity
-            ctx.lineWidth = 0.5;
-            ctx.stroke();
-        }
+        this.engine.setPitchRatio(this.tempo.pitchRatio());
+        this.engine.pitchReady.then(supported => this.tempo.setPitchSupported(supported));
+        this.updateBpmLabels();
     }
 
-    drawAnimatedWaveform(canvas, waveform, progress = 0, src) {
-        const ctx = canvas.getContext('2d');
-        const baseColor = this.trackColors.get(src) || '#2ECC71';
-        const progressedColor = this.darkenColor(baseColor, 0.3);
+    inquiryEmail() {
+        const container = document.querySelector('main.tracks');
+        return (container && container.dataset.inquiryEmail) || 'me@chrisgirmai.com';
+    }
 
-        // Get the display size from CSS
-        const rect = canvas.getBoundingClientRect();
-        const displayWidth = rect.width;
-        const displayHeight = rect.height;
+    setupInquiry() {
+        const dialog = document.querySelector('.inquiry-dialog');
+        if (!dialog) return;
 
-        // Enable high-quality rendering
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
+        const container = document.querySelector('main.tracks');
+        this.inquiry = new InquiryPanel(dialog, {
+            email: this.inquiryEmail(),
+            endpoint: container.dataset.inquiryEndpoint || null
+        });
+    }
 
-        // Scale for high DPI displays
-        const dpr = window.devicePixelRatio || 1;
-        canvas.width = displayWidth * dpr;
-        canvas.height = displayHeight * dpr;
-        ctx.scale(dpr, dpr);
+    openInquiry(track, opener) {
+        const bpm = parseFloat(track.dataset.bpm);
+        this.inquiry.open({
+            trackId: track.dataset.slug,
+            title: track.querySelector('.track-title').textContent,
+            bpm: bpm > 0 ? bpm : null,
+            link: this.trackLink(track)
+        }, opener);
+    }
 
-        ctx.clearRect(0, 0, displayWidth, displayHeight);
+    async setupOffline() {
+        if (!this.catalogVersion) return;
 
-        const centerY = displayHeight / 2;
-        const stepX = displayWidth / (waveform.length - 1);
-        const progressIndex = Math.floor(progress * waveform.length);
+        this.offline = new OfflineStore(this.catalogVersion);
+        if (!this.offline.supported) return;
 
-        ctx.lineWidth = 2;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
+        const saved = await this.offline.savedSources();
+        document.querySelectorAll('.track').forEach(track => {
+            const button = track.querySelector('.offline-toggle');
+            this.setOfflineState(button, saved.has(new URL(track.dataset.src, document.baseURI).href));
+            button.hidden = false;
+        });
 
-        // Draw progressed portion (darker)
-        if (progressIndex > 0) {
-            ctx.strokeStyle = progressedColor;
+        this.updateOfflineUsage();
+    }
 
-            // Upper waveform (progressed)
-            ctx.beginPath();
-            ctx.moveTo(0, centerY);
-            for (let i = 0; i <= progressIndex && i < waveform.length; i++) {
-                const x = i * stepX;
-                const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
-                const y = centerY - (amplitude * displayHeight * 0.4);
-                ctx.lineTo(x, y);
+    setOfflineState(button, saved) {
+        const title = button.closest('.track').querySelector('.track-title').textContent;
+        button.textContent = saved ? 'Saved offline' : 'Save offline';
+        button.setAttribute('aria-pressed', saved);
+        button.setAttribute('aria-label', saved
+            ? `Remove ${title} from offline storage`
+            : `Save ${title} for offline listening`);
+    }
+
+    async toggleOffline(track, button) {
+        const src = track.dataset.src;
+        const title = track.querySelector('.track-title').textContent;
+        const saved = button.getAttribute('aria-pressed') === 'true';
+
+        button.disabled = true;
+        try {
+            if (saved) {
+                await this.offline.remove(src);
+                this.setOfflineState(button, false);
+                this.announce(`${title} removed from offline storage`);
+            } else {
+                button.textContent = 'Saving…';
+                await this.offline.save(src);
+                this.setOfflineState(button, true);
+                this.announce(`${title} saved for offline listening`);
             }
-            ctx.stroke();
+        } catch (error) {
+            console.warn(`Offline storage failed for ${src}:`, error);
+            this.setOfflineState(button, saved);
+            this.announce(`Couldn't save ${title} offline; storage may be full`);
+        } finally {
+            button.disabled = false;
+        }
 
-            // Lower waveform (progressed)
+        this.updateOfflineUsage();
+    }
+
+    async updateOfflineUsage() {
+        const display = document.querySelector('.offline-usage');
+        if (!display) return;
+
+        const saved = await this.offline.savedSources();
+        const savedBytes = Array.from(this.catalog.values())
+            .filter(entry => saved.has(new URL(entry.src, document.baseURI).href))
+            .reduce((total, entry) => total + (entry.size || 0), 0);
+
+        const count = saved.size;
+        let text = count > 0
+            ? `Saved offline: ${count} beat${count === 1 ? '' : 's'} (${this.formatBytes(savedBytes)})`
+            : 'No beats saved offline';
+
+        const estimate = await this.offline.estimate();
+        if (estimate) {
+            text += ` · ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} storage used`;
+        }
+
+        display.textContent = text;
+        display.hidden = false;
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+        if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1e3)} KB`;
+    }
+
+    // BPM labels follow the playback rate so vocalists see the tempo they're hearing
+    updateBpmLabels() {
+        const rate = this.tempo ? this.tempo.state.rate : 1;
+
+        document.querySelectorAll('.track').forEach(track => {
+            const label = track.querySelector('.bpm');
+            if (!label) return;
+
+            const bpm = parseFloat(track.dataset.bpm);
+            const adjusted = Math.round(bpm * rate * 10) / 10;
+            label.textContent = `${adjusted} BPM`;
+            label.classList.toggle('adjusted', rate !== 1);
+            label.title = rate !== 1 ? `Original tempo ${bpm} BPM` : '';
+        });
+    }
+
+    readCrossfade() {
+        try {
+            const stored = parseFloat(localStorage.getItem('beatfolio:crossfade'));
+            if (stored >= 0 && stored <= 8) return stored;
+        } catch (error) {
+            // Storage can be blocked; fall through to no crossfade
+        }
+        return 0;
+    }
+
+    saveCrossfade() {
+        try {
+            localStorage.setItem('beatfolio:crossfade', String(this.crossfade));
+        } catch (error) {
+            // Setting just won't persist
+        }
+    }
+
+    // Near the end of a beat, picks what plays next once: preloads it for a gapless
+    // cut, then starts the crossfade when the time left fits inside the fade
+    checkTransition(track) {
+        const audio = this.currentAudio;
+        if (!isFinite(audio.duration) || audio.paused || this.loopFor(track)) return;
+
+        const fade = this.audioContext ? this.crossfade : 0;
+        const remaining = (audio.duration - audio.currentTime) / (audio.playbackRate || 1);
+        if (remaining > Math.max(fade, 10)) return;
+
+        if (!this.transition || this.transition.from !== track) {
+            const next = this.queue.afterEnded(track);
+            this.transition = { from: track, to: next, started: false };
+            if (next && next !== track) {
+                this.engine.preload(next.dataset.src);
+            }
+        }
+
+        const { to } = this.transition;
+        if (fade > 0 && to && to !== track && !this.transition.started && remaining <= fade && remaining > 0.1) {
+            this.transition.started = true;
+            this.startCrossfade(to, remaining);
+        }
+    }
+
+    startCrossfade(track, seconds) {
+        try {
+            const audio = this.engine.crossfadeTo(track.dataset.src, seconds);
+            this.tempo.applyTo(audio);
+        } catch (error) {
+            console.error('Error starting crossfade:', error);
+            this.transition = null;
+        }
+    }
+
+    // Midpoint of a crossfade: the incoming beat takes over the waveform UI
+    handleHandoff() {
+        const transition = this.transition;
+        if (!transition || !transition.started) return;
+
+        this.transition = null;
+        // Reported first so listeners see one change rather than a stop in between
+        this.notifyTrackChange(transition.to);
+        if (this.currentTrack) {
+            // The outgoing beat plays out under the fade, so treat it as finished
+            this.emit('ended', { track: this.currentTrack });
+            this.resetTrack(this.currentTrack);
+        }
+
+        this.currentTrack = transition.to;
+        this.currentAudio = this.engine.audio;
+        this.setPlayButtonState(transition.to, true);
+        this.onTrackStarted(transition.to);
+    }
+
+    cancelTransition() {
+        this.transition = null;
+        this.engine.cancelFade();
+    }
+
+    queueTracks() {
+        // Every track in the filter bar's sort order; the queue skips the hidden ones
+        return Array.from(document.querySelectorAll('.track'));
+    }
+
+    playNext() {
+        const next = this.queue.next(this.currentTrack, { wrap: true });
+        if (next) {
+            this.playTrack(next);
+        }
+    }
+
+    playPrevious() {
+        // Like most players, "previous" restarts the current beat unless it just started
+        if (this.currentAudio && this.currentAudio.currentTime > 3) {
+            this.seekTo(0);
+            return;
+        }
+
+        const previous = this.queue.previous(this.currentTrack, { wrap: true });
+        if (previous) {
+            this.playTrack(previous);
+        }
+    }
+
+    playTrack(track) {
+        if (this.currentTrack === track && this.currentAudio) {
+            this.seekTo(0);
+            if (this.currentAudio.paused) {
+                this.resumeTrack();
+            }
+            return;
+        }
+
+        this.toggleTrack(track);
+    }
+
+    mediaMetadataFor(track) {
+        const entry = this.catalog.get(track.dataset.src);
+        const producer = track.querySelector('.producer');
+
+        return {
+            title: track.querySelector('.track-title').textContent,
+            artist: producer ? producer.textContent : 'Girmai',
+            album: 'Girmai Beats',
+            artwork: entry && entry.artwork ? entry.artwork : 'laptop.png'
+        };
+    }
+
+    // Without catalog artwork, the cover embedded in the file replaces the default once read
+    async showEmbeddedArtwork(track, metadata) {
+        const entry = this.catalog.get(track.dataset.src);
+        if (entry && entry.artwork) return;
+
+        const artwork = await this.tags.artworkFor(track.dataset.src);
+        if (artwork && this.currentTrack === track) {
+            this.mediaSession.setTrack({ ...metadata, artwork });
+        }
+    }
+
+    handleTrackEnded(track) {
+        // A loop that reaches the very end would otherwise let the beat finish
+        const loop = this.loopFor(track);
+        if (loop && this.currentAudio) {
+            this.currentAudio.currentTime = loop.start;
+            this.resumeTrack();
+            return;
+        }
+
+        this.emit('ended', { track });
+
+        // Reuse the pick made while preloading so a shuffle isn't advanced twice
+        const transition = this.transition;
+        const next = transition && transition.from === track ? transition.to : this.queue.afterEnded(track);
+        this.transition = null;
+
+        this.resetTrack(track);
+
+        if (next) {
+            this.toggleTrack(next);
+        }
+    }
+
+    redrawWaveform(track) {
+        const src = track.dataset.src;
+        const waveform = this.waveformData.get(src);
+        if (!waveform) return;
+
+        const canvas = track.querySelector('.waveform');
+        if (track === this.currentTrack && this.currentAudio && this.currentAudio.duration) {
+            this.drawAnimatedWaveform(canvas, waveform, this.currentAudio.currentTime / this.currentAudio.duration, src);
+        } else {
+            this.drawStaticWaveform(canvas, waveform, src);
+        }
+    }
+
+    loopFor(track) {
+        return track ? this.loops.get(track.dataset.slug) : null;
+    }
+
+    timeAtX(canvas, clientX, duration) {
+        const rect = canvas.getBoundingClientRect();
+        const progress = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+        return progress * duration;
+    }
+
+    loopHandleAt(track, canvas, clientX) {
+        const loop = this.loopFor(track);
+        if (!loop) return null;
+
+        const rect = canvas.getBoundingClientRect();
+        const x = clientX - rect.left;
+        const startX = (loop.start / loop.duration) * rect.width;
+        const endX = (loop.end / loop.duration) * rect.width;
+        const grabDistance = 8;
+
+        if (Math.abs(x - startX) <= grabDistance) return 'start';
+        if (Math.abs(x - endX) <= grabDistance) return 'end';
+        return null;
+    }
+
+    snapToBar(track, time) {
+        const grid = this.beatGrid(track);
+        if (!grid) return time;
+
+        return Math.round((time - grid.offset) / grid.barLength) * grid.barLength + grid.offset;
+    }
+
+    beatGrid(track) {
+        const bpm = track ? parseFloat(track.dataset.bpm) : NaN;
+        if (!(bpm > 0)) return null;
+
+        const beatLength = 60 / bpm;
+        const barLength = beatLength * this.beatsPerBar;
+        const stored = this.gridSettings.offsets[track.dataset.slug];
+        const offset = stored != null ? stored : (parseFloat(track.dataset.downbeat) || 0);
+
+        // Keep the offset inside the first bar so the grid math stays simple
+        return { bpm, beatLength, barLength, offset: ((offset % barLength) + barLength) % barLength };
+    }
+
+    barBeatAt(track, time) {
+        const grid = this.beatGrid(track);
+        if (!grid) return null;
+
+        const beats = Math.floor((time - grid.offset) / grid.beatLength + 1e-6);
+        const bar = Math.floor(beats / this.beatsPerBar) + 1;
+        const beat = ((beats % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar + 1;
+        return { bar, beat };
+    }
+
+    readGridSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('beatfolio:grid'));
+            if (stored && typeof stored === 'object') {
+                return { visible: stored.visible !== false, click: !!stored.click, offsets: stored.offsets || {} };
+            }
+        } catch (error) {
+            // Fall through to defaults
+        }
+        return { visible: true, click: false, offsets: {} };
+    }
+
+    saveGridSettings() {
+        try {
+            localStorage.setItem('beatfolio:grid', JSON.stringify(this.gridSettings));
+        } catch (error) {
+            // Settings just won't persist
+        }
+    }
+
+    setDownbeat(track, offset) {
+        const grid = this.beatGrid(track);
+        if (!grid) return;
+
+        const wrapped = ((offset % grid.barLength) + grid.barLength) % grid.barLength;
+        this.gridSettings.offsets[track.dataset.slug] = Math.round(wrapped * 1000) / 1000;
+        this.saveGridSettings();
+        this.redrawWaveform(track);
+        this.updatePositionReadout(track);
+        this.metronome.resync();
+        if (track === this.currentTrack) this.syncOnsetGrid(track);
+    }
+
+    // Moves the grid so the playhead lands on beat one
+    setDownbeatAtPlayhead() {
+        if (!this.currentTrack || !this.currentAudio) return;
+
+        this.setDownbeat(this.currentTrack, this.currentAudio.currentTime);
+        this.announce(`Downbeat set at ${this.formatTime(this.currentAudio.currentTime)}`);
+    }
+
+    nudgeDownbeat(seconds) {
+        const grid = this.beatGrid(this.currentTrack);
+        if (!grid) return;
+
+        this.setDownbeat(this.currentTrack, grid.offset + seconds);
+    }
+
+    updatePositionReadout(track) {
+        const readout = track.querySelector('.track-position');
+        if (!readout) return;
+
+        if (track !== this.currentTrack || !this.currentAudio) {
+            readout.hidden = true;
+            return;
+        }
+
+        const audio = this.currentAudio;
+        const position = this.barBeatAt(track, audio.currentTime);
+        readout.textContent = `${this.formatTime(audio.currentTime)} / ${this.formatTime(audio.duration)}` +
+            (position ? ` · ${position.bar}:${position.beat}` : '');
+        readout.hidden = false;
+    }
+
+    drawBeatGrid(ctx, src, width, height) {
+        if (!this.gridSettings.visible) return;
+
+        const track = this.trackForSrc(src);
+        const grid = this.beatGrid(track);
+        const duration = this.trackDuration(track);
+        if (!grid || !duration) return;
+
+        const pixelsPerBeat = (grid.beatLength / duration) * width;
+        const pixelsPerBar = pixelsPerBeat * this.beatsPerBar;
+
+        // Thin the grid out on narrow canvases instead of drawing a solid wash
+        const drawBeats = pixelsPerBeat >= 6;
+        let barStep = 1;
+        while (pixelsPerBar * barStep < 6) {
+            barStep *= 2;
+        }
+
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        const firstBeat = Math.ceil(-grid.offset / grid.beatLength);
+        for (let i = firstBeat; grid.offset + i * grid.beatLength <= duration; i++) {
+            const isBar = i % this.beatsPerBar === 0;
+            const barIndex = Math.floor(i / this.beatsPerBar);
+            if (!isBar && !drawBeats) continue;
+            if (isBar && barIndex % barStep !== 0) continue;
+
+            const x = Math.round(((grid.offset + i * grid.beatLength) / duration) * width) + 0.5;
+            ctx.strokeStyle = isBar ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.12)';
             ctx.beginPath();
-            ctx.moveTo(0, centerY);
-            for (let i = 0; i <= progressIndex && i < waveform.length; i++) {
-                const x = i * stepX;
-                const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
-                const y = centerY + (amplitude * displayHeight * 0.4);
-                ctx.lineTo(x, y);
+            ctx.moveTo(x, isBar ? 0 : height * 0.2);
+            ctx.lineTo(x, isBar ? height : height * 0.8);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    trackDuration(track) {
+        if (!track) return 0;
+        if (track === this.currentTrack && this.currentAudio && isFinite(this.currentAudio.duration)) {
+            return this.currentAudio.duration;
+        }
+        return this.durations.get(track.dataset.src) || 0;
+    }
+
+    setLoop(track, start, end, { snap = true } = {}) {
+        const duration = this.currentAudio.duration;
+        if (!isFinite(duration)) return;
+
+        if (snap) {
+            start = this.snapToBar(track, start);
+            end = this.snapToBar(track, end);
+        }
+
+        if (end < start) {
+            [start, end] = [end, start];
+        }
+
+        // Never shorter than a bar (a beat unsnapped), so a loop can't collapse onto itself
+        const bpm = parseFloat(track.dataset.bpm);
+        const minLength = bpm > 0 ? (60 / bpm) * (snap ? 4 : 1) : 0.25;
+        start = Math.max(0, Math.min(start, duration - minLength));
+        end = Math.min(duration, Math.max(end, start + minLength));
+
+        this.loops.set(track.dataset.slug, { start, end, duration });
+        if (track === this.currentTrack) this.engine.setLoop(this.loopFor(track));
+        this.redrawWaveform(track);
+    }
+
+    clearLoop(track) {
+        if (!this.loopFor(track)) return;
+
+        this.loops.delete(track.dataset.slug);
+        if (track === this.currentTrack) this.engine.setLoop(null);
+        this.redrawWaveform(track);
+        this.announce('Loop cleared');
+    }
+
+    // Dragging a loop edge moves it, dragging anywhere else draws a new loop. Until the
+    // pointer has moved a few pixels it's still a click, which seeks instead.
+    beginLoopDrag(track, canvas, clientX, clearOnClick) {
+        const handle = this.loopHandleAt(track, canvas, clientX) || 'new';
+        const anchor = this.timeAtX(canvas, clientX, this.currentAudio.duration);
+        this.loopDrag = { track, canvas, handle, anchor, startX: clientX, clearOnClick, moved: false, pointer: null, stopFrame: null };
+    }
+
+    // Pointer moves can come faster than the screen redraws, so only the latest one is
+    // applied, on the next frame
+    updateLoopDrag(clientX, snap) {
+        this.loopDrag.pointer = { clientX, snap };
+        if (!this.loopDrag.stopFrame) {
+            this.loopDrag.stopFrame = this.frames.add(() => this.applyLoopDrag());
+        }
+    }
+
+    applyLoopDrag() {
+        const drag = this.loopDrag;
+        drag.stopFrame();
+        drag.stopFrame = null;
+
+        const { track, canvas, handle, anchor, startX, moved } = drag;
+        const { clientX, snap } = drag.pointer;
+        if (!this.currentAudio || (!moved && Math.abs(clientX - startX) < 4)) return;
+
+        const time = this.timeAtX(canvas, clientX, this.currentAudio.duration);
+        const loop = this.loopFor(track);
+
+        drag.moved = true;
+
+        if (handle === 'new') {
+            this.setLoop(track, anchor, time, { snap });
+        } else if (handle === 'start') {
+            this.setLoop(track, time, loop.end, { snap });
+        } else {
+            this.setLoop(track, loop.start, time, { snap });
+        }
+    }
+
+    // Returns false when the gesture was a plain click, so the caller can seek
+    endLoopDrag() {
+        if (!this.loopDrag) return false;
+        if (this.loopDrag.stopFrame) this.applyLoopDrag();
+
+        const { track, handle, moved, clearOnClick } = this.loopDrag;
+        this.loopDrag = null;
+
+        if (!moved) {
+            // Shift-click clears the loop rather than seeking
+            if (handle === 'new' && clearOnClick) {
+                this.clearLoop(track);
+                return true;
+            }
+            return false;
+        }
+
+        const loop = this.loopFor(track);
+        if (loop) {
+            this.announce(`Looping ${this.formatTime(loop.start)} to ${this.formatTime(loop.end)}`);
+        }
+        return true;
+    }
+
+    // A/B markers from the keyboard or the transport button
+    setLoopMarker(marker) {
+        const track = this.currentTrack;
+        const audio = this.currentAudio;
+        if (!track || !audio || !isFinite(audio.duration)) return;
+
+        const time = audio.currentTime;
+        const loop = this.loopFor(track);
+
+        if (marker === 'a') {
+            this.pendingLoopStart = time;
+            if (loop) {
+                this.loops.delete(track.dataset.slug);
+                this.engine.setLoop(null);
             }
+            this.redrawWaveform(track);
+            this.announce(`Loop start set at ${this.formatTime(time)}`);
+        } else {
+            const start = this.pendingLoopStart != null ? this.pendingLoopStart : (loop ? loop.start : 0);
+            this.pendingLoopStart = null;
+            this.setLoop(track, start, time);
+            const updated = this.loopFor(track);
+            this.announce(`Looping ${this.formatTime(updated.start)} to ${this.formatTime(updated.end)}`);
+        }
+
+        this.updateLoopButton();
+    }
+
+    updateLoopButton() {
+        const button = document.querySelector('.transport-loop');
+        if (!button) return;
+
+        const hasLoop = !!this.loopFor(this.currentTrack);
+        button.classList.toggle('active', hasLoop || this.pendingLoopStart != null);
+        button.textContent = hasLoop ? 'Clear loop' : (this.pendingLoopStart != null ? 'Loop: set B' : 'Loop: set A');
+    }
+
+    drawLoopOverlay(ctx, src, width, height) {
+        const track = this.trackForSrc(src);
+        const loop = this.loopFor(track);
+        if (!loop) return;
+
+        const startX = (loop.start / loop.duration) * width;
+        const endX = (loop.end / loop.duration) * width;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 122, 255, 0.18)';
+        ctx.fillRect(startX, 0, endX - startX, height);
+
+        ctx.strokeStyle = 'rgba(0, 122, 255, 0.95)';
+        ctx.lineWidth = 2;
+        ctx.fillStyle = 'rgba(0, 122, 255, 0.95)';
+        ctx.font = '600 10px monospace';
+        ctx.textBaseline = 'top';
+
+        [[startX, 'A'], [endX, 'B']].forEach(([x, label]) => {
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
             ctx.stroke();
+
+            // Grip so the handles read as draggable
+            ctx.fillRect(x - 3, height / 2 - 8, 6, 16);
+            ctx.fillText(label, label === 'A' ? x + 4 : x - 11, 3);
+        });
+        ctx.restore();
+    }
+
+    trackForSrc(src) {
+        return Array.from(document.querySelectorAll('.track')).find(track => track.dataset.src === src) || null;
+    }
+
+    async loadCatalog() {
+        const container = document.querySelector('main.tracks');
+        const catalogUrl = container && container.dataset.catalog;
+        if (!catalogUrl) return;
+
+        let catalog;
+        try {
+            const response = await fetch(catalogUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            catalog = await response.json();
+        } catch (error) {
+            console.error(`Failed to load beat catalog from ${catalogUrl}:`, error);
+            return;
+        }
+
+        this.catalogVersion = catalog.version || 1;
+
+        // Files are listed relative to the catalog itself
+        const baseUrl = catalogUrl.slice(0, catalogUrl.lastIndexOf('/') + 1);
+        this.setupPreviewMode(catalog.preview, baseUrl);
+        const entries = Array.isArray(catalog.tracks) ? catalog.tracks : [];
+        const problems = [];
+
+        const checked = await Promise.all(entries.map(async (entry, index) => {
+            const errors = this.validateCatalogEntry(entry);
+            if (errors.length > 0) {
+                problems.push(`#${index + 1} ${entry && entry.title ? `"${entry.title}"` : ''}: ${errors.join(', ')}`);
+                return null;
+            }
+
+            // Preview-only beats stream the rendered preview and never touch the master
+            const src = entry.preview ? AudioAnalysis.previewUrlFor(baseUrl + entry.file) : baseUrl + entry.file;
+            const head = await this.engine.probe(src);
+            if (!head) {
+                const hint = entry.preview ? ' (render it with scripts/render-previews.js)' : '';
+                problems.push(`#${index + 1} ${entry.title ? `"${entry.title}"` : entry.file}: missing file ${src}${hint}`);
+                return null;
+            }
+
+            const tagged = await this.withFileTags(entry, src);
+            const missing = [];
+            if (!tagged.title) missing.push('missing title');
+            if (!tagged.producers) missing.push('missing producers');
+            if (missing.length > 0) {
+                problems.push(`#${index + 1} ${entry.file}: ${missing.join(', ')} (not in the catalog or the file's tags)`);
+                return null;
+            }
+
+            const length = head.headers.get('content-length');
+            const bpm = tagged.bpm != null ? tagged.bpm : AudioAnalysis.parseBpmFromFilename(entry.file);
+            return { ...tagged, src, bpm, size: length ? Number(length) : null };
+        }));
+
+        if (problems.length > 0) {
+            console.warn(`Beat catalog ${catalogUrl} has ${problems.length} unusable entr${problems.length === 1 ? 'y' : 'ies'}:\n  ${problems.join('\n  ')}`);
+        }
+
+        const slugs = new Set();
+        checked.filter(Boolean).forEach(entry => {
+            // An explicit slug keeps old links working if a beat is renamed
+            const base = entry.slug || this.slugify(entry.title);
+            let slug = base;
+            for (let n = 2; slugs.has(slug); n++) {
+                slug = `${base}-${n}`;
+            }
+            slugs.add(slug);
+
+            this.catalog.set(entry.src, { ...entry, slug });
+            container.appendChild(this.createTrackElement({ ...entry, slug }));
+        });
+    }
+
+    // Catalog values win; the file's ID3 tag fills in whatever the catalog leaves out.
+    // Rendered previews are stripped of tags, so preview-only beats rely on the catalog.
+    async withFileTags(entry, src) {
+        // The key is optional, and not worth a request per beat on its own
+        if (entry.title && entry.producers && entry.bpm != null) return entry;
+
+        const tags = await this.tags.read(src);
+        if (!tags) return entry;
+
+        return {
+            ...entry,
+            title: entry.title || tags.title,
+            producers: entry.producers || (tags.artist ? tags.artist.split(/\s*[,/]\s*/) : null),
+            bpm: entry.bpm != null ? entry.bpm : tags.bpm,
+            key: entry.key != null ? entry.key : tags.key
+        };
+    }
+
+    // With a "preview" block in the catalog, beats played from their masters get the
+    // producer tag mixed in live; preview-only beats already have it rendered in
+    setupPreviewMode(preview, baseUrl) {
+        if (!preview || typeof preview.tag !== 'string') return;
+
+        const config = { ...AudioAnalysis.PREVIEW_DEFAULTS, ...preview };
+        if (!(config.interval > 0)) {
+            console.warn('Preview mode disabled: preview.interval must be a positive number of seconds');
+            return;
+        }
+
+        this.voiceTag.load(baseUrl + config.tag, config);
+    }
+
+    slugify(title) {
+        return title
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'beat';
+    }
+
+    validateCatalogEntry(entry) {
+        const errors = [];
+
+        if (!entry || typeof entry !== 'object') {
+            return ['not an object'];
+        }
+        // Title and producers can come from the file's tags instead
+        if (entry.title != null && (typeof entry.title !== 'string' || !entry.title.trim())) {
+            errors.push('title must be a non-empty string');
+        }
+        if (typeof entry.file !== 'string' || !entry.file.trim()) {
+            errors.push('missing file');
+        }
+        if (entry.bpm != null && (typeof entry.bpm !== 'number' || !(entry.bpm > 0))) {
+            errors.push('bpm must be a positive number');
+        }
+        if (entry.preview != null && typeof entry.preview !== 'boolean') {
+            errors.push('preview must be true or false');
+        }
+        if (entry.downbeat != null && typeof entry.downbeat !== 'number') {
+            errors.push('downbeat must be a number of seconds');
+        }
+        if (entry.key != null && typeof entry.key !== 'string') {
+            errors.push('key must be a string');
+        }
+        if (entry.producers != null && (!Array.isArray(entry.producers) || entry.producers.length === 0 ||
+            entry.producers.some(p => typeof p !== 'string'))) {
+            errors.push('producers must be a non-empty list of names');
+        }
+        if (entry.tags != null && (!Array.isArray(entry.tags) || entry.tags.some(t => typeof t !== 'string'))) {
+            errors.push('tags must be a list of strings');
+        }
+        if (entry.added != null && isNaN(Date.parse(entry.added))) {
+            errors.push('added must be a date');
+        }
+
+        return errors;
+    }
+
+    // A key from the catalog (or the file's tags) is shown as given; a detected one
+    // carries its confidence
+    createKeyLabel(name, confidence = null) {
+        const label = document.createElement('span');
+        label.className = 'key';
+        label.textContent = name;
+
+        if (confidence != null) {
+            const percent = Math.round(confidence * 100);
+            const value = document.createElement('span');
+            value.className = 'key-confidence';
+            value.textContent = `${percent}%`;
+            label.classList.add('detected');
+            label.append(' ', value);
+            label.title = `Detected from the audio, ${percent}% confidence`;
+        }
+        return label;
+    }
+
+    // Keys set by hand win over the estimate in the peaks file. A key without a confidence
+    // is shown as given, like the catalog's.
+    showDetectedKey(src, key) {
+        const track = this.trackForSrc(src);
+        if (!track || !key || track.dataset.key) return;
+
+        track.dataset.key = key.name;
+        track.querySelector('.producer').after(this.createKeyLabel(key.name, key.confidence));
+    }
+
+    createTrackElement(entry) {
+        const track = document.createElement('div');
+        track.className = 'track';
+        track.dataset.src = entry.src;
+        track.dataset.slug = entry.slug;
+        if (entry.bpm) track.dataset.bpm = entry.bpm;
+        if (entry.downbeat != null) track.dataset.downbeat = entry.downbeat;
+        if (entry.preview) track.dataset.preview = 'true';
+        track.dataset.producers = entry.producers.join(', ');
+        if (entry.key) track.dataset.key = entry.key;
+        if (entry.tags && entry.tags.length > 0) track.dataset.tags = entry.tags.join(',');
+        if (entry.added) track.dataset.added = entry.added;
+
+        const info = document.createElement('div');
+        info.className = 'track-info';
+
+        const title = document.createElement('h3');
+        title.className = 'track-title';
+        title.textContent = entry.title;
+
+        const meta = document.createElement('div');
+        meta.className = 'track-meta';
+
+        if (entry.bpm) {
+            const bpm = document.createElement('span');
+            bpm.className = 'bpm';
+            bpm.textContent = `${entry.bpm} BPM`;
+            meta.appendChild(bpm);
+        }
+
+        const producer = document.createElement('span');
+        producer.className = 'producer';
+        producer.textContent = entry.producers.join(', ');
+
+        const position = document.createElement('span');
+        position.className = 'track-position';
+        position.hidden = true;
+
+        meta.append(producer);
+        if (entry.key) meta.appendChild(this.createKeyLabel(entry.key));
+        meta.appendChild(position);
+
+        if (entry.preview) {
+            const badge = document.createElement('span');
+            badge.className = 'preview-badge';
+            badge.textContent = 'Preview';
+            badge.title = 'Tagged preview; lease the beat for the full-quality file';
+            meta.appendChild(badge);
+        }
+        info.append(title, meta);
+
+        const waveformContainer = document.createElement('div');
+        waveformContainer.className = 'waveform-container';
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'waveform';
+        canvas.width = 800;
+        canvas.height = 100;
+
+        // The waveform doubles as the seek bar for keyboard and screen reader users
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'slider');
+        canvas.setAttribute('aria-label', `Seek ${entry.title}`);
+        canvas.setAttribute('aria-valuemin', '0');
+        canvas.setAttribute('aria-valuemax', '0');
+        canvas.setAttribute('aria-valuenow', '0');
+        canvas.setAttribute('aria-valuetext', 'Not playing');
+        canvas.setAttribute('aria-keyshortcuts', 'Space Enter ArrowLeft ArrowRight PageUp PageDown Home End');
+
+        const playButton = document.createElement('button');
+        playButton.type = 'button';
+        playButton.className = 'play-button';
+        playButton.textContent = '▶';
+        playButton.setAttribute('aria-label', `Play ${entry.title}`);
+
+        // Stays a working mailto link when the inquiry panel isn't available
+        const contact = document.createElement('a');
+        contact.href = `mailto:${this.inquiryEmail()}?subject=${encodeURIComponent(`Lease inquiry: ${entry.title}`)}`;
+        contact.className = 'dm-link';
+        contact.textContent = 'Lease / Inquire';
+        contact.setAttribute('aria-haspopup', 'dialog');
+
+        const copyLink = document.createElement('button');
+        copyLink.type = 'button';
+        copyLink.className = 'copy-link';
+        copyLink.textContent = 'Copy link';
+        copyLink.setAttribute('aria-label', `Copy link to ${entry.title} at the current time`);
+
+        // Shown once we know this browser can keep beats offline
+        const offline = document.createElement('button');
+        offline.type = 'button';
+        offline.className = 'offline-toggle';
+        offline.textContent = 'Save offline';
+        offline.hidden = true;
+        offline.setAttribute('aria-pressed', 'false');
+        offline.setAttribute('aria-label', `Save ${entry.title} for offline listening`);
+
+        const actions = document.createElement('div');
+        actions.className = 'track-actions';
+        actions.append(contact, copyLink, offline);
+
+        waveformContainer.append(canvas, playButton, actions);
+        track.append(info, waveformContainer);
+
+        return track;
+    }
+
+    generateTrackColors() {
+        const colors = [
+            '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
+            '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9',
+            '#FFFF00', '#ADFF2F', '#00FF00', '#FFD700', '#FFA500',
+            '#E6E6FA', '#DA70D6', '#BA55D3', '#9370DB',
+            '#FF69B4', '#FF1493', '#DC143C', '#B22222', '#8B0000',
+            '#00CED1', '#40E0D0', '#48D1CC', '#00FFFF', '#7FFFD4',
+            '#98FB98', '#90EE90', '#32CD32', '#228B22', '#006400'
+        ];
+
+        const usedColors = new Set();
+        const tracks = document.querySelectorAll('.track');
+
+        tracks.forEach((track, index) => {
+            const src = track.dataset.src;
+            let selectedColor;
+
+            // Ensure no duplicate colors by cycling through available colors
+            if (index < colors.length) {
+                selectedColor = colors[index];
+            } else {
+                // If more tracks than colors, start reusing but with some spacing
+                selectedColor = colors[index % colors.length];
+            }
+
+            this.trackColors.set(src, selectedColor);
+        });
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+
+        document.querySelectorAll('.track').forEach(track => {
+            const playButton = track.querySelector('.play-button');
+            const canvas = track.querySelector('.waveform');
+
+            playButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleTrack(track);
+            });
+
+            track.querySelector('.dm-link').addEventListener('click', (e) => {
+                if (!this.inquiry) return;
+
+                e.preventDefault();
+                e.stopPropagation();
+                this.openInquiry(track, e.currentTarget);
+            });
+
+            track.querySelector('.offline-toggle').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleOffline(track, e.currentTarget);
+            });
+
+            track.querySelector('.copy-link').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.copyTrackLink(track, e.currentTarget);
+            });
+
+            // Add scrubbing functionality
+            canvas.addEventListener('click', (e) => {
+                if (this.suppressClick) {
+                    this.suppressClick = false;
+                    return;
+                }
+                if (this.currentTrack === track && this.currentAudio) {
+                    this.handleScrub(e, canvas);
+                }
+            });
+
+            // Mouse events: click seeks, drag draws a loop, loop edges can be dragged
+            canvas.addEventListener('mousedown', (e) => {
+                if (this.currentTrack === track && this.currentAudio) {
+                    this.beginLoopDrag(track, canvas, e.clientX, e.shiftKey);
+                }
+            });
+
+            canvas.addEventListener('mousemove', (e) => {
+                if (this.loopDrag && this.loopDrag.track === track) {
+                    this.updateLoopDrag(e.clientX, !e.altKey);
+                    return;
+                }
+
+                const overHandle = this.currentTrack === track && this.loopHandleAt(track, canvas, e.clientX);
+                canvas.style.cursor = overHandle ? 'ew-resize' : 'pointer';
+            });
+
+            canvas.addEventListener('mouseup', () => {
+                // The click that follows a drag shouldn't also seek
+                this.suppressClick = this.endLoopDrag();
+            });
+
+            canvas.addEventListener('mouseleave', () => {
+                this.endLoopDrag();
+            });
+
+            // Touch events for mobile: tap seeks, drag draws a loop, same as the mouse
+            canvas.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                if (this.currentTrack === track && this.currentAudio) {
+                    this.beginLoopDrag(track, canvas, e.touches[0].clientX, false);
+                }
+            });
+
+            canvas.addEventListener('touchmove', (e) => {
+                e.preventDefault();
+                if (this.loopDrag && this.loopDrag.track === track) {
+                    this.updateLoopDrag(e.touches[0].clientX, true);
+                }
+            });
+
+            canvas.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                // preventDefault means no click follows, so a tap seeks here
+                if (!this.endLoopDrag() && this.currentTrack === track && this.currentAudio) {
+                    this.handleTouchScrub(e, canvas);
+                }
+            });
+
+            canvas.addEventListener('touchcancel', (e) => {
+                e.preventDefault();
+                this.endLoopDrag();
+            });
+
+            canvas.addEventListener('keydown', (e) => this.handleWaveformKey(e, track));
+
+            // Add cursor styling for interactive waveform
+            canvas.style.cursor = 'pointer';
+        });
+    }
+
+    handleWaveformKey(e, track) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+        if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            this.toggleTrack(track);
+            return;
+        }
+
+        if (this.currentTrack !== track || !this.currentAudio) return;
+
+        const audio = this.currentAudio;
+        const steps = {
+            ArrowLeft: -5,
+            ArrowDown: -5,
+            ArrowRight: 5,
+            ArrowUp: 5,
+            PageDown: -30,
+            PageUp: 30
+        };
+
+        let time;
+        if (e.key in steps) {
+            time = audio.currentTime + steps[e.key];
+        } else if (e.key === 'Home') {
+            time = 0;
+        } else if (e.key === 'End') {
+            time = audio.duration;
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        this.seekTo(time);
+        this.announce(this.describePosition(audio));
+    }
+
+    handleShortcut(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey || e.defaultPrevented) return;
+
+        // Leave typing in the filter bar and anything inside an open dialog alone
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+        if (target.closest && target.closest('dialog[open]')) return;
+
+        switch (e.key) {
+            case 'k':
+            case 'K':
+                e.preventDefault();
+                if (this.currentTrack) {
+                    this.toggleTrack(this.currentTrack);
+                } else {
+                    this.playNext();
+                }
+                break;
+            case 'j':
+            case 'J':
+                if (this.currentAudio) {
+                    e.preventDefault();
+                    this.seekTo(this.currentAudio.currentTime - 10);
+                    this.announce(this.describePosition(this.currentAudio));
+                }
+                break;
+            case 'l':
+            case 'L':
+                if (this.currentAudio) {
+                    e.preventDefault();
+                    this.seekTo(this.currentAudio.currentTime + 10);
+                    this.announce(this.describePosition(this.currentAudio));
+                }
+                break;
+            case 'N':
+                if (e.shiftKey) {
+                    e.preventDefault();
+                    this.playNext();
+                }
+                break;
+            case 'P':
+                if (e.shiftKey) {
+                    e.preventDefault();
+                    this.playPrevious();
+                }
+                break;
+            case 'a':
+            case 'A':
+            case 'b':
+            case 'B':
+                if (this.currentAudio) {
+                    e.preventDefault();
+                    this.setLoopMarker(e.key.toLowerCase());
+                }
+                break;
+            case 'd':
+            case 'D':
+                if (this.currentAudio) {
+                    e.preventDefault();
+                    this.setDownbeatAtPlayhead();
+                }
+                break;
+            case '[':
+            case ']':
+                if (this.currentAudio) {
+                    e.preventDefault();
+                    this.nudgeDownbeat(e.key === '[' ? -0.01 : 0.01);
+                }
+                break;
+            case 'Escape':
+                if (this.loopFor(this.currentTrack)) {
+                    this.clearLoop(this.currentTrack);
+                    this.updateLoopButton();
+                }
+                break;
+        }
+    }
+
+    formatTime(seconds) {
+        if (!isFinite(seconds) || seconds < 0) return '0:00';
+
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${String(secs).padStart(2, '0')}`;
+    }
+
+    describePosition(audio) {
+        return `${this.formatTime(audio.currentTime)} of ${this.formatTime(audio.duration)}`;
+    }
+
+    announce(message) {
+        const status = document.querySelector('.player-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    updateSeekSlider(canvas, audio) {
+        const duration = isFinite(audio.duration) ? audio.duration : 0;
+
+        canvas.setAttribute('aria-valuemax', Math.round(duration));
+        canvas.setAttribute('aria-valuenow', Math.round(audio.currentTime));
+        canvas.setAttribute('aria-valuetext', this.describePosition(audio));
+    }
+
+    resetSeekSlider(canvas) {
+        canvas.setAttribute('aria-valuenow', '0');
+        canvas.setAttribute('aria-valuetext', 'Not playing');
+    }
+
+    setPlayButtonState(track, playing) {
+        const playButton = track.querySelector('.play-button');
+        const title = track.querySelector('.track-title').textContent;
+
+        track.classList.toggle('playing', playing);
+        playButton.textContent = playing ? '⏸' : '▶';
+        playButton.classList.toggle('playing', playing);
+        playButton.setAttribute('aria-label', `${playing ? 'Pause' : 'Play'} ${title}`);
+    }
+
+    handleScrub(e, canvas) {
+        const rect = canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const progress = Math.max(0, Math.min(1, x / rect.width));
+        this.seekTo(progress * this.currentAudio.duration);
+    }
+
+    handleTouchScrub(e, canvas) {
+        const rect = canvas.getBoundingClientRect();
+        const touch = e.touches[0] || e.changedTouches[0];
+        const x = touch.clientX - rect.left;
+        const progress = Math.max(0, Math.min(1, x / rect.width));
+        this.seekTo(progress * this.currentAudio.duration);
+    }
+
+    seekTo(time) {
+        if (!this.currentAudio) return;
+
+        const duration = this.currentAudio.duration || 0;
+        this.cancelTransition();
+        this.currentAudio.currentTime = Math.max(0, Math.min(duration, time));
+        this.mediaSession.updatePosition(this.currentAudio);
+        this.updateSeekSlider(this.currentTrack.querySelector('.waveform'), this.currentAudio);
+        this.updateHash(this.currentTrack, this.currentAudio.currentTime);
+        this.emit('seek', { track: this.currentTrack, time: this.currentAudio.currentTime });
+    }
+
+    async preloadWaveforms() {
+        const tracks = document.querySelectorAll('.track');
+
+        for (const track of tracks) {
+            const src = track.dataset.src;
+            const canvas = track.querySelector('.waveform');
+
+            try {
+                const waveform = await this.generateWaveform(src);
+                this.waveformData.set(src, waveform);
+                // Force regeneration of waveform display
+                setTimeout(() => {
+                    this.drawStaticWaveform(canvas, waveform, src);
+                }, 10);
+            } catch (error) {
+                console.error(`Failed to generate waveform for ${src}:`, error);
+                this.drawPlaceholderWaveform(canvas, src);
+            }
+        }
+    }
+
+    async generateWaveform(src) {
+        const peaks = await this.loadPeaks(src);
+        if (peaks) {
+            return peaks;
+        }
+
+        try {
+            const response = await fetch(src);
+            const arrayBuffer = await response.arrayBuffer();
+            // Read before decoding, which detaches the buffer
+            const tags = AudioAnalysis.parseId3(new Uint8Array(arrayBuffer));
+            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            this.durations.set(src, audioBuffer.duration);
+            this.showFallbackKey(src, tags, audioBuffer);
+
+            return AudioAnalysis.computeWaveformBuckets(audioBuffer.getChannelData(0));
+        } catch (error) {
+            console.error('Error generating waveform:', error);
+            return this.generatePlaceholderData();
+        }
+    }
+
+    // Without a peaks file, a key the catalog leaves out comes from the file's tag, or
+    // else is detected from the decoded audio just as generate-peaks would have
+    showFallbackKey(src, tags, audioBuffer) {
+        const track = this.trackForSrc(src);
+        if (!track || track.dataset.key) return;
+
+        if (tags && tags.key) {
+            this.showDetectedKey(src, { name: tags.key, confidence: null });
+        } else {
+            this.showDetectedKey(src, AudioAnalysis.detectKey(audioBuffer.getChannelData(0), audioBuffer.sampleRate));
+        }
+    }
+
+    async loadPeaks(src) {
+        try {
+            const response = await fetch(AudioAnalysis.peaksUrlFor(src));
+            if (!response.ok) return null;
+
+            const peaks = await response.json();
+
+            // Deploys rewrite Last-Modified, so the audio size is what tells us the file changed
+            const entry = this.catalog.get(src);
+            if (entry && entry.size != null && peaks.source && peaks.source.size !== entry.size) {
+                console.warn(`Peaks for ${src} are stale, decoding in the browser`);
+                return null;
+            }
+
+            const waveform = AudioAnalysis.decodePeaks(peaks);
+            if (waveform && peaks.duration) {
+                this.durations.set(src, peaks.duration);
+            }
+            if (waveform && peaks.key) {
+                this.showDetectedKey(src, peaks.key);
+            }
+            return waveform;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    generatePlaceholderData() {
+        const data = [];
+        const samples = 400;
+
+        for (let i = 0; i < samples; i++) {
+            // Create more realistic placeholder waveform
+            const base = 0.15 + Math.sin(i * 0.1) * 0.1; // Sine wave base
+            const noise = (Math.random() - 0.5) * 0.3; // Add some randomness
+            const peaks = Math.random() > 0.9 ? Math.random() * 0.4 : 0; // Occasional peaks
+
+            const amplitude = Math.max(0.05, Math.min(0.9, base + noise + peaks));
+
+            data.push({
+                average: amplitude * 0.8,
+                peak: amplitude,
+                rms: amplitude * 0.9,
+                combined: amplitude
+            });
+        }
+
+        return data;
+    }
+
+    drawStaticWaveform(canvas, waveform, src) {
+        const ctx = canvas.getContext('2d');
+        const color = this.trackColors.get(src) || '#2ECC71';
+
+        // Get the display size from CSS
+        const rect = canvas.getBoundingClientRect();
+        const displayWidth = rect.width;
+        const displayHeight = rect.height;
+
+        // Enable high-quality rendering
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+
+        // Scale for high DPI displays
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = displayWidth * dpr;
+        canvas.height = displayHeight * dpr;
+        ctx.scale(dpr, dpr);
+
+        ctx.clearRect(0, 0, displayWidth, displayHeight);
+        this.drawBeatGrid(ctx, src, displayWidth, displayHeight);
+
+        const centerY = displayHeight / 2;
+
+        // Create detailed, realistic waveform with individual bars
+        const barCount = waveform.length;
+        const barWidth = displayWidth / barCount;
+        const barGap = Math.max(0.5, barWidth * 0.15); // Small gap between bars
+
+        for (let i = 0; i < barCount; i++) {
+            const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
+
+            // Much better amplitude scaling - fills canvas height more effectively
+            const normalizedAmplitude = Math.max(0.3, Math.min(0.95, amplitude));
+            const barHeight = normalizedAmplitude * displayHeight * 0.85; // Use 85% of canvas height
+
+            const x = i * barWidth;
+            const actualBarWidth = Math.max(1, barWidth - barGap);
+
+            // Create gradient for each bar
+            const barGradient = ctx.createLinearGradient(x, centerY - barHeight / 2, x, centerY + barHeight / 2);
+            barGradient.addColorStop(0, color + 'CC'); // 80% opacity at edges
+            barGradient.addColorStop(0.5, color + '99'); // 60% opacity at center
+            barGradient.addColorStop(1, color + 'CC'); // 80% opacity at edges
+
+            ctx.fillStyle = barGradient;
+
+            // Draw rounded rectangle bar
+            const barY = centerY - barHeight / 2;
+            const cornerRadius = Math.min(actualBarWidth / 3, 2);
+
+            ctx.beginPath();
+            ctx.roundRect(x, barY, actualBarWidth, barHeight, cornerRadius);
+            ctx.fill();
+
+            // Add subtle stroke for definition
+            ctx.strokeStyle = color + '40'; // 25% opacity
+            ctx.lineWidth = 0.5;
+            ctx.stroke();
+        }
+
+        this.drawLoopOverlay(ctx, src, displayWidth, displayHeight);
+    }
+
+    drawAnimatedWaveform(canvas, waveform, progress = 0, src) {
+        const ctx = canvas.getContext('2d');
+        const baseColor = this.trackColors.get(src) || '#2ECC71';
+        const progressedColor = this.darkenColor(baseColor, 0.3);
+
+        // Get the display size from CSS
+        const rect = canvas.getBoundingClientRect();
+        const displayWidth = rect.width;
+        const displayHeight = rect.height;
+
+        // Enable high-quality rendering
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+
+        // Scale for high DPI displays
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = displayWidth * dpr;
+        canvas.height = displayHeight * dpr;
+        ctx.scale(dpr, dpr);
+
+        ctx.clearRect(0, 0, displayWidth, displayHeight);
+        this.drawBeatGrid(ctx, src, displayWidth, displayHeight);
+
+        const centerY = displayHeight / 2;
+        const stepX = displayWidth / (waveform.length - 1);
+        const progressIndex = Math.floor(progress * waveform.length);
+
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        // Draw progressed portion (darker)
+        if (progressIndex > 0) {
+            ctx.strokeStyle = progressedColor;
+
+            // Upper waveform (progressed)
+            ctx.beginPath();
+            ctx.moveTo(0, centerY);
+            for (let i = 0; i <= progressIndex && i < waveform.length; i++) {
+                const x = i * stepX;
+                const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
+                const y = centerY - (amplitude * displayHeight * 0.4);
+                ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+
+            // Lower waveform (progressed)
+            ctx.beginPath();
+            ctx.moveTo(0, centerY);
+            for (let i = 0; i <= progressIndex && i < waveform.length; i++) {
+                const x = i * stepX;
+                const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
+                const y = centerY + (amplitude * displayHeight * 0.4);
+                ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        }
+
+        // Draw remaining portion (original color)
+        if (progressIndex < waveform.length - 1) {
+            ctx.strokeStyle = baseColor;
+
+            // Upper waveform (remaining)
+            ctx.beginPath();
+            const startX = progressIndex * stepX;
+            ctx.moveTo(startX, centerY);
+            for (let i = progressIndex; i < waveform.length; i++) {
+                const x = i * stepX;
+                const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
+                const y = centerY - (amplitude * displayHeight * 0.4);
+                ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+
+            // Lower waveform (remaining)
+            ctx.beginPath();
+            ctx.moveTo(startX, centerY);
+            for (let i = progressIndex; i < waveform.length; i++) {
+                const x = i * stepX;
+                const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
+                const y = centerY + (amplitude * displayHeight * 0.4);
+                ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        }
+
+        this.drawLoopOverlay(ctx, src, displayWidth, displayHeight);
+
+        // Draw progress indicator
+        const progressX = progress * displayWidth;
+        ctx.strokeStyle = '#FF3B30';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(progressX, 0);
+        ctx.lineTo(progressX, displayHeight);
+        ctx.stroke();
+    }
+
+    darkenColor(color, amount) {
+        const hex = color.replace('#', '');
+        const r = Math.max(0, parseInt(hex.substr(0, 2), 16) - Math.round(255 * amount));
+        const g = Math.max(0, parseInt(hex.substr(2, 2), 16) - Math.round(255 * amount));
+        const b = Math.max(0, parseInt(hex.substr(4, 2), 16) - Math.round(255 * amount));
+        return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    }
+
+    drawPlaceholderWaveform(canvas, src) {
+        const placeholderData = this.generatePlaceholderData();
+        this.drawStaticWaveform(canvas, placeholderData, src);
+    }
+
+    // The engine outlives individual tracks, so these listeners are bound once and
+    // always act on whatever track is current when the event arrives
+    setupEngineEvents() {
+        this.engine.on('timeupdate', () => this.handleTimeUpdate());
+        this.engine.on('ended', () => {
+            if (this.currentTrack) this.handleTrackEnded(this.currentTrack);
+        });
+        this.engine.on('loadedmetadata', () => {
+            if (!this.currentTrack) return;
+
+            this.mediaSession.updatePosition(this.currentAudio);
+            this.durations.set(this.currentTrack.dataset.src, this.currentAudio.duration);
+        });
+        this.engine.on('seeking', () => {
+            if (this.onsetDetector) this.onsetDetector.reset();
+            this.metronome.resync();
+            if (this.currentAudio) this.voiceTag.resync(this.currentAudio.currentTime);
+        });
+        this.engine.on('pause', () => this.handlePause());
+        this.engine.on('handoff', () => this.handleHandoff());
+    }
+
+    handleTimeUpdate() {
+        const track = this.currentTrack;
+        if (!track || !this.currentAudio) return;
+
+        const src = track.dataset.src;
+        const canvas = track.querySelector('.waveform');
+        const progress = this.currentAudio.currentTime / this.currentAudio.duration;
+        const waveform = this.waveformData.get(src);
+        this.updateSeekSlider(canvas, this.currentAudio);
+        this.updateHash(track, this.currentAudio.currentTime);
+        this.updatePositionReadout(track);
+        this.emit('progress', { track, time: this.currentAudio.currentTime, duration: this.currentAudio.duration });
+        this.checkTransition(track);
+        if (track.dataset.preview !== 'true') {
+            this.voiceTag.update(src, this.currentAudio.currentTime);
+        }
+        if (waveform) {
+            this.drawAnimatedWaveform(canvas, waveform, progress, src);
+
+            // Report the current audio intensity from the precomputed waveform
+            const currentIndex = Math.floor(progress * waveform.length);
+            if (currentIndex < waveform.length) {
+                const currentAmplitude = typeof waveform[currentIndex] === 'object'
+                    ? waveform[currentIndex].combined
+                    : waveform[currentIndex];
+
+                this.emit('amplitude', { track, level: currentAmplitude, source: 'waveform' });
+            }
+        }
+    }
+
+    handlePause() {
+        const track = this.currentTrack;
+        // A pause queued before a source swap can land after the next track started
+        if (!track || !this.currentAudio || !this.currentAudio.paused) return;
+
+        const src = track.dataset.src;
+        this.emit('pause', { track, time: this.currentAudio.currentTime });
+        this.mediaSession.setPlaybackState('paused');
+        this.metronome.stop();
+        this.voiceTag.stop();
+        this.setPlayButtonState(track, false);
+        if (!this.currentAudio.ended) {
+            this.announce(`Paused ${track.querySelector('.track-title').textContent} at ${this.describePosition(this.currentAudio)}`);
+        }
+
+        // Stop reactive visualization and show static waveform
+        this.stopReactiveVisualization();
+
+        const waveform = this.waveformData.get(src);
+        if (waveform) {
+            this.drawStaticWaveform(track.querySelector('.waveform'), waveform, src);
+        }
+    }
+
+    async toggleTrack(track) {
+        const src = track.dataset.src;
+
+        if (this.currentTrack === track && this.currentAudio && !this.currentAudio.paused) {
+            this.pauseTrack();
+            return;
+        }
+
+        if (this.currentTrack === track && this.currentAudio && this.currentAudio.paused) {
+            this.resumeTrack();
+            return;
+        }
+
+        if (this.currentAudio) {
+            this.stopTrack();
+        }
+
+        try {
+            this.currentTrack = track;
+            this.currentAudio = this.engine.load(src);
+            this.tempo.applyTo(this.currentAudio);
+
+            this.setPlayButtonState(track, true);
+
+            await this.engine.play();
+            this.onTrackStarted(track);
+        } catch (error) {
+            // Another track was picked before this one started; it owns the engine now
+            if (error.name === 'AbortError' && this.currentTrack !== track) return;
+
+            console.error('Error playing audio:', error);
+            this.resetTrack(track);
+        }
+    }
+
+    onTrackStarted(track) {
+        const canvas = track.querySelector('.waveform');
+
+        this.lastHashSecond = null;
+        this.updateHash(track, this.currentAudio.currentTime);
+        this.pendingLoopStart = null;
+        this.updateLoopButton();
+        this.engine.setLoop(this.loopFor(track));
+        if (this.gridSettings.click) this.metronome.start();
+        const deepLinked = this.consumePendingStart(track);
+        this.notifyTrackChange(track);
+        if (this.onsetDetector) {
+            this.onsetDetector.reset();
+            this.syncOnsetGrid(track);
+        }
+
+        const metadata = this.mediaMetadataFor(track);
+        this.mediaSession.setTrack(metadata);
+        this.mediaSession.setPlaybackState('playing');
+        this.showEmbeddedArtwork(track, metadata);
+        this.announce(`Playing ${metadata.title} by ${metadata.artist}`);
+
+        // Start reactive visualization immediately after play starts
+        if (this.engine.analyser) {
+            this.startReactiveVisualization(canvas, track.dataset.src);
+        }
+
+        this.emit('play', { track, time: this.currentAudio.currentTime, resumed: false, deepLinked });
+    }
+
+    pauseTrack() {
+        if (this.currentAudio) {
+            this.cancelTransition();
+            this.currentAudio.pause();
+        }
+    }
+
+    resumeTrack() {
+        if (this.currentAudio && this.currentTrack) {
+            const canvas = this.currentTrack.querySelector('.waveform');
+            const src = this.currentTrack.dataset.src;
+
+            this.engine.play();
+            this.mediaSession.setPlaybackState('playing');
+            if (this.gridSettings.click) this.metronome.start();
+            this.announce(`Playing ${this.currentTrack.querySelector('.track-title').textContent}`);
+
+            // Restart reactive visualization
+            if (this.engine.analyser) {
+                this.startReactiveVisualization(canvas, src);
+            }
+
+            this.emit('play', { track: this.currentTrack, time: this.currentAudio.currentTime, resumed: true, deepLinked: false });
+        }
+    }
+
+    stopTrack() {
+        this.cancelTransition();
+
+        if (this.currentTrack && this.currentAudio) {
+            this.emit('stop', { track: this.currentTrack, time: this.currentAudio.currentTime });
+        }
+
+        if (this.currentAudio) {
+            this.currentAudio.pause();
+            this.currentAudio.currentTime = 0;
+        }
+
+        if (this.currentTrack) {
+            this.resetTrack(this.currentTrack);
+        }
+    }
+
+    resetTrack(track) {
+        const canvas = track.querySelector('.waveform');
+        const src = track.dataset.src;
+
+        this.setPlayButtonState(track, false);
+        this.resetSeekSlider(canvas);
+        this.metronome.stop();
+        this.voiceTag.stop();
+
+        const waveform = this.waveformData.get(src);
+        if (waveform) {
+            this.drawStaticWaveform(canvas, waveform, src);
+        }
+
+        if (this.currentTrack === track) {
+            this.currentTrack = null;
+            this.currentAudio = null;
+            this.updatePositionReadout(track);
+            this.mediaSession.setPlaybackState('none');
+            if (this.reportedTrack === track) {
+                this.notifyTrackChange(null);
+            }
+            this.stopReactiveVisualization();
+        }
+    }
+
+    destroy() {
+        this.stopTrack();
+        this.metronome.stop();
+        Array.from(this.plugins.keys()).forEach(name => this.unregisterPlugin(name));
+        this.engine.destroy();
+    }
+
+    startReactiveVisualization(canvas, src) {
+        if (!this.engine.analyser) return;
+
+        this.stopReactiveVisualization();
+        this.visualizer.reset();
+        this.stopVisualization = this.frames.add(() => {
+            if (!this.currentAudio || this.currentAudio.paused || !this.currentTrack) {
+                this.stopReactiveVisualization();
+                return;
+            }
+
+            this.detectOnsets();
+            const level = this.visualizer.render(canvas, src);
+
+            // Report intensity from the live frequency data
+            this.emit('amplitude', { track: this.currentTrack, level, source: 'analyser' });
+        });
+    }
+
+    stopReactiveVisualization() {
+        if (this.stopVisualization) {
+            this.stopVisualization();
+            this.stopVisualization = null;
+        }
+    }
+
+    // Kicks and drops are found in track time so they can be lined up with the beat grid
+    syncOnsetGrid(track) {
+        const grid = this.beatGrid(track);
+        this.onsetDetector.setGrid(grid ? grid.bpm : 0, grid ? grid.offset : 0);
+    }
+
+    detectOnsets() {
+        const { onsetAnalyser, onsetData } = this.engine;
+        if (!this.onsetDetector || !onsetAnalyser) return;
+
+        onsetAnalyser.getFloatFrequencyData(onsetData);
+        for (let i = 0; i < onsetData.length; i++) {
+            // Decibels back to the linear magnitudes the detector expects; silence is -Infinity
+            this.onsetMagnitudes[i] = Number.isFinite(onsetData[i]) ? Math.pow(10, onsetData[i] / 20) : 0;
+        }
+
+        // The analyser holds the last fftSize samples, so a hit shows up half a window late
+        const audio = this.currentAudio;
+        const latency = (onsetAnalyser.fftSize / 2 / this.audioContext.sampleRate) * audio.playbackRate;
+        const onset = this.onsetDetector.process(this.onsetMagnitudes, audio.currentTime - latency);
+        if (!onset) return;
+
+        const track = this.currentTrack;
+        this.emit('beat', { track, time: onset.time, strength: onset.strength, beat: onset.beat, onGrid: onset.onGrid });
+        if (onset.drop) {
+            this.emit('drop', { track, time: onset.time, strength: onset.strength });
+        }
+    }
+
+    lightenColor(color, amount) {
+        const hex = color.replace('#', '');
+        const r = Math.min(255, parseInt(hex.substr(0, 2), 16) + Math.round(255 * amount));
+        const g = Math.min(255, parseInt(hex.substr(2, 2), 16) + Math.round(255 * amount));
+        const b = Math.min(255, parseInt(hex.substr(4, 2), 16) + Math.round(255 * amount));
+        return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    }
+}
+
+// List player for pages like the 2025 playlist: the beats page's engine, queue and media
+// session behind a now-playing display, seek bar and track list. It renders plain
+// playlist-* markup and leaves the look to the page's own stylesheet. Files that can't
+// be fetched are greyed out and skipped; titles and artists the playlist leaves out are
+// read from the files' ID3 tags.
+class PlaylistPlayer {
+    constructor(root) {
+        this.root = root;
+        this.items = [];
+        this.entries = new Map();
+        this.currentItem = null;
+        this.currentAudio = null;
+        this.isScrubbing = false;
+        this.engine = new PlaybackEngine(null);
+        this.tags = new TagReader();
+        this.queue = new PlaybackQueue(() => this.items.filter(item => !item.classList.contains('unavailable')));
+        this.queue.repeat = 'all';
+        this.mediaSession = new MediaSessionController({
+            play: () => this.play(),
+            pause: () => this.pause(),
+            seekTo: (time) => this.seekTo(time),
+            seekBy: (offset) => this.currentAudio && this.seekTo(this.currentAudio.currentTime + offset),
+            next: () => this.next(),
+            previous: () => this.previous()
+        });
+
+        this.init();
+    }
+
+    async init() {
+        this.list = this.root.querySelector('.playlist-items');
+        this.title = this.root.querySelector('.playlist-now-title');
+        this.artist = this.root.querySelector('.playlist-now-artist');
+        this.toggleButton = this.root.querySelector('.playlist-toggle');
+        this.seek = this.root.querySelector('.playlist-seek');
+        this.elapsed = this.root.querySelector('.playlist-elapsed');
+        this.duration = this.root.querySelector('.playlist-duration');
+        this.status = this.root.querySelector('.playlist-status');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.root.querySelector('.playlist-prev').addEventListener('click', () => this.previous());
+        this.root.querySelector('.playlist-next').addEventListener('click', () => this.next());
+
+        this.seek.addEventListener('input', () => {
+            this.isScrubbing = true;
+            this.renderTime(Number(this.seek.value));
+        });
+        this.seek.addEventListener('change', () => {
+            this.isScrubbing = false;
+            this.seekTo(Number(this.seek.value));
+        });
+
+        this.engine.on('timeupdate', () => this.handleTimeUpdate());
+        this.engine.on('loadedmetadata', () => this.handleTimeUpdate());
+        this.engine.on('ended', () => this.handleEnded());
+        this.engine.on('pause', () => this.renderState());
+
+        await this.load();
+    }
+
+    async load() {
+        const url = this.root.dataset.playlist;
+        let playlist;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            playlist = await response.json();
+        } catch (error) {
+            console.error(`Failed to load playlist from ${url}:`, error);
+            this.announce('Playlist unavailable');
+            return;
+        }
+
+        // Files are listed relative to the playlist itself
+        const baseUrl = url.slice(0, url.lastIndexOf('/') + 1);
+        this.album = playlist.album || '';
+        this.artwork = playlist.artwork ? baseUrl + playlist.artwork : null;
+
+        const tracks = Array.isArray(playlist.tracks) ? playlist.tracks : [];
+        this.items = tracks.map((entry, index) => {
+            // Titles like "Best Friend?" would otherwise end the path at the question mark
+            const src = baseUrl + encodeURIComponent(entry.file);
+            const artwork = entry.artwork ? baseUrl + entry.artwork : null;
+            const item = this.createItem(index);
+            this.entries.set(item, { ...entry, src, artwork });
+            this.renderItem(item);
+            return item;
+        });
+        this.list.replaceChildren(...this.items);
+
+        const missing = [];
+        await Promise.all(this.items.map(async item => {
+            const entry = this.entries.get(item);
+            if (!(await this.engine.probe(entry.src))) {
+                this.markUnavailable(item);
+                missing.push(`"${this.titleFor(entry)}": missing file ${entry.file}`);
+            } else if (!entry.title || !entry.artist) {
+                await this.applyFileTags(item);
+            }
+        }));
+
+        if (missing.length > 0) {
+            console.warn(`Playlist ${url} has ${missing.length} unavailable entr${missing.length === 1 ? 'y' : 'ies'}:\n  ${missing.join('\n  ')}`);
+        }
+    }
+
+    // The playlist's title and artist win; the file's ID3 tag fills in what it leaves out
+    async applyFileTags(item) {
+        const entry = this.entries.get(item);
+        const tags = await this.tags.read(entry.src);
+        if (!tags) return;
+
+        entry.title = entry.title || tags.title;
+        entry.artist = entry.artist || tags.artist;
+        this.renderItem(item);
+        if (item === this.currentItem) this.renderTrack();
+    }
+
+    // Untitled songs go by their file name until (unless) their tags say otherwise
+    titleFor(entry) {
+        return entry.title || entry.file.replace(/\.[^.]+$/, '');
+    }
+
+    createItem(index) {
+        const item = document.createElement('li');
+        item.className = 'playlist-item';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'playlist-select';
+        button.dataset.number = index + 1;
+        button.addEventListener('click', () => this.playItem(item));
+
+        item.appendChild(button);
+        return item;
+    }
+
+    renderItem(item) {
+        const entry = this.entries.get(item);
+        const button = item.querySelector('.playlist-select');
+
+        const number = document.createElement('span');
+        number.className = 'playlist-number';
+        number.textContent = `${button.dataset.number}.`;
+
+        const title = document.createElement('strong');
+        title.textContent = this.titleFor(entry);
+
+        button.replaceChildren(number, title, entry.artist ? ` - ${entry.artist}` : '');
+    }
+
+    markUnavailable(item) {
+        item.classList.add('unavailable');
+        const button = item.querySelector('.playlist-select');
+        button.disabled = true;
+        button.title = 'File not available';
+    }
+
+    async playItem(item) {
+        if (!item || item.classList.contains('unavailable')) return;
+
+        const entry = this.entries.get(item);
+        this.currentItem = item;
+        this.currentAudio = this.engine.load(entry.src);
+        this.renderTrack();
+
+        try {
+            await this.engine.play();
+            this.renderState();
+            const metadata = { title: this.titleFor(entry), artist: entry.artist || '', album: this.album, artwork: entry.artwork || this.artwork };
+            this.mediaSession.setTrack(metadata);
+            this.showEmbeddedArtwork(item, metadata);
+            this.announce(entry.artist ? `Playing ${metadata.title} by ${entry.artist}` : `Playing ${metadata.title}`);
+        } catch (error) {
+            // A newer pick already owns the engine
+            if (error.name === 'AbortError' && this.currentItem !== item) return;
+
+            // Reachable but unplayable (wrong format, truncated upload): grey it out and move on
+            console.error(`Error playing ${entry.src}:`, error);
+            const next = this.queue.next(item, { wrap: true });
+            this.markUnavailable(item);
+            this.announce(`${this.titleFor(entry)} is unavailable, skipping`);
+            if (next && next !== item) this.playItem(next);
+            else this.renderState();
+        }
+    }
+
+    // A song's own cover beats the album artwork on the lock screen, unless the playlist
+    // gives the song artwork of its own
+    async showEmbeddedArtwork(item, metadata) {
+        const entry = this.entries.get(item);
+        if (entry.artwork) return;
+
+        const artwork = await this.tags.artworkFor(entry.src);
+        if (artwork && this.currentItem === item) {
+            this.mediaSession.setTrack({ ...metadata, artwork });
+        }
+    }
+
+    play() {
+        if (this.currentAudio && this.currentAudio.paused) {
+            this.engine.play().then(() => this.renderState()).catch(error => {
+                console.error('Error resuming audio:', error);
+            });
+        } else if (!this.currentAudio) {
+            this.playItem(this.queue.next(null));
+        }
+    }
+
+    pause() {
+        if (this.currentAudio) this.currentAudio.pause();
+    }
+
+    toggle() {
+        if (this.currentAudio && !this.currentAudio.paused) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    next() {
+        this.playItem(this.queue.next(this.currentItem, { wrap: true }));
+    }
+
+    previous() {
+        // Like most players, "previous" a few seconds in restarts the song
+        if (this.currentAudio && this.currentAudio.currentTime > 3) {
+            this.seekTo(0);
+            return;
+        }
+        this.playItem(this.queue.previous(this.currentItem, { wrap: true }));
+    }
+
+    seekTo(time) {
+        const audio = this.currentAudio;
+        if (!audio || !isFinite(audio.duration)) return;
+
+        audio.currentTime = Math.max(0, Math.min(audio.duration, time));
+        this.mediaSession.updatePosition(audio);
+        this.handleTimeUpdate();
+    }
+
+    handleTimeUpdate() {
+        const audio = this.currentAudio;
+        if (!audio) return;
+
+        const duration = isFinite(audio.duration) ? audio.duration : 0;
+        this.seek.max = duration;
+        this.seek.disabled = !duration;
+        if (!this.isScrubbing) {
+            this.seek.value = audio.currentTime;
+            this.renderTime(audio.currentTime);
+        }
+
+        // Buffer the next song so the change-over is gapless
+        if (duration && duration - audio.currentTime < 10) {
+            const next = this.queue.afterEnded(this.currentItem);
+            if (next && next !== this.currentItem) {
+                this.engine.preload(this.entries.get(next).src);
+            }
+        }
+    }
+
+    handleEnded() {
+        const next = this.queue.afterEnded(this.currentItem);
+        if (next) {
+            this.playItem(next);
+        } else {
+            this.renderState();
+        }
+    }
+
+    renderTrack() {
+        const entry = this.entries.get(this.currentItem);
+        this.title.textContent = this.titleFor(entry);
+        this.artist.textContent = entry.artist || '';
+        this.items.forEach(item => {
+            const active = item === this.currentItem;
+            item.classList.toggle('active', active);
+            if (active) {
+                item.querySelector('.playlist-select').setAttribute('aria-current', 'true');
+            } else {
+                item.querySelector('.playlist-select').removeAttribute('aria-current');
+            }
+        });
+        this.seek.value = 0;
+        this.renderTime(0);
+    }
+
+    renderState() {
+        const playing = !!this.currentAudio && !this.currentAudio.paused;
+        this.toggleButton.textContent = playing ? '⏸' : '▶';
+        this.toggleButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+        this.mediaSession.setPlaybackState(this.currentAudio ? (playing ? 'playing' : 'paused') : 'none');
+    }
+
+    renderTime(time) {
+        const duration = this.currentAudio ? this.currentAudio.duration : NaN;
+        this.elapsed.textContent = this.formatTime(time);
+        this.duration.textContent = this.formatTime(duration);
+        this.seek.setAttribute('aria-valuetext', `${this.formatTime(time)} of ${this.formatTime(duration)}`);
+    }
+
+    formatTime(seconds) {
+        if (!isFinite(seconds) || seconds < 0) return '0:00';
+
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${String(secs).padStart(2, '0')}`;
+    }
+
+    announce(message) {
+        if (this.status) this.status.textContent = message;
+    }
+}
+
+// Element events that start, stop, move or speed up playback under a running loop
+const LOOP_SYNC_EVENTS = ['seeked', 'pause', 'playing', 'ratechange', 'ended'];
+
+// One long-lived media pipeline: two voices (media element -> source -> gain) feeding a
+// shared bus -> [pitch shifter] -> analyser -> master gain -> destination. The second
+// voice preloads the next beat and carries the incoming side of a crossfade. An A/B loop
+// plays from a decoded copy of the track on a looping buffer source, so the wrap is
+// sample-accurate; the active element keeps running silently underneath as the clock
+// the page reads, and is sent back to A on a timer rather than per frame, which keeps
+// it looping in background tabs too.
+class PlaybackEngine {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.handlers = new Map();
+        this.nodes = new Set();
+        this.voices = [];
+        this.input = null;
+        this.analyser = null;
+        this.onsetAnalyser = null;
+        this.onsetData = null;
+        this.master = null;
+        this.pitchShifter = null;
+        this.pitchRatio = 1;
+        this.fade = null;
+        this.loop = null;
+        this.loopBuffer = null;
+        this.looper = null;
+        this.wrapTimer = null;
+        this.wrapping = false;
+
+        this.init();
+    }
+
+    init() {
+        const ctx = this.audioContext;
+        if (ctx) {
+            this.input = this.register(ctx.createGain());
+            // FFT size and smoothing belong to ReactiveVisualizer
+            this.analyser = this.register(ctx.createAnalyser());
+            // Onset detection needs finer low bands than the bars and no smoothing to blur the hits
+            this.onsetAnalyser = this.register(ctx.createAnalyser());
+            this.onsetAnalyser.fftSize = AudioAnalysis.ONSET_DEFAULTS.fftSize;
+            this.onsetAnalyser.smoothingTimeConstant = 0;
+            this.onsetData = new Float32Array(this.onsetAnalyser.frequencyBinCount);
+            this.master = this.register(ctx.createGain());
+
+            this.input.connect(this.analyser);
+            this.analyser.connect(this.master);
+            this.analyser.connect(this.onsetAnalyser);
+            this.master.connect(ctx.destination);
+        }
+
+        this.voice = this.createVoice();
+        this.createVoice();
+        this.pitchReady = this.loadPitchShifter();
+    }
+
+    get audio() {
+        return this.voice.audio;
+    }
+
+    get idleVoice() {
+        return this.voices.find(voice => voice !== this.voice);
+    }
+
+    register(node) {
+        this.nodes.add(node);
+        return node;
+    }
+
+    createVoice() {
+        const audio = new Audio();
+        audio.preload = 'auto';
+        const voice = { audio, src: null, source: null, gain: null, listeners: [] };
+
+        if (this.audioContext) {
+            voice.source = this.register(this.audioContext.createMediaElementSource(audio));
+            voice.gain = this.register(this.audioContext.createGain());
+            voice.source.connect(voice.gain);
+            voice.gain.connect(this.input);
+        }
+
+        // Bound once per voice; only the active voice's events reach subscribers
+        ['timeupdate', 'ended', 'loadedmetadata', 'seeking', 'seeked', 'pause', 'playing', 'ratechange'].forEach(type => {
+            const listener = (event) => {
+                if (voice !== this.voice) return;
+                this.emit(type, event);
+                if (this.loop && LOOP_SYNC_EVENTS.includes(type)) this.syncLoop(type);
+            };
+            audio.addEventListener(type, listener);
+            voice.listeners.push([type, listener]);
+        });
+
+        this.voices.push(voice);
+        return voice;
+    }
+
+    async loadPitchShifter() {
+        const ctx = this.audioContext;
+        if (!ctx || !ctx.audioWorklet) return false;
+
+        try {
+            await ctx.audioWorklet.addModule(new URL('pitch-shifter.js', SCRIPT_URL).href);
+        } catch (error) {
+            console.warn('Pitch shifting unavailable:', error);
+            return false;
+        }
+
+        this.pitchShifter = this.register(new AudioWorkletNode(ctx, 'pitch-shifter'));
+        this.pitchShifter.parameters.get('pitchRatio').value = this.pitchRatio;
+        this.input.disconnect();
+        this.input.connect(this.pitchShifter);
+        this.pitchShifter.connect(this.analyser);
+        return true;
+    }
+
+    setPitchRatio(ratio) {
+        this.pitchRatio = ratio;
+        this.applyPitchRatio();
+    }
+
+    applyPitchRatio() {
+        if (!this.pitchShifter) return;
+
+        // A buffer source changes pitch along with speed where the element doesn't, so the
+        // shifter takes that back out while the loop is playing
+        const ratio = this.looper ? this.pitchRatio / this.looper.rate : this.pitchRatio;
+        this.pitchShifter.parameters.get('pitchRatio').setValueAtTime(ratio, this.audioContext.currentTime);
+    }
+
+    // Loops { start, end } of the active source until it's cleared with null, the source
+    // changes or a crossfade starts. Moving a running loop's edges keeps it playing.
+    setLoop(loop) {
+        this.loop = loop ? { start: loop.start, end: loop.end } : null;
+        if (!this.loop) {
+            this.syncLoop();
+            return;
+        }
+
+        this.decodeLoopSource(this.voice.src);
+        const time = this.voice.audio.currentTime;
+        if (this.looper && time >= this.loop.start && time < this.loop.end) {
+            this.looper.source.loopStart = this.loop.start;
+            this.looper.source.loopEnd = this.loop.end;
+            clearTimeout(this.wrapTimer);
+            this.scheduleWrap();
+            return;
+        }
+        this.syncLoop();
+    }
+
+    // Decodes src for the buffer source, once per track. Until that's done, or if it
+    // can't be, the loop wraps by seeking the element instead.
+    decodeLoopSource(src) {
+        if (!this.audioContext || !src || (this.loopBuffer && this.loopBuffer.src === src)) return;
+
+        const entry = { src, buffer: null };
+        this.loopBuffer = entry;
+        fetch(src)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then(data => this.audioContext.decodeAudioData(data))
+            .then(buffer => {
+                if (this.loopBuffer !== entry) return;
+                entry.buffer = buffer;
+                if (this.loop && this.voice.src === src) this.syncLoop();
+            })
+            .catch(error => console.warn('Seamless looping unavailable:', error));
+    }
+
+    // Whether the loop can play from the buffer source at the element's current speed
+    canLoopFromBuffer() {
+        const entry = this.loopBuffer;
+        if (!entry || !entry.buffer || entry.src !== this.voice.src) return false;
+        return this.voice.audio.playbackRate === 1 || Boolean(this.pitchShifter);
+    }
+
+    // Brings the buffer source and wrap timer in line with the active element, whenever it
+    // starts, stops, jumps, changes speed or the loop itself changes
+    syncLoop(cause = null) {
+        clearTimeout(this.wrapTimer);
+        this.wrapTimer = null;
+
+        // The element arriving back at A after a wrap; the buffer source never left the loop
+        if (cause === 'seeked' && this.wrapping) {
+            this.wrapping = false;
+            if (this.loop && (this.looper || !this.canLoopFromBuffer())) {
+                this.scheduleWrap();
+                return;
+            }
+        }
+
+        this.stopLooper();
+        const audio = this.voice.audio;
+        if (!this.loop || audio.paused || audio.ended || this.fade) return;
+
+        const time = audio.currentTime;
+        if (this.canLoopFromBuffer() && time >= this.loop.start && time < this.loop.end) {
+            this.startLooper(time);
+        }
+        this.scheduleWrap();
+    }
+
+    startLooper(offset) {
+        const ctx = this.audioContext;
+        const rate = this.voice.audio.playbackRate;
+        const source = ctx.createBufferSource();
+        const gain = ctx.createGain();
+        source.buffer = this.loopBuffer.buffer;
+        source.loop = true;
+        source.loopStart = this.loop.start;
+        source.loopEnd = this.loop.end;
+        source.playbackRate.value = rate;
+        source.connect(gain);
+        gain.connect(this.input);
+        source.start(ctx.currentTime, offset);
+
+        this.setGain(this.voice, 0);
+        this.looper = { source, gain, voice: this.voice, rate };
+        this.applyPitchRatio();
+    }
+
+    stopLooper() {
+        if (!this.looper) return;
+
+        const { source, gain, voice } = this.looper;
+        this.looper = null;
+        source.stop();
+        source.disconnect();
+        gain.disconnect();
+        this.setGain(voice, 1);
+        this.applyPitchRatio();
+    }
+
+    // Sets a timer for when the element reaches B, or A when the buffer source is ready to
+    // take over from it there. Timers keep firing in hidden tabs, if less precisely, and
+    // only the silent element depends on them while the buffer source is looping.
+    scheduleWrap() {
+        const audio = this.voice.audio;
+        const time = audio.currentTime;
+        const target = !this.looper && this.canLoopFromBuffer() && time < this.loop.start
+            ? this.loop.start
+            : this.loop.end;
+        const delay = Math.max(0, (target - time) / audio.playbackRate * 1000);
+        this.wrapTimer = setTimeout(() => this.wrap(), delay);
+    }
+
+    wrap() {
+        this.wrapTimer = null;
+        const audio = this.voice.audio;
+        if (!this.loop || audio.paused) return;
+
+        const { start, end } = this.loop;
+        const time = audio.currentTime;
+        if (!this.looper && this.canLoopFromBuffer() && time >= start && time < end) {
+            this.syncLoop();
+            return;
+        }
+        // The element's clock and the timer's drift apart a little; wait for the element
+        if (time < end - 0.01) {
+            this.scheduleWrap();
+            return;
+        }
+
+        // Carry the overshoot over so the element stays level with the buffer source
+        this.wrapping = true;
+        audio.currentTime = start + Math.max(0, time - end) % (end - start);
+    }
+
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+    }
+
+    emit(type, event) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.forEach(handler => handler(event));
+        }
+    }
+
+    setSource(voice, src) {
+        if (voice.src === src) {
+            voice.audio.currentTime = 0;
+            return;
+        }
+
+        voice.audio.src = src;
+        voice.src = src;
+    }
+
+    setGain(voice, value) {
+        if (!voice.gain) return;
+
+        // Clear from zero so a curve that is already running is dropped too
+        voice.gain.gain.cancelScheduledValues(0);
+        voice.gain.gain.value = value;
+    }
+
+    preload(src) {
+        const idle = this.idleVoice;
+        if (idle.src !== src) {
+            this.setSource(idle, src);
+        }
+    }
+
+    // Resolves to the HEAD response when src can be fetched, otherwise null
+    async probe(src) {
+        try {
+            const response = await fetch(src, { method: 'HEAD' });
+            return response.ok ? response : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Makes src the active source, switching to the idle voice when it already has it
+    // buffered. Returns the element for callers that read its state.
+    load(src) {
+        this.cancelFade();
+        this.clearLoop(src);
+
+        const idle = this.idleVoice;
+        if (idle.src === src) {
+            this.voice.audio.pause();
+            this.voice = idle;
+        }
+
+        this.setSource(this.voice, src);
+        this.setGain(this.voice, 1);
+        return this.voice.audio;
+    }
+
+    crossfadeTo(src, seconds) {
+        this.cancelFade();
+        this.clearLoop(src);
+
+        const outgoing = this.voice;
+        const incoming = this.idleVoice;
+        const now = this.audioContext.currentTime;
+
+        this.setSource(incoming, src);
+        this.setGain(outgoing, 1);
+        this.setGain(incoming, 0);
+        incoming.audio.play().catch(error => {
+            console.error('Error playing audio:', error);
+            this.cancelFade();
+        });
+
+        // Equal-power curves keep the summed loudness steady through the fade
+        const steps = 64;
+        const fadeOut = new Float32Array(steps);
+        const fadeIn = new Float32Array(steps);
+        for (let i = 0; i < steps; i++) {
+            const t = i / (steps - 1);
+            fadeOut[i] = Math.cos(t * Math.PI / 2);
+            fadeIn[i] = Math.sin(t * Math.PI / 2);
+        }
+        outgoing.gain.gain.setValueCurveAtTime(fadeOut, now, seconds);
+        incoming.gain.gain.setValueCurveAtTime(fadeIn, now, seconds);
+
+        this.fade = {
+            outgoing,
+            handoffTimer: setTimeout(() => {
+                this.voice = incoming;
+                this.emit('handoff');
+            }, seconds * 500),
+            endTimer: setTimeout(() => {
+                this.fade = null;
+                outgoing.audio.pause();
+                this.setGain(outgoing, 1);
+            }, seconds * 1000)
+        };
+
+        return incoming.audio;
+    }
+
+    // Drops the loop, and the decoded copy too unless it's of src
+    clearLoop(src) {
+        this.setLoop(null);
+        if (this.loopBuffer && this.loopBuffer.src !== src) {
+            this.loopBuffer = null;
+        }
+    }
+
+    // Abandons a running crossfade, keeping only the active voice audible
+    cancelFade() {
+        if (!this.fade) return;
+
+        clearTimeout(this.fade.handoffTimer);
+        clearTimeout(this.fade.endTimer);
+        this.fade = null;
+
+        this.idleVoice.audio.pause();
+        this.setGain(this.idleVoice, 1);
+        this.setGain(this.voice, 1);
+    }
+
+    async play() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        return this.voice.audio.play();
+    }
+
+    destroy() {
+        this.cancelFade();
+        this.clearLoop(null);
+        this.voices.forEach(voice => {
+            voice.listeners.forEach(([type, listener]) => voice.audio.removeEventListener(type, listener));
+            voice.audio.pause();
+            voice.audio.removeAttribute('src');
+            voice.audio.load();
+        });
+        this.nodes.forEach(node => node.disconnect());
+
+        this.voices = [];
+        this.nodes.clear();
+        this.handlers.clear();
+    }
+
+    // Counts for spotting leaks: these should not grow as tracks are switched
+    stats() {
+        let subscribers = 0;
+        this.handlers.forEach(handlers => {
+            subscribers += handlers.size;
+        });
+
+        return {
+            voices: this.voices.length,
+            nodes: this.nodes.size,
+            mediaListeners: this.voices.reduce((count, voice) => count + voice.listeners.length, 0),
+            subscribers
+        };
+    }
+}
+
+// ID3 tags read straight from the audio files, so titles, artists, BPM, key and cover
+// art needn't be typed into the page; whatever the page does give wins. Text comes from
+// the first chunk of the file; the rest of the tag, usually just the cover, is only
+// fetched when artwork is asked for. Everything is cached per file.
+class TagReader {
+    constructor() {
+        this.chunkSize = 4096;
+        this.heads = new Map();
+        this.artwork = new Map();
+    }
+
+    // Resolves to { title, artist, album, bpm, key } with nulls for what's missing, or
+    // null when the file has no tag or can't be read
+    async read(src) {
+        const head = await this.head(src);
+        return head ? AudioAnalysis.parseId3(head) : null;
+    }
+
+    // Resolves to an object URL for the embedded cover, or null
+    artworkFor(src) {
+        if (!this.artwork.has(src)) {
+            // A cover that can't be read just leaves the default artwork in place
+            this.artwork.set(src, this.readPicture(src).catch(() => null));
+        }
+        return this.artwork.get(src);
+    }
+
+    async readPicture(src) {
+        const head = await this.head(src);
+        const length = head ? AudioAnalysis.id3TagLength(head) : 0;
+        if (!length) return null;
+
+        let bytes = head;
+        if (length > head.length) {
+            const rest = await this.fetchRange(src, head.length, length);
+            if (!rest) return null;
+
+            bytes = new Uint8Array(head.length + rest.length);
+            bytes.set(head);
+            bytes.set(rest, head.length);
+        }
+
+        const tags = AudioAnalysis.parseId3(bytes);
+        const picture = tags && tags.picture;
+        return picture ? URL.createObjectURL(new Blob([picture.data], { type: picture.mime })) : null;
+    }
+
+    head(src) {
+        if (!this.heads.has(src)) {
+            this.heads.set(src, this.fetchRange(src, 0, this.chunkSize));
+        }
+        return this.heads.get(src);
+    }
+
+    // Bytes [start, end) of src, or null. A server that ignores the Range header sends
+    // the whole file, which is only read as far as needed.
+    async fetchRange(src, start, end) {
+        try {
+            const response = await fetch(src, { headers: { Range: `bytes=${start}-${end - 1}` } });
+            if (!response.ok) return null;
+            if (response.status === 206 || !response.body) {
+                const bytes = new Uint8Array(await response.arrayBuffer());
+                return response.status === 206 ? bytes : bytes.subarray(start, end);
+            }
+
+            const reader = response.body.getReader();
+            const chunks = [];
+            let received = 0;
+            while (received < end) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                received += value.length;
+            }
+            reader.cancel();
+
+            const bytes = new Uint8Array(received);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
+            });
+            return bytes.subarray(start, end);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// One requestAnimationFrame shared by everything the player redraws every frame. The
+// optional monitor gets each frame's timestamp, which is how slow devices are spotted.
+class FrameLoop {
+    constructor(monitor = null) {
+        this.callbacks = new Set();
+        this.frameId = null;
+        this.monitor = monitor;
+        this.tick = (time) => {
+            this.frameId = null;
+            if (this.monitor) this.monitor.sample(time);
+            this.callbacks.forEach(callback => {
+                try {
+                    callback(time);
+                } catch (error) {
+                    console.error('Error in frame callback:', error);
+                }
+            });
+            if (this.callbacks.size) this.start();
+        };
+    }
+
+    // Returns a function that removes the callback again
+    add(callback) {
+        this.callbacks.add(callback);
+        this.start();
+        return () => this.remove(callback);
+    }
+
+    remove(callback) {
+        this.callbacks.delete(callback);
+        if (!this.callbacks.size && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    start() {
+        if (this.frameId === null) {
+            if (this.monitor) this.monitor.restart();
+            this.frameId = requestAnimationFrame(this.tick);
+        }
+    }
+}
+
+// How much the background effects may do. Reduced motion (the OS setting, or the
+// toggle, which wins once used) turns flashes off and thins the rain. Independently,
+// frames that keep missing their budget step the quality tier down for the session.
+class EffectsQuality {
+    constructor(toggle) {
+        this.toggle = toggle;
+        this.storageKey = 'beatfolio:motion';
+        this.tiers = [
+            { name: 'high', maxDrops: 300, spawnScale: 1, canvasScale: 1, maxDpr: Infinity, shadows: true },
+            { name: 'medium', maxDrops: 150, spawnScale: 0.6, canvasScale: 0.75, maxDpr: 1.5, shadows: true },
+            { name: 'low', maxDrops: 60, spawnScale: 0.3, canvasScale: 0.5, maxDpr: 1, shadows: false }
+        ];
+        this.tier = 0;
+        this.listeners = new Set();
+
+        // About 40fps averaged over two seconds' worth of frames counts as struggling
+        this.frameBudget = 25;
+        this.sampleSize = 120;
+        this.deltas = [];
+        this.lastFrame = null;
+
+        this.query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.preference = this.read();
+
+        this.init();
+    }
+
+    init() {
+        if (this.query) {
+            const onChange = () => {
+                if (this.preference === null) this.changed();
+            };
+            if (this.query.addEventListener) {
+                this.query.addEventListener('change', onChange);
+            } else if (this.query.addListener) {
+                this.query.addListener(onChange);
+            }
+        }
+
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => {
+                this.preference = this.reducedMotion ? 'full' : 'reduced';
+                this.save();
+                this.changed();
+            });
+        }
+
+        this.render();
+    }
+
+    read() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored === 'reduced' || stored === 'full' ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, this.preference);
+        } catch (error) {
+            // Setting just won't persist
+        }
+    }
+
+    get reducedMotion() {
+        if (this.preference) return this.preference === 'reduced';
+        return !!(this.query && this.query.matches);
+    }
+
+    // What the effects should do right now
+    get limits() {
+        const tier = this.tiers[this.tier];
+        if (!this.reducedMotion) return { ...tier, flashes: true };
+
+        return {
+            ...tier,
+            maxDrops: Math.min(tier.maxDrops, 40),
+            spawnScale: tier.spawnScale * 0.2,
+            flashes: false
+        };
+    }
+
+    // Returns a function that unsubscribes
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    changed() {
+        this.render();
+        this.listeners.forEach(listener => listener(this.limits));
+    }
+
+    render() {
+        document.documentElement.classList.toggle('reduced-motion', this.reducedMotion);
+        if (!this.toggle) return;
+
+        this.toggle.setAttribute('aria-pressed', this.reducedMotion);
+        this.toggle.title = this.tier > 0
+            ? `Effects lowered to ${this.tiers[this.tier].name} quality to keep playback smooth`
+            : '';
+    }
+
+    // A gap in frames (hidden tab, loop just started) says nothing about speed
+    restart() {
+        this.lastFrame = null;
+    }
+
+    sample(time) {
+        const delta = this.lastFrame === null ? null : time - this.lastFrame;
+        this.lastFrame = time;
+        if (delta === null || delta > 250) return;
+
+        this.deltas.push(delta);
+        if (this.deltas.length < this.sampleSize) return;
+
+        const average = this.deltas.reduce((a, b) => a + b, 0) / this.deltas.length;
+        this.deltas = [];
+        if (average > this.frameBudget && this.tier < this.tiers.length - 1) {
+            this.tier++;
+            this.changed();
+        }
+    }
+}
+
+// The live view on the playing beat's canvas. Modes are pluggable through
+// register(name, label, Visualizer): the player constructs each Visualizer once with
+// itself (for trackColors' lighten/darken helpers) and calls draw(ctx, frame) every
+// frame, plus reset(), if it has one, when a beat starts. The chosen mode, FFT size and
+// smoothing persist in localStorage.
+class ReactiveVisualizer {
+    constructor(player, analyser, controls) {
+        this.player = player;
+        this.analyser = analyser;
+        this.controls = controls;
+        this.storageKey = 'beatfolio:visualizer';
+        this.fftSizes = [128, 256, 512, 1024, 2048];
+        this.modes = new Map();
+        this.frequencyData = null;
+        this.timeData = null;
+
+        this.register('bars', 'Bars', BarsVisualizer);
+        this.register('scope', 'Oscilloscope', ScopeVisualizer);
+        this.register('spectrogram', 'Spectrogram', SpectrogramVisualizer);
+        this.register('radial', 'Radial', RadialVisualizer);
+
+        this.settings = this.read();
+        this.configure();
+        this.setupControls();
+    }
+
+    register(name, label, Visualizer) {
+        this.modes.set(name, { label, visualizer: new Visualizer(this.player) });
+        if (this.modeSelect) this.renderControls();
+    }
+
+    read() {
+        const defaults = { mode: 'bars', fftSize: 128, smoothing: 0.8 };
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                mode: typeof stored.mode === 'string' ? stored.mode : defaults.mode,
+                fftSize: this.fftSizes.includes(stored.fftSize) ? stored.fftSize : defaults.fftSize,
+                smoothing: stored.smoothing >= 0 && stored.smoothing < 1 ? stored.smoothing : defaults.smoothing
+            };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            // Setting just won't persist
+        }
+    }
+
+    // A mode saved by a plugin that isn't loaded on this page falls back to bars
+    get mode() {
+        return this.modes.get(this.settings.mode) || this.modes.get('bars');
+    }
+
+    configure() {
+        if (!this.analyser) return;
+
+        this.analyser.fftSize = this.settings.fftSize;
+        this.analyser.smoothingTimeConstant = this.settings.smoothing;
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        this.timeData = new Uint8Array(this.analyser.fftSize);
+    }
+
+    update(changes) {
+        Object.assign(this.settings, changes);
+        this.save();
+        this.configure();
+        this.reset();
+        this.renderControls();
+    }
+
+    reset() {
+        this.modes.forEach(({ visualizer }) => {
+            if (visualizer.reset) visualizer.reset();
+        });
+    }
+
+    setupControls() {
+        if (!this.controls) return;
+
+        this.modeSelect = this.controls.querySelector('.visualizer-mode');
+        this.fftSelect = this.controls.querySelector('.visualizer-fft');
+        this.smoothingInput = this.controls.querySelector('.visualizer-smoothing');
+        this.smoothingOutput = this.controls.querySelector('.visualizer-smoothing-value');
+        if (!this.modeSelect) return;
+
+        this.fftSelect.replaceChildren(...this.fftSizes.map(size => new Option(String(size), String(size))));
+        [this.modeSelect, this.fftSelect, this.smoothingInput].forEach(input => {
+            input.disabled = !this.analyser;
+        });
+
+        this.modeSelect.addEventListener('change', () => this.update({ mode: this.modeSelect.value }));
+        this.fftSelect.addEventListener('change', () => this.update({ fftSize: Number(this.fftSelect.value) }));
+        this.smoothingInput.addEventListener('input', () => this.update({ smoothing: Number(this.smoothingInput.value) }));
+        this.renderControls();
+    }
+
+    renderControls() {
+        const selected = this.modes.has(this.settings.mode) ? this.settings.mode : 'bars';
+        this.modeSelect.replaceChildren(...Array.from(this.modes, ([name, { label }]) => new Option(label, name)));
+        this.modeSelect.value = selected;
+        this.fftSelect.value = String(this.settings.fftSize);
+        this.smoothingInput.value = this.settings.smoothing;
+        this.smoothingOutput.textContent = this.settings.smoothing.toFixed(2);
+    }
+
+    // Draws one frame and returns the average level (0-1) for the amplitude event
+    render(canvas, src) {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.analyser.getByteTimeDomainData(this.timeData);
+
+        const ctx = canvas.getContext('2d');
+        const rect = canvas.getBoundingClientRect();
+        const width = rect.width;
+        const height = rect.height;
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+
+        // Scale for high DPI displays, within what the device is keeping up with
+        const limits = this.player.effects.limits;
+        const dpr = Math.min(window.devicePixelRatio || 1, limits.maxDpr);
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, width, height);
+
+        this.mode.visualizer.draw(ctx, {
+            width,
+            height,
+            shadows: limits.shadows,
+            color: this.player.trackColors.get(src) || '#2ECC71',
+            frequencyData: this.frequencyData,
+            timeData: this.timeData
+        });
+
+        this.player.drawLoopOverlay(ctx, src, width, height);
+
+        return this.frequencyData.reduce((a, b) => a + b, 0) / this.frequencyData.length / 255;
+    }
+}
+
+class BarsVisualizer {
+    constructor(player) {
+        this.player = player;
+    }
+
+    draw(ctx, { width, height, color, shadows, frequencyData }) {
+        const centerY = height / 2;
+        const barCount = Math.min(64, frequencyData.length);
+        const barWidth = width / barCount;
+        const dataStep = Math.floor(frequencyData.length / barCount);
+
+        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(0.5, this.player.lightenColor(color, 0.2));
+        gradient.addColorStop(1, color);
+        ctx.fillStyle = gradient;
+
+        // Add subtle shadow for depth
+        if (shadows) {
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 2;
+            ctx.shadowOffsetY = 1;
+        }
+
+        for (let i = 0; i < barCount; i++) {
+            const amplitude = frequencyData[i * dataStep] / 255;
+            const barHeight = amplitude * height * 0.8;
+            const actualBarWidth = Math.max(2, barWidth * 0.95);
+            const barX = i * barWidth + (barWidth - actualBarWidth) / 2;
+            const y = centerY - (barHeight / 2);
+
+            // Rounded bars where supported
+            if (ctx.roundRect) {
+                ctx.beginPath();
+                ctx.roundRect(barX, y, actualBarWidth, barHeight, 2);
+                ctx.fill();
+            } else {
+                ctx.fillRect(barX, y, actualBarWidth, barHeight);
+            }
+        }
+
+        ctx.shadowColor = 'transparent';
+        ctx.shadowBlur = 0;
+        ctx.shadowOffsetY = 0;
+    }
+}
+
+// The time-domain trace reflected about the centre line, with the gap between filled in
+class ScopeVisualizer {
+    constructor(player) {
+        this.player = player;
+    }
+
+    draw(ctx, { width, height, color, timeData }) {
+        const centerY = height / 2;
+        const step = width / (timeData.length - 1);
+        const offsetAt = i => Math.abs(timeData[i] - 128) / 128 * centerY * 0.9;
+
+        ctx.beginPath();
+        ctx.moveTo(0, centerY);
+        for (let i = 0; i < timeData.length; i++) {
+            ctx.lineTo(i * step, centerY - offsetAt(i));
+        }
+        for (let i = timeData.length - 1; i >= 0; i--) {
+            ctx.lineTo(i * step, centerY + offsetAt(i));
+        }
+        ctx.closePath();
+
+        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, this.player.lightenColor(color, 0.2));
+        gradient.addColorStop(0.5, this.player.darkenColor(color, 0.3));
+        gradient.addColorStop(1, this.player.lightenColor(color, 0.2));
+        ctx.fillStyle = gradient;
+        ctx.globalAlpha = 0.5;
+        ctx.fill();
+
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+    }
+}
+
+// A waterfall that scrolls left, low frequencies at the bottom on a log scale
+class SpectrogramVisualizer {
+    constructor(player) {
+        this.player = player;
+        this.history = null;
+        this.columnWidth = 2;
+    }
+
+    reset() {
+        this.history = null;
+    }
+
+    draw(ctx, { width, height, color, frequencyData }) {
+        if (!this.history || this.history.width !== Math.round(width) || this.history.height !== Math.round(height)) {
+            this.history = document.createElement('canvas');
+            this.history.width = Math.round(width);
+            this.history.height = Math.round(height);
+        }
+
+        const history = this.history.getContext('2d');
+        const x = this.history.width - this.columnWidth;
+        history.drawImage(this.history, -this.columnWidth, 0);
+        history.clearRect(x, 0, this.columnWidth, this.history.height);
+
+        const bright = this.player.lightenColor(color, 0.3);
+        const rows = this.history.height;
+        const bins = frequencyData.length;
+        for (let row = 0; row < rows; row++) {
+            // Bottom row is bin 0; the top row reaches the last bin
+            const bin = Math.min(bins - 1, Math.floor(Math.pow(bins, 1 - row / rows)) - 1);
+            const value = frequencyData[Math.max(0, bin)] / 255;
+            if (value < 0.05) continue;
+
+            history.globalAlpha = value;
+            history.fillStyle = value > 0.75 ? bright : color;
+            history.fillRect(x, row, this.columnWidth, 1);
+        }
+        history.globalAlpha = 1;
+
+        ctx.drawImage(this.history, 0, 0, width, height);
+    }
+}
+
+// Spectrum bars around a ring that swells with the low end
+class RadialVisualizer {
+    constructor(player) {
+        this.player = player;
+    }
+
+    draw(ctx, { width, height, color, frequencyData }) {
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const barCount = Math.min(64, frequencyData.length);
+        const dataStep = Math.floor(frequencyData.length / barCount);
+        const bass = frequencyData.slice(0, Math.max(1, Math.floor(frequencyData.length / 16)));
+        const bassLevel = bass.reduce((a, b) => a + b, 0) / bass.length / 255;
+        const radius = Math.min(width, height) * (0.18 + bassLevel * 0.08);
+        const maxLength = Math.min(width, height) / 2 - radius;
+
+        ctx.lineCap = 'round';
+        ctx.lineWidth = Math.max(1.5, (2 * Math.PI * radius / barCount) * 0.6);
+
+        for (let i = 0; i < barCount; i++) {
+            const amplitude = frequencyData[i * dataStep] / 255;
+            const angle = (i / barCount) * Math.PI * 2 - Math.PI / 2;
+            const length = Math.max(1, amplitude * maxLength);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            ctx.strokeStyle = amplitude > 0.7 ? this.player.lightenColor(color, 0.2) : color;
+            ctx.beginPath();
+            ctx.moveTo(centerX + cos * radius, centerY + sin * radius);
+            ctx.lineTo(centerX + cos * (radius + length), centerY + sin * (radius + length));
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = this.player.darkenColor(color, 0.3);
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * 0.8, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+class Metronome {
+    constructor(audioContext, destination, getState) {
+        // getState returns { audio, grid, beatsPerBar } for the playing track, or null
+        this.audioContext = audioContext;
+        // The engine's master, so the click follows the player's volume
+        this.destination = destination;
+        this.getState = getState;
+        this.timerId = null;
+        this.lastBeat = null;
+        this.output = null;
+
+        // Schedule a little ahead on a timer; Web Audio does the precise timing
+        this.lookahead = 0.1;
+        this.interval = 25;
+    }
+
+    start() {
+        if (!this.audioContext || this.timerId) return;
+
+        if (!this.output) {
+            this.output = this.audioContext.createGain();
+            this.output.gain.value = 0.5;
+            this.output.connect(this.destination);
+        }
+
+        this.resync();
+        this.timerId = setInterval(() => this.schedule(), this.interval);
+        this.schedule();
+    }
+
+    stop() {
+        clearInterval(this.timerId);
+        this.timerId = null;
+    }
+
+    resync() {
+        this.lastBeat = null;
+    }
+
+    schedule() {
+        const state = this.getState();
+        if (!state || state.audio.paused) return;
+
+        const { audio, grid, beatsPerBar } = state;
+        const rate = audio.playbackRate || 1;
+        const now = audio.currentTime;
+        const horizon = now + this.lookahead * rate;
+
+        const first = Math.ceil((now - grid.offset) / grid.beatLength);
+        const last = Math.floor((horizon - grid.offset) / grid.beatLength);
+
+        for (let beat = first; beat <= last; beat++) {
+            if (this.lastBeat != null && beat <= this.lastBeat) continue;
+
+            const beatTime = grid.offset + beat * grid.beatLength;
+            if (beatTime < 0) continue;
+
+            const when = this.audioContext.currentTime + (beatTime - now) / rate;
+            this.click(when, beat % beatsPerBar === 0);
+            this.lastBeat = beat;
+        }
+    }
+
+    click(when, accent) {
+        const ctx = this.audioContext;
+        const osc = ctx.createOscillator();
+        const envelope = ctx.createGain();
+
+        osc.frequency.value = accent ? 1600 : 1000;
+        envelope.gain.setValueAtTime(0.0001, when);
+        envelope.gain.exponentialRampToValueAtTime(1, when + 0.002);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, when + 0.05);
+
+        osc.connect(envelope);
+        envelope.connect(this.output);
+        osc.start(when);
+        osc.stop(when + 0.06);
+        osc.onended = () => envelope.disconnect();
+    }
+}
+
+// Plays the producer's voice tag over the mix at the start of a beat and every
+// interval after, straight into the engine's master so it can't be filtered out
+class VoiceTag {
+    constructor(audioContext, output) {
+        this.audioContext = audioContext;
+        this.output = output;
+        this.buffer = null;
+        this.gain = null;
+        this.interval = AudioAnalysis.PREVIEW_DEFAULTS.interval;
+        this.src = null;
+        this.lastSlot = -1;
+        this.active = null;
+    }
+
+    async load(url, { interval, gain }) {
+        if (!this.audioContext) return;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.buffer = await this.audioContext.decodeAudioData(await response.arrayBuffer());
+        } catch (error) {
+            console.warn(`Preview mode disabled: voice tag ${url} could not be loaded:`, error);
+            return;
+        }
+
+        this.interval = interval;
+        this.gain = this.audioContext.createGain();
+        this.gain.gain.value = gain;
+        this.gain.connect(this.output);
+    }
+
+    update(src, time) {
+        if (!this.buffer) return;
+
+        // A new source starts counting again, so it is tagged straight away
+        if (src !== this.src) {
+            this.src = src;
+            this.lastSlot = -1;
+        }
+
+        const slot = Math.floor(time / this.interval);
+        if (slot > this.lastSlot) {
+            this.lastSlot = slot;
+            this.play();
+        }
+    }
+
+    // Seeks shouldn't fire a tag on landing; the next interval boundary will
+    resync(time) {
+        this.lastSlot = Math.floor(time / this.interval);
+    }
+
+    play() {
+        this.stop();
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.buffer;
+        source.connect(this.gain);
+        source.onended = () => {
+            source.disconnect();
+            if (this.active === source) this.active = null;
+        };
+        source.start();
+        this.active = source;
+    }
+
+    stop() {
+        if (this.active) {
+            this.active.stop();
+            this.active = null;
+        }
+    }
+}
+
+// Beats saved for offline listening, in the cache sw.js serves them from. The cache
+// is named after the catalog version so the worker can drop it when the catalog changes.
+class OfflineStore {
+    constructor(catalogVersion) {
+        this.cacheName = `beatfolio-audio-v${catalogVersion}`;
+        this.supported = 'caches' in window && 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    async savedSources() {
+        const cache = await caches.open(this.cacheName);
+        const requests = await cache.keys();
+        return new Set(requests
+            .map(request => request.url)
+            .filter(url => !/\/peaks\/[^/]+\.json$/.test(url)));
+    }
+
+    async save(src) {
+        const cache = await caches.open(this.cacheName);
+        await cache.add(src);
+
+        // The waveform can be decoded from the audio, so a missing peak file is fine
+        try {
+            await cache.add(AudioAnalysis.peaksUrlFor(src));
+        } catch (error) {
+            // No precomputed peaks for this beat
+        }
+
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist();
+        }
+    }
+
+    async remove(src) {
+        const cache = await caches.open(this.cacheName);
+        await cache.delete(src);
+        await cache.delete(AudioAnalysis.peaksUrlFor(src));
+    }
+
+    async estimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            return await navigator.storage.estimate();
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Favorites, listening history and resume positions, keyed by track slug. The stored
+// shape is versioned so older data can be migrated and exports can be checked on import.
+class LibraryStore {
+    constructor(storageKey = 'beatfolio:library') {
+        this.storageKey = storageKey;
+        this.version = 1;
+        this.historyLimit = 20;
+        this.data = this.read();
+    }
+
+    empty() {
+        return { version: this.version, favorites: [], history: [], positions: {} };
+    }
+
+    read() {
+        try {
+            return this.migrate(JSON.parse(localStorage.getItem(this.storageKey))) || this.empty();
+        } catch (error) {
+            return this.empty();
+        }
+    }
+
+    // Returns data in the current shape, or null when it isn't ours
+    migrate(data) {
+        if (!data || typeof data !== 'object' || data.version !== this.version) return null;
+
+        return {
+            version: this.version,
+            favorites: Array.isArray(data.favorites) ? data.favorites.filter(slug => typeof slug === 'string') : [],
+            history: Array.isArray(data.history)
+                ? data.history.filter(item => item && typeof item.slug === 'string' && typeof item.playedAt === 'number')
+                : [],
+            positions: data.positions && typeof data.positions === 'object' ? data.positions : {}
+        };
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            // Quota or private mode; the library just won't persist
+        }
+    }
+
+    isFavorite(slug) {
+        return this.data.favorites.includes(slug);
+    }
+
+    toggleFavorite(slug) {
+        const favorite = !this.isFavorite(slug);
+        this.data.favorites = favorite
+            ? [...this.data.favorites, slug]
+            : this.data.favorites.filter(item => item !== slug);
+        this.save();
+        return favorite;
+    }
+
+    recordPlay(slug) {
+        const history = this.data.history.filter(item => item.slug !== slug);
+        history.unshift({ slug, playedAt: Date.now() });
+        this.data.history = history.slice(0, this.historyLimit);
+        this.save();
+    }
+
+    position(slug) {
+        return this.data.positions[slug] || null;
+    }
+
+    setPosition(slug, time, duration) {
+        this.data.positions[slug] = { time: Math.round(time * 10) / 10, duration, savedAt: Date.now() };
+        this.save();
+    }
+
+    clearPosition(slug) {
+        if (!this.data.positions[slug]) return;
+
+        delete this.data.positions[slug];
+        this.save();
+    }
+
+    export() {
+        return JSON.stringify({ app: 'beatfolio', exportedAt: new Date().toISOString(), ...this.data }, null, 2);
+    }
+
+    // Merges an export into what is already here rather than replacing it
+    import(text) {
+        const incoming = this.migrate(JSON.parse(text));
+        if (!incoming) {
+            throw new Error('Not a beatfolio library export');
+        }
+
+        const favorites = incoming.favorites.filter(slug => !this.isFavorite(slug));
+        this.data.favorites.push(...favorites);
+
+        const history = new Map();
+        [...this.data.history, ...incoming.history].forEach(item => {
+            const existing = history.get(item.slug);
+            if (!existing || item.playedAt > existing.playedAt) {
+                history.set(item.slug, item);
+            }
+        });
+        this.data.history = Array.from(history.values())
+            .sort((a, b) => b.playedAt - a.playedAt)
+            .slice(0, this.historyLimit);
+
+        Object.entries(incoming.positions).forEach(([slug, position]) => {
+            const existing = this.data.positions[slug];
+            if (!existing || position.savedAt > existing.savedAt) {
+                this.data.positions[slug] = position;
+            }
+        });
+
+        this.save();
+        return { favorites: favorites.length };
+    }
+}
+
+class ListeningLibrary {
+    constructor(player, strip) {
+        this.player = player;
+        this.strip = strip;
+        this.store = new LibraryStore();
+        this.lastSaved = 0;
+
+        // Positions this close to either end aren't worth resuming from
+        this.resumeMargin = 5;
+        this.endMargin = 10;
+        this.recentLimit = 8;
+
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('.track').forEach(track => this.addFavoriteToggle(track));
+
+        this.player.on('play', ({ track, time, resumed, deepLinked }) => {
+            if (resumed) return;
+
+            this.store.recordPlay(track.dataset.slug);
+            if (!deepLinked && time < 1) {
+                this.resume(track);
+            }
+            this.render();
+        });
+        this.player.on('pause', ({ track, time }) => this.savePosition(track, time));
+        this.player.on('stop', ({ track, time }) => this.savePosition(track, time));
+        this.player.on('seek', ({ track, time }) => this.savePosition(track, time));
+        this.player.on('progress', ({ track, time }) => {
+            // Often enough to survive a closed tab, rarely enough not to thrash storage
+            if (Date.now() - this.lastSaved > 5000) {
+                this.savePosition(track, time);
+            }
+        });
+        this.player.on('ended', ({ track }) => this.store.clearPosition(track.dataset.slug));
+
+        this.strip.querySelector('.library-export').addEventListener('click', () => this.exportLibrary());
+        const fileInput = this.strip.querySelector('.library-import-file');
+        this.strip.querySelector('.library-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.importLibrary(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        this.render();
+        this.strip.hidden = false;
+    }
+
+    addFavoriteToggle(track) {
+        const title = track.querySelector('.track-title').textContent;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'favorite-toggle';
+        button.setAttribute('aria-label', `Favorite ${title}`);
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const favorite = this.store.toggleFavorite(track.dataset.slug);
+            this.renderFavoriteToggle(button, favorite);
+            this.player.announce(favorite ? `${title} added to favorites` : `${title} removed from favorites`);
+            this.render();
+        });
+
+        this.renderFavoriteToggle(button, this.store.isFavorite(track.dataset.slug));
+        track.querySelector('.track-info').prepend(button);
+    }
+
+    renderFavoriteToggle(button, favorite) {
+        button.textContent = favorite ? '♥' : '♡';
+        button.setAttribute('aria-pressed', favorite);
+    }
+
+    savePosition(track, time) {
+        const slug = track.dataset.slug;
+        const duration = this.player.durations.get(track.dataset.src) || 0;
+        this.lastSaved = Date.now();
+
+        if (time < this.resumeMargin || (duration && time > duration - this.endMargin)) {
+            this.store.clearPosition(slug);
+        } else {
+            this.store.setPosition(slug, time, duration);
+        }
+    }
+
+    resume(track) {
+        const position = this.store.position(track.dataset.slug);
+        if (!position || !(position.time >= this.resumeMargin)) return;
+
+        this.player.seekWhenReady(position.time);
+        this.player.announce(`Resuming ${track.querySelector('.track-title').textContent} at ${this.player.formatTime(position.time)}`);
+    }
+
+    trackForSlug(slug) {
+        return document.querySelector(`.track[data-slug="${slug}"]`);
+    }
+
+    render() {
+        const { favorites, history } = this.store.data;
+        this.renderRow(this.strip.querySelector('.library-favorites'), favorites);
+        this.renderRow(this.strip.querySelector('.library-recent'),
+            history.map(item => item.slug).slice(0, this.recentLimit));
+    }
+
+    renderRow(row, slugs) {
+        const list = row.querySelector('.library-list');
+        const tracks = slugs.map(slug => this.trackForSlug(slug)).filter(Boolean);
+
+        list.replaceChildren(...tracks.map(track => {
+            const title = track.querySelector('.track-title').textContent;
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'library-item';
+            button.textContent = title;
+
+            const position = this.store.position(track.dataset.slug);
+            if (position) {
+                button.title = `Resume at ${this.player.formatTime(position.time)}`;
+            }
+
+            button.addEventListener('click', () => {
+                if (track.hidden && this.player.trackFilter) {
+                    this.player.trackFilter.reset();
+                }
+                track.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                this.player.playTrack(track);
+            });
+
+            item.appendChild(button);
+            return item;
+        }));
+
+        row.hidden = tracks.length === 0;
+    }
+
+    exportLibrary() {
+        const blob = new Blob([this.store.export()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'beatfolio-library.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async importLibrary(file) {
+        try {
+            const { favorites } = this.store.import(await file.text());
+            document.querySelectorAll('.track').forEach(track => {
+                this.renderFavoriteToggle(track.querySelector('.favorite-toggle'), this.store.isFavorite(track.dataset.slug));
+            });
+            this.render();
+            this.player.announce(`Library imported: ${favorites} new favorite${favorites === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.warn('Library import failed:', error);
+            this.player.announce('That file is not a beatfolio library export');
+        }
+    }
+}
+
+class LoopStore {
+    constructor(storageKey = 'beatfolio:loops') {
+        this.storageKey = storageKey;
+        this.loops = this.read();
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.loops));
+        } catch (error) {
+            // Private mode or a full quota; loops just won't survive a reload
+        }
+    }
+
+    get(slug) {
+        return this.loops[slug] || null;
+    }
+
+    set(slug, loop) {
+        this.loops[slug] = loop;
+        this.save();
+    }
+
+    delete(slug) {
+        delete this.loops[slug];
+        this.save();
+    }
+}
+
+class TrackFilter {
+    constructor(container, filterBar, options = {}) {
+        this.container = container;
+        this.filterBar = filterBar;
+        this.onChange = options.onChange || (() => {});
+        this.tracks = Array.from(container.querySelectorAll('.track'));
+        this.state = { query: '', bpmMin: null, bpmMax: null, producers: [], sort: '' };
+
+        this.init();
+    }
+
+    init() {
+        // Remember catalog order so "default" sort can restore it
+        this.tracks.forEach((track, index) => {
+            track.dataset.order = index;
+        });
+
+        this.searchInput = this.filterBar.querySelector('.filter-search');
+        this.bpmMinInput = this.filterBar.querySelector('.filter-bpm-min');
+        this.bpmMaxInput = this.filterBar.querySelector('.filter-bpm-max');
+        this.producerList = this.filterBar.querySelector('.filter-producers');
+        this.sortSelect = this.filterBar.querySelector('.filter-sort');
+
+        this.emptyMessage = document.createElement('p');
+        this.emptyMessage.className = 'filter-empty';
+        this.emptyMessage.textContent = 'No beats match these filters.';
+        this.emptyMessage.hidden = true;
+        this.container.after(this.emptyMessage);
+
+        this.renderProducerOptions();
+        this.readFromUrl();
+        this.syncControls();
+        this.setupEventListeners();
+        this.filterBar.hidden = false;
+
+        this.apply({ updateUrl: false });
+    }
+
+    renderProducerOptions() {
+        const producers = new Set();
+        this.tracks.forEach(track => {
+            this.trackProducers(track).forEach(name => producers.add(name));
+        });
+
+        Array.from(producers).sort((a, b) => a.localeCompare(b)).forEach(name => {
+            const label = document.createElement('label');
+            label.className = 'filter-producer';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = name;
+
+            label.append(checkbox, document.createTextNode(name));
+            this.producerList.appendChild(label);
+        });
+    }
+
+    setupEventListeners() {
+        this.searchInput.addEventListener('input', () => {
+            this.state.query = this.searchInput.value.trim();
+            this.apply();
+        });
+
+        [this.bpmMinInput, this.bpmMaxInput].forEach(input => {
+            input.addEventListener('input', () => {
+                this.state.bpmMin = this.parseBpm(this.bpmMinInput.value);
+                this.state.bpmMax = this.parseBpm(this.bpmMaxInput.value);
+                this.apply();
+            });
+        });
+
+        this.producerList.addEventListener('change', () => {
+            this.state.producers = Array.from(this.producerList.querySelectorAll('input:checked'))
+                .map(checkbox => checkbox.value);
+            this.apply();
+        });
+
+        this.sortSelect.addEventListener('change', () => {
+            this.state.sort = this.sortSelect.value;
+            this.apply();
+        });
+
+        const resetButton = this.filterBar.querySelector('.filter-reset');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => this.reset());
+        }
+    }
+
+    reset() {
+        this.state = { query: '', bpmMin: null, bpmMax: null, producers: [], sort: '' };
+        this.syncControls();
+        this.apply();
+    }
+
+    parseBpm(value) {
+        const bpm = parseFloat(value);
+        return isNaN(bpm) ? null : bpm;
+    }
+
+    trackProducers(track) {
+        return (track.dataset.producers || '').split(',').map(name => name.trim()).filter(Boolean);
+    }
+
+    readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+
+        this.state.query = params.get('q') || '';
+        this.state.producers = params.getAll('producer');
+        this.state.sort = ['bpm', 'title', 'newest'].includes(params.get('sort')) ? params.get('sort') : '';
+
+        // bpm=130-150, bpm=130- and bpm=-150 are all accepted
+        const bpm = (params.get('bpm') || '').split('-');
+        this.state.bpmMin = this.parseBpm(bpm[0]);
+        this.state.bpmMax = this.parseBpm(bpm[1]);
+    }
+
+    writeToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        ['q', 'bpm', 'producer', 'sort'].forEach(key => params.delete(key));
+
+        if (this.state.query) params.set('q', this.state.query);
+        if (this.state.bpmMin != null || this.state.bpmMax != null) {
+            params.set('bpm', `${this.state.bpmMin ?? ''}-${this.state.bpmMax ?? ''}`);
+        }
+        this.state.producers.forEach(name => params.append('producer', name));
+        if (this.state.sort) params.set('sort', this.state.sort);
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        history.replaceState(history.state, '', url);
+    }
+
+    syncControls() {
+        this.searchInput.value = this.state.query;
+        this.bpmMinInput.value = this.state.bpmMin ?? '';
+        this.bpmMaxInput.value = this.state.bpmMax ?? '';
+        this.sortSelect.value = this.state.sort;
+        this.producerList.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = this.state.producers.includes(checkbox.value);
+        });
+    }
+
+    matches(track) {
+        const { query, bpmMin, bpmMax, producers } = this.state;
+        const bpm = parseFloat(track.dataset.bpm);
+
+        if (bpmMin != null && !(bpm >= bpmMin)) return false;
+        if (bpmMax != null && !(bpm <= bpmMax)) return false;
+
+        if (producers.length > 0) {
+            const trackProducers = this.trackProducers(track);
+            if (!producers.some(name => trackProducers.includes(name))) return false;
+        }
+
+        if (query) {
+            const title = track.querySelector('.track-title').textContent;
+            const haystack = [title, track.dataset.producers, track.dataset.tags, track.dataset.key]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+            if (!query.toLowerCase().split(/\s+/).every(word => haystack.includes(word))) return false;
+        }
+
+        return true;
+    }
+
+    compare(a, b) {
+        const byOrder = Number(a.dataset.order) - Number(b.dataset.order);
+
+        switch (this.state.sort) {
+            case 'bpm':
+                // Beats without a known BPM go last
+                return ((parseFloat(a.dataset.bpm) || Infinity) - (parseFloat(b.dataset.bpm) || Infinity)) || byOrder;
+            case 'title':
+                return a.querySelector('.track-title').textContent
+                    .localeCompare(b.querySelector('.track-title').textContent, undefined, { sensitivity: 'base' }) || byOrder;
+            case 'newest':
+                return ((Date.parse(b.dataset.added) || 0) - (Date.parse(a.dataset.added) || 0)) || byOrder;
+            default:
+                return byOrder;
+        }
+    }
+
+    apply({ updateUrl = true } = {}) {
+        // Tracks are moved, never recreated, so audio state and canvases survive
+        const sorted = this.tracks.slice().sort((a, b) => this.compare(a, b));
+        sorted.forEach(track => {
+            track.hidden = !this.matches(track);
+            this.container.appendChild(track);
+        });
+
+        const visible = this.visibleTracks();
+        this.emptyMessage.hidden = visible.length > 0;
+
+        if (updateUrl) {
+            this.writeToUrl();
         }
 
-        // Draw remaining portion (original color)
-        if (progressIndex < waveform.length - 1) {
-            ctx.strokeStyle = baseColor;
+        this.onChange(visible);
+    }
 
-            // Upper waveform (remaining)
-            ctx.beginPath();
-            const startX = progressIndex * stepX;
-            ctx.moveTo(startX, centerY);
-            for (let i = progressIndex; i < waveform.length; i++) {
-                const x = i * stepX;
-                const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
-                const y = centerY - (amplitude * displayHeight * 0.4);
-                ctx.lineTo(x, y);
-            }
-            ctx.stroke();
+    visibleTracks() {
+        return Array.from(this.container.querySelectorAll('.track')).filter(track => !track.hidden);
+    }
+}
 
-            // Lower waveform (remaining)
-            ctx.beginPath();
-            ctx.moveTo(startX, centerY);
-            for (let i = progressIndex; i < waveform.length; i++) {
-                const x = i * stepX;
-                const amplitude = typeof waveform[i] === 'object' ? waveform[i].combined : waveform[i];
-                const y = centerY + (amplitude * displayHeight * 0.4);
-                ctx.lineTo(x, y);
-            }
-            ctx.stroke();
-        }
+class PlaybackQueue {
+    constructor(getTracks) {
+        // getTracks returns every .track in display order; hidden ones are skipped
+        this.getTracks = getTracks;
+        this.shuffle = false;
+        this.repeat = 'off'; // 'off' | 'all' | 'one'
+        this.autoplay = true;
+        this.shuffleOrder = [];
+    }
 
-        // Draw progress indicator
-        const progressX = progress * displayWidth;
-        ctx.strokeStyle = '#FF3B30';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(progressX, 0);
-        ctx.lineTo(progressX, displayHeight);
-        ctx.stroke();
+    visibleTracks() {
+        return this.getTracks().filter(track => !track.hidden);
     }
 
-    darkenColor(color, amount) {
-        const hex = color.replace('#', '');
-        const r = Math.max(0, parseInt(hex.substr(0, 2), 16) - Math.round(255 * amount));
-        const g = Math.max(0, parseInt(hex.substr(2, 2), 16) - Math.round(255 * amount));
-        const b = Math.max(0, parseInt(hex.substr(4, 2), 16) - Math.round(255 * amount));
-        return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    setShuffle(enabled, currentTrack) {
+        this.shuffle = enabled;
+        this.shuffleOrder = enabled ? this.buildShuffleOrder(currentTrack) : [];
     }
 
-    drawPlaceholderWaveform(canvas, src) {
-        const placeholderData = this.generatePlaceholderData();
-        this.drawStaticWaveform(canvas, placeholderData, src);
+    cycleRepeat() {
+        const modes = ['off', 'all', 'one'];
+        this.repeat = modes[(modes.indexOf(this.repeat) + 1) % modes.length];
     }
 
-    async toggleTrack(track) {
-        const src = track.dataset.src;
-        const playButton = track.querySelector('.play-button');
-        const canvas = track.querySelector('.waveform');
+    buildShuffleOrder(firstTrack) {
+        const tracks = this.visibleTracks().filter(track => track !== firstTrack);
 
-        if (this.currentTrack === track && this.currentAudio && !this.currentAudio.paused) {
-            this.pauseTrack();
-            return;
+        // Fisher-Yates
+        for (let i = tracks.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [tracks[i], tracks[j]] = [tracks[j], tracks[i]];
         }
 
-        if (this.currentTrack === track && this.currentAudio && this.currentAudio.paused) {
-            this.resumeTrack();
-            return;
+        return firstTrack && !firstTrack.hidden ? [firstTrack, ...tracks] : tracks;
+    }
+
+    order(currentTrack) {
+        if (!this.shuffle) {
+            return this.visibleTracks();
         }
 
-        if (this.currentAudio) {
-            this.stopTrack();
+        // Rebuild when the filter changed which tracks are visible
+        const visible = this.visibleTracks();
+        const stale = visible.length !== this.shuffleOrder.length ||
+            visible.some(track => !this.shuffleOrder.includes(track));
+        if (stale) {
+            this.shuffleOrder = this.buildShuffleOrder(currentTrack);
         }
 
-        try {
-            this.currentAudio = new Audio(src);
-            this.currentTrack = track;
+        return this.shuffleOrder;
+    }
 
+    step(currentTrack, direction, wrap) {
+        const order = this.order(currentTrack);
+        if (order.length === 0) return null;
 
-            // Set up real-time audio analysis for reactive visualizer
-            if (this.audioContext && this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
+        let index = order.indexOf(currentTrack);
+
+        if (index === -1) {
+            if (!currentTrack || this.shuffle) {
+                return direction > 0 ? order[0] : order[order.length - 1];
             }
 
-            if (this.audioContext) {
-                const source = this.audioContext.createMediaElementSource(this.currentAudio);
-                const analyser = this.audioContext.createAnalyser();
-                analyser.fftSize = 128;
-                analyser.smoothingTimeConstant = 0.8;
+            // The current track was filtered out; continue from where it sits in the list
+            const all = this.getTracks();
+            const position = all.indexOf(currentTrack);
+            const candidates = direction > 0 ? all.slice(position + 1) : all.slice(0, position).reverse();
+            const neighbour = candidates.find(track => !track.hidden);
+            if (neighbour) return neighbour;
+            return wrap ? (direction > 0 ? order[0] : order[order.length - 1]) : null;
+        }
+
+        index += direction;
 
-                source.connect(analyser);
-                analyser.connect(this.audioContext.destination);
+        if (index >= order.length || index < 0) {
+            if (!wrap) return null;
 
-                this.realtimeAnalysers.set(src, {
-                    analyser: analyser,
-                    dataArray: new Uint8Array(analyser.frequencyBinCount)
-                });
+            if (this.shuffle && direction > 0) {
+                // New pass through a fresh shuffle, avoiding an immediate repeat
+                this.shuffleOrder = this.buildShuffleOrder(null);
+                if (this.shuffleOrder.length > 1 && this.shuffleOrder[0] === currentTrack) {
+                    this.shuffleOrder.push(this.shuffleOrder.shift());
+                }
+                return this.shuffleOrder[0];
             }
 
-            track.classList.add('playing');
-            playButton.textContent = '⏸';
-            playButton.classList.add('playing');
+            index = (index + order.length) % order.length;
+        }
 
-            await this.currentAudio.play();
+        return order[index];
+    }
 
-            // Start reactive visualization immediately after play starts
-            if (this.audioContext && this.realtimeAnalysers.has(src)) {
-                this.startReactiveVisualization(canvas, src);
-            }
+    next(currentTrack, { wrap = false } = {}) {
+        return this.step(currentTrack, 1, wrap);
+    }
 
-            this.currentAudio.addEventListener('timeupdate', () => {
-                if (this.currentAudio) {
-                    const progress = this.currentAudio.currentTime / this.currentAudio.duration;
-                    const waveform = this.waveformData.get(src);
-                    if (waveform) {
-                        this.drawAnimatedWaveform(canvas, waveform, progress, src);
-
-                        // Update rain and lightning effects based on current audio intensity
-                        const currentIndex = Math.floor(progress * waveform.length);
-                        if (currentIndex < waveform.length) {
-                            const currentAmplitude = typeof waveform[currentIndex] === 'object'
-                                ? waveform[currentIndex].combined
-                                : waveform[currentIndex];
-
-                            this.rainEffect.updateIntensity(currentAmplitude);
-
-                            // Check for beat drops (sudden amplitude spikes)
-                            if (currentIndex > 0) {
-                                const prevAmplitude = typeof waveform[currentIndex - 1] === 'object'
-                                    ? waveform[currentIndex - 1].combined
-                                    : waveform[currentIndex - 1];
-
-                                const amplitudeIncrease = currentAmplitude - prevAmplitude;
-                                if (amplitudeIncrease > 0.4 && currentAmplitude > 0.8 && Math.random() > 0.8) {
-                                    this.lightningEffect.trigger();
-                                }
-                            }
-                        }
-                    }
-                }
-            });
+    previous(currentTrack, { wrap = false } = {}) {
+        return this.step(currentTrack, -1, wrap);
+    }
 
-            this.currentAudio.addEventListener('ended', () => {
-                this.resetTrack(track);
-            });
+    afterEnded(track) {
+        if (this.repeat === 'one') return track;
+        if (!this.autoplay) return null;
+        return this.next(track, { wrap: this.repeat === 'all' });
+    }
+}
 
-            this.currentAudio.addEventListener('pause', () => {
-                if (this.currentTrack === track) {
-                    track.classList.remove('playing');
-                    playButton.textContent = '▶';
-                    playButton.classList.remove('playing');
+class TempoController {
+    constructor(controls, options = {}) {
+        // controls may be null on pages without the tempo UI; playback still honours the state
+        this.controls = controls;
+        this.onChange = options.onChange || (() => {});
+        this.storageKey = 'beatfolio:tempo';
+        this.state = this.read();
 
-                    // Stop reactive visualization and show static waveform
-                    if (this.animationId) {
-                        cancelAnimationFrame(this.animationId);
-                        this.animationId = null;
-                    }
+        this.init();
+    }
 
-                    const waveform = this.waveformData.get(src);
-                    if (waveform) {
-                        this.drawStaticWaveform(canvas, waveform, src);
-                    }
-                }
-            });
+    init() {
+        if (!this.controls) return;
+
+        this.rateInput = this.controls.querySelector('.tempo-rate');
+        this.rateOutput = this.controls.querySelector('.tempo-rate-value');
+        this.pitchInput = this.controls.querySelector('.tempo-pitch');
+        this.pitchOutput = this.controls.querySelector('.tempo-pitch-value');
+        this.resetButton = this.controls.querySelector('.tempo-reset');
+
+        this.rateInput.addEventListener('input', () => {
+            this.set({ rate: parseFloat(this.rateInput.value) });
+        });
+        this.pitchInput.addEventListener('input', () => {
+            this.set({ semitones: parseInt(this.pitchInput.value, 10) });
+        });
+        this.resetButton.addEventListener('click', () => this.reset());
+
+        this.render();
+        this.controls.hidden = false;
+    }
+
+    // Per listening session: survives a reload but not a new visit
+    read() {
+        const defaults = { rate: 1, semitones: 0 };
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.storageKey));
+            if (!stored) return defaults;
 
+            return {
+                rate: Math.min(1.5, Math.max(0.5, Number(stored.rate) || 1)),
+                semitones: Math.min(12, Math.max(-12, Math.round(Number(stored.semitones) || 0)))
+            };
         } catch (error) {
-            console.error('Error playing audio:', error);
-            this.resetTrack(track);
+            return defaults;
         }
     }
 
-    pauseTrack() {
-        if (this.currentAudio) {
-            this.currentAudio.pause();
+    save() {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            // Private mode or quota exceeded; the setting just won't survive a reload
         }
     }
 
-    resumeTrack() {
-        if (this.currentAudio && this.currentTrack) {
-            const canvas = this.currentTrack.querySelector('.waveform');
-            const src = this.currentTrack.dataset.src;
+    set(changes) {
+        this.state = { ...this.state, ...changes };
+        this.save();
+        this.render();
+        this.onChange(this.state);
+    }
 
-            this.currentAudio.play();
+    reset() {
+        this.set({ rate: 1, semitones: 0 });
+    }
 
-            // Restart reactive visualization
-            if (this.realtimeAnalysers.has(src)) {
-                this.startReactiveVisualization(canvas, src);
-            }
-        }
+    setPitchSupported(supported) {
+        if (!this.pitchInput) return;
+
+        this.pitchInput.disabled = !supported;
+        this.pitchInput.title = supported ? '' : 'Pitch shifting is not supported in this browser';
     }
 
-    stopTrack() {
-        if (this.currentAudio) {
-            this.currentAudio.pause();
-            this.currentAudio.currentTime = 0;
-        }
+    pitchRatio() {
+        return Math.pow(2, this.state.semitones / 12);
+    }
 
-        if (this.currentTrack) {
-            this.resetTrack(this.currentTrack);
-        }
+    applyTo(audio) {
+        audio.preservesPitch = true;
+        audio.mozPreservesPitch = true;
+        audio.webkitPreservesPitch = true;
+        audio.defaultPlaybackRate = this.state.rate;
+        audio.playbackRate = this.state.rate;
+    }
+
+    render() {
+        if (!this.controls) return;
 
-        // Stop effects
-        this.rainEffect.stop();
-        this.lightningEffect.stop();
+        const { rate, semitones } = this.state;
+        this.rateInput.value = rate;
+        this.rateOutput.textContent = `${Math.round(rate * 100)}%`;
+        this.pitchInput.value = semitones;
+        this.pitchOutput.textContent = `${semitones > 0 ? '+' : ''}${semitones} st`;
+        this.resetButton.disabled = rate === 1 && semitones === 0;
     }
+}
 
-    resetTrack(track) {
-        const playButton = track.querySelector('.play-button');
-        const canvas = track.querySelector('.waveform');
-        const src = track.dataset.src;
+class InquiryPanel {
+    constructor(dialog, options = {}) {
+        this.dialog = dialog;
+        this.email = options.email;
+        // Without an endpoint the panel only prepares an email
+        this.endpoint = options.endpoint || null;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.retryDelay = options.retryDelay || 1000;
+        this.context = null;
+        this.opener = null;
+        this.inquiryId = null;
+        this.sending = false;
 
-        track.classList.remove('playing');
-        playButton.textContent = '▶';
-        playButton.classList.remove('playing');
+        this.init();
+    }
 
-        const waveform = this.waveformData.get(src);
-        if (waveform) {
-            this.drawStaticWaveform(canvas, waveform, src);
-        }
+    init() {
+        this.form = this.dialog.querySelector('.inquiry-form');
+        this.heading = this.dialog.querySelector('.inquiry-beat');
+        this.emailLink = this.dialog.querySelector('.inquiry-email-link');
+        this.submitButton = this.dialog.querySelector('.inquiry-submit');
+        this.status = this.dialog.querySelector('.inquiry-status');
+        this.confirmation = this.dialog.querySelector('.inquiry-confirmation');
+
+        this.submitButton.textContent = this.endpoint ? 'Send inquiry' : 'Write email';
+        this.emailLink.hidden = !this.endpoint;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
 
-        if (this.currentTrack === track) {
-            this.currentTrack = null;
-            this.currentAudio = null;
-            // Stop effects when resetting
-            this.rainEffect.stop();
-            this.lightningEffect.stop();
-            // Stop reactive visualization
-            if (this.animationId) {
-                cancelAnimationFrame(this.animationId);
-                this.animationId = null;
+        // Keep the prepared email in step with what has been typed so far
+        this.form.addEventListener('input', () => {
+            this.emailLink.href = this.mailtoUrl(this.payload());
+        });
+
+        this.dialog.querySelectorAll('.inquiry-close').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+
+        this.dialog.addEventListener('close', () => {
+            if (this.opener) {
+                this.opener.focus();
+                this.opener = null;
             }
-        }
+        });
+
+        // Clicking the backdrop closes the modal
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
     }
 
-    startReactiveVisualization(canvas, src) {
-        const ctx = canvas.getContext('2d');
-        const analyzer = this.realtimeAnalysers.get(src);
+    open(context, opener) {
+        this.context = context;
+        this.opener = opener || null;
 
-        if (!analyzer) return;
+        this.heading.textContent = context.bpm ? `${context.title} · ${context.bpm} BPM` : context.title;
+        this.form.hidden = false;
+        this.confirmation.hidden = true;
+        this.setStatus('');
+        this.emailLink.href = this.mailtoUrl(this.payload());
 
-        const animate = () => {
-            if (this.currentAudio && !this.currentAudio.paused && this.currentTrack) {
-                analyzer.analyser.getByteFrequencyData(analyzer.dataArray);
-                this.drawReactiveBarVisualizer(canvas, analyzer.dataArray, src);
-                this.animationId = requestAnimationFrame(animate);
-            }
+        if (typeof this.dialog.showModal === 'function') {
+            this.dialog.showModal();
+        } else {
+            this.dialog.setAttribute('open', '');
+        }
+        this.form.elements.name.focus();
+    }
+
+    close() {
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+            this.dialog.dispatchEvent(new Event('close'));
+        }
+    }
+
+    payload() {
+        const fields = this.form.elements;
+        return {
+            inquiryId: this.inquiryId || '',
+            trackId: this.context.trackId,
+            title: this.context.title,
+            bpm: this.context.bpm,
+            link: this.context.link,
+            name: fields.name.value.trim(),
+            email: fields.email.value.trim(),
+            use: fields.use.value.trim(),
+            tier: fields.tier.value
         };
+    }
 
-        animate();
+    subject(inquiry) {
+        const bpm = inquiry.bpm ? ` (${inquiry.bpm} BPM)` : '';
+        return `Lease inquiry: ${inquiry.title}${bpm} [${inquiry.trackId}]`;
     }
 
-    drawReactiveBarVisualizer(canvas, frequencyData, src) {
-        const ctx = canvas.getContext('2d');
-        const width = canvas.width;
-        const height = canvas.height;
-        const color = this.trackColors.get(src) || '#2ECC71';
+    mailtoUrl(inquiry) {
+        const tier = this.form.elements.tier.selectedOptions[0];
+        const body = [
+            `Beat: ${inquiry.title}${inquiry.bpm ? ` (${inquiry.bpm} BPM)` : ''}`,
+            `Track ID: ${inquiry.trackId}`,
+            `Link: ${inquiry.link}`,
+            `License tier: ${tier ? tier.textContent : inquiry.tier}`,
+            '',
+            `Name: ${inquiry.name}`,
+            `Email: ${inquiry.email}`,
+            '',
+            'Intended use:',
+            inquiry.use
+        ].join('\n');
+
+        return `mailto:${this.email}?subject=${encodeURIComponent(this.subject(inquiry))}&body=${encodeURIComponent(body)}`;
+    }
 
-        // Enable high-quality rendering
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
 
-        // Scale for high DPI displays
-        const dpr = window.devicePixelRatio || 1;
-        if (dpr !== 1) {
-            const rect = canvas.getBoundingClientRect();
-            canvas.width = rect.width * dpr;
-            canvas.height = rect.height * dpr;
-            ctx.scale(dpr, dpr);
-        }
+    async submit() {
+        if (this.sending || !this.form.reportValidity()) return;
 
-        ctx.clearRect(0, 0, width / dpr, height / dpr);
+        // One ID per submission so the backend can drop repeats caused by retries
+        this.inquiryId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        const inquiry = { ...this.payload(), submittedAt: new Date().toISOString() };
 
-        const centerY = (height / dpr) / 2;
-        const barCount = 64; // More bars for smoother visualization
-        const barWidth = (width / dpr) / barCount;
-        const dataStep = Math.floor(frequencyData.length / barCount);
+        if (!this.endpoint) {
+            window.location.href = this.mailtoUrl(inquiry);
+            this.showConfirmation(`Your email app should open with the inquiry about ${inquiry.title} ready to send.`);
+            return;
+        }
 
-        // Enhanced bars with better visibility
-        const gradient = ctx.createLinearGradient(0, 0, 0, height / dpr);
-        gradient.addColorStop(0, color);
-        gradient.addColorStop(0.5, this.lightenColor(color, 0.2));
-        gradient.addColorStop(1, color);
-        ctx.fillStyle = gradient;
+        this.sending = true;
+        this.submitButton.disabled = true;
+        this.setStatus('Sending…');
 
-        // Add subtle shadow for depth
-        ctx.shadowColor = color;
-        ctx.shadowBlur = 2;
-        ctx.shadowOffsetY = 1;
+        try {
+            await this.post(inquiry);
+            this.showConfirmation(`Thanks, ${inquiry.name}. Your inquiry about ${inquiry.title} was sent; ` +
+                `expect a reply at ${inquiry.email}.`);
+        } catch (error) {
+            console.warn('Inquiry could not be sent:', error);
+            this.emailLink.href = this.mailtoUrl(inquiry);
+            this.setStatus('The inquiry could not be sent. Try again, or send it by email instead.', true);
+        } finally {
+            this.sending = false;
+            this.submitButton.disabled = false;
+        }
+    }
 
-        // Draw frequency bars
-        for (let i = 0; i < barCount; i++) {
-            const dataIndex = i * dataStep;
-            const amplitude = frequencyData[dataIndex] / 255; // Normalize to 0-1
-            const barHeight = amplitude * (height / dpr) * 0.8; // Increased height for better visibility
+    async post(inquiry) {
+        let lastError = null;
 
-            const x = i * barWidth;
-            const y = centerY - (barHeight / 2);
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            if (attempt > 1) {
+                this.setStatus(`Sending… (attempt ${attempt} of ${this.maxAttempts})`);
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt - 2)));
+            }
 
-            // Slightly wider bars for better visibility
-            const actualBarWidth = Math.max(2, barWidth * 0.95);
-            const barX = x + (barWidth - actualBarWidth) / 2;
+            try {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(inquiry)
+                });
+                if (response.ok) return;
 
-            // Draw clean bar with rounded edges (fallback for older browsers)
-            if (ctx.roundRect) {
-                ctx.beginPath();
-                ctx.roundRect(barX, y, actualBarWidth, barHeight, 2);
-                ctx.fill();
-            } else {
-                ctx.fillRect(barX, y, actualBarWidth, barHeight);
+                lastError = new Error(`Inquiry endpoint responded ${response.status}`);
+                // Rejected input won't be accepted on a retry either
+                if (response.status < 500 && response.status !== 429) break;
+            } catch (error) {
+                lastError = error;
             }
         }
 
-        // Reset shadow
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur = 0;
-        ctx.shadowOffsetY = 0;
+        throw lastError;
+    }
 
-        // Update rain and lightning effects based on frequency data
-        const avgAmplitude = frequencyData.reduce((a, b) => a + b, 0) / frequencyData.length / 255;
-        this.rainEffect.updateIntensity(avgAmplitude);
+    showConfirmation(message) {
+        this.form.hidden = true;
+        this.setStatus('');
+        this.confirmation.querySelector('.inquiry-confirmation-message').textContent = message;
+        this.confirmation.hidden = false;
+        this.confirmation.querySelector('.inquiry-close').focus();
+        this.form.reset();
+    }
+}
 
-        // Trigger lightning on bass hits (reduced frequency)
-        const bassData = frequencyData.slice(0, 8);
-        const bassLevel = bassData.reduce((a, b) => a + b, 0) / bassData.length;
-        if (bassLevel > 180 && Math.random() > 0.7) {
-            this.lightningEffect.trigger();
-        }
+class MediaSessionController {
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.supported = 'mediaSession' in navigator;
+
+        this.init();
     }
 
-    lightenColor(color, amount) {
-        const hex = color.replace('#', '');
-        const r = Math.min(255, parseInt(hex.substr(0, 2), 16) + Math.round(255 * amount));
-        const g = Math.min(255, parseInt(hex.substr(2, 2), 16) + Math.round(255 * amount));
-        const b = Math.min(255, parseInt(hex.substr(4, 2), 16) + Math.round(255 * amount));
-        return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    init() {
+        if (!this.supported) return;
+
+        const actions = {
+            play: () => this.handlers.play(),
+            pause: () => this.handlers.pause(),
+            seekto: (details) => this.handlers.seekTo(details.seekTime),
+            seekbackward: (details) => this.handlers.seekBy(-(details.seekOffset || 10)),
+            seekforward: (details) => this.handlers.seekBy(details.seekOffset || 10),
+            previoustrack: () => this.handlers.previous(),
+            nexttrack: () => this.handlers.next()
+        };
+
+        Object.entries(actions).forEach(([action, handler]) => {
+            // Older browsers throw for actions they don't know about
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                console.warn(`Media session action "${action}" not supported`);
+            }
+        });
+    }
+
+    setTrack({ title, artist, album, artwork }) {
+        if (!this.supported || typeof MediaMetadata === 'undefined') return;
+
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: title,
+            artist: artist,
+            album: album || '',
+            artwork: artwork ? [{ src: new URL(artwork, document.baseURI).href, sizes: '512x512' }] : []
+        });
+    }
+
+    setPlaybackState(state) {
+        if (!this.supported) return;
+
+        navigator.mediaSession.playbackState = state;
+        if (state === 'none') {
+            navigator.mediaSession.metadata = null;
+        }
     }
 
+    updatePosition(audio) {
+        if (!this.supported || !navigator.mediaSession.setPositionState || !audio) return;
+
+        const duration = audio.duration;
+        if (!isFinite(duration) || duration <= 0) return;
+
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: duration,
+                playbackRate: audio.playbackRate || 1,
+                position: Math.min(audio.currentTime, duration)
+            });
+        } catch (error) {
+            // Position can briefly exceed duration while a new source loads
+        }
+    }
 }
 
+// Background rain that follows the music's intensity; the first AudioPlayer plugin.
+// Drops are capped by the player's EffectsQuality limits and drawn on its frame loop.
 class RainEffect {
     constructor() {
+        this.name = 'rain';
         this.canvas = null;
         this.ctx = null;
         this.raindrops = [];
-        this.animationId = null;
+        this.stopFrame = null;
         this.intensity = 0;
         this.isActive = false;
+        this.width = 0;
+        this.height = 0;
+        this.handleResize = () => this.resize();
+    }
 
+    install(player) {
+        this.effects = player.effects;
+        this.frames = player.frames;
         this.init();
+
+        const unsubscribe = [
+            player.on('amplitude', ({ level }) => this.updateIntensity(level)),
+            // Each kick adds a burst on top of the level; a drop opens up the sky
+            player.on('beat', ({ strength }) => this.updateIntensity(Math.min(1, this.intensity + 0.1 * strength))),
+            player.on('drop', () => this.updateIntensity(1)),
+            player.on('trackchange', ({ track }) => {
+                if (!track) this.stop();
+            }),
+            this.effects.subscribe(({ maxDrops }) => {
+                this.raindrops = this.raindrops.slice(0, maxDrops);
+                this.resize();
+            })
+        ];
+
+        return () => {
+            unsubscribe.forEach(off => off());
+            this.stop();
+            window.removeEventListener('resize', this.handleResize);
+            this.canvas.remove();
+        };
     }
 
     init() {
@@ -753,12 +4854,17 @@ class RainEffect {
         this.ctx = this.canvas.getContext('2d');
         this.resize();
 
-        window.addEventListener('resize', () => this.resize());
+        window.addEventListener('resize', this.handleResize);
     }
 
+    // Drops live in CSS pixels; a lower tier just gives them a coarser backing canvas
     resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+        const { canvasScale } = this.effects.limits;
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+        this.canvas.width = Math.round(this.width * canvasScale);
+        this.canvas.height = Math.round(this.height * canvasScale);
+        this.ctx.setTransform(canvasScale, 0, 0, canvasScale, 0, 0);
     }
 
     updateIntensity(amplitude) {
@@ -770,8 +4876,9 @@ class RainEffect {
             this.stop();
         }
 
-        // Add new raindrops based on intensity
-        const dropCount = Math.floor(amplitude * 25);
+        // Add new raindrops based on intensity, never past the cap
+        const { maxDrops, spawnScale } = this.effects.limits;
+        const dropCount = Math.min(Math.floor(amplitude * 25 * spawnScale), maxDrops - this.raindrops.length);
         for (let i = 0; i < dropCount; i++) {
             this.addRaindrop();
         }
@@ -779,7 +4886,7 @@ class RainEffect {
 
     addRaindrop() {
         this.raindrops.push({
-            x: Math.random() * this.canvas.width,
+            x: Math.random() * this.width,
             y: -20,
             speed: 4 + Math.random() * 6 + (this.intensity * 4),
             length: 15 + Math.random() * 30,
@@ -791,29 +4898,29 @@ class RainEffect {
     start() {
         if (this.isActive) return;
         this.isActive = true;
-        this.animate();
+        this.stopFrame = this.frames.add(() => this.animate());
     }
 
     stop() {
         this.isActive = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+        if (this.stopFrame) {
+            this.stopFrame();
+            this.stopFrame = null;
         }
         this.raindrops = [];
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.width, this.height);
     }
 
     animate() {
         if (!this.isActive) return;
 
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.width, this.height);
 
         // Update and draw raindrops
         this.raindrops = this.raindrops.filter(drop => {
             drop.y += drop.speed;
 
-            if (drop.y > this.canvas.height + drop.length) {
+            if (drop.y > this.height + drop.length) {
                 return false; // Remove raindrop
             }
 
@@ -828,19 +4935,45 @@ class RainEffect {
 
             return true;
         });
-
-        this.animationId = requestAnimationFrame(() => this.animate());
     }
 }
 
+// Lightning flashes on drops and on hard hits at the top of a bar
 class LightningEffect {
     constructor() {
+        this.name = 'lightning';
         this.canvas = null;
         this.ctx = null;
         this.isActive = false;
-        this.animationId = null;
+        // Flashing on every kick would be too much, so only hard hits on beat one count
+        this.minStrength = 2;
+        this.handleResize = () => this.resize();
+    }
 
+    install(player) {
+        this.effects = player.effects;
         this.init();
+
+        const unsubscribe = [
+            player.on('drop', () => this.trigger()),
+            player.on('beat', ({ strength, beat, onGrid }) => {
+                // Without a BPM there is no bar to go by, so it takes a harder hit
+                const downbeat = beat === null
+                    ? strength >= this.minStrength * 1.5
+                    : onGrid && beat % player.beatsPerBar === 0 && strength >= this.minStrength;
+                if (downbeat) this.trigger();
+            }),
+            player.on('trackchange', ({ track }) => {
+                if (!track) this.stop();
+            })
+        ];
+
+        return () => {
+            unsubscribe.forEach(off => off());
+            this.stop();
+            window.removeEventListener('resize', this.handleResize);
+            this.canvas.remove();
+        };
     }
 
     init() {
@@ -859,7 +4992,7 @@ class LightningEffect {
         this.ctx = this.canvas.getContext('2d');
         this.resize();
 
-        window.addEventListener('resize', () => this.resize());
+        window.addEventListener('resize', this.handleResize);
     }
 
     resize() {
@@ -868,7 +5001,8 @@ class LightningEffect {
     }
 
     trigger() {
-        if (this.isActive) return;
+        // Flashes are the first thing reduced motion takes away
+        if (this.isActive || !this.effects.limits.flashes) return;
 
         this.isActive = true;
         this.drawLightning();
@@ -893,7 +5027,7 @@ class LightningEffect {
 
         this.ctx.strokeStyle = '#FFFFFF';
         this.ctx.lineWidth = 3;
-        this.ctx.shadowBlur = 10;
+        this.ctx.shadowBlur = this.effects.limits.shadows ? 10 : 0;
         this.ctx.shadowColor = '#FFFFFF';
 
         this.drawLightningBolt(startX, startY, endX, endY, 0.8);
@@ -926,14 +5060,28 @@ class LightningEffect {
 
     stop() {
         this.isActive = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
 }
 
+// Worklets resolve against this file rather than the page, so pages in subfolders work too
+const SCRIPT_URL = document.currentScript ? document.currentScript.src : document.baseURI;
+
 document.addEventListener('DOMContentLoaded', () => {
-    new AudioPlayer();
+    // Other pages load this file just for the shared helpers
+    if (document.querySelector('main.tracks')) {
+        // Embedding pages reach the player here, e.g. to call registerPlugin()
+        window.audioPlayer = new AudioPlayer();
+        window.dispatchEvent(new CustomEvent('beatfolio:ready', { detail: window.audioPlayer }));
+    } else if (document.querySelector('.playlist-player[data-playlist]')) {
+        window.playlistPlayer = new PlaylistPlayer(document.querySelector('.playlist-player[data-playlist]'));
+    }
+});
+
+window.addEventListener('load', () => {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register(new URL('sw.js', SCRIPT_URL).href).catch(error => {
+        console.warn('Offline support unavailable:', error);
+    });
 });
\ No newline at end of file
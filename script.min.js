@@ -1 +1 @@
-class AudioPlayer{constructor(){this.currentAudio=null,this.currentTrack=null,this.audioContext=null,this.analyser=null,this.dataArray=null,this.animationId=null,this.waveformData=new Map,this.trackColors=new Map,this.isDragging=!1,this.rainEffect=new RainEffect,this.lightningEffect=new LightningEffect,this.realtimeAnalysers=new Map,this.init()}async init(){try{this.audioContext=new(window.AudioContext||window.webkitAudioContext)}catch(t){console.warn("Web Audio API not supported")}this.setupEventListeners(),this.generateTrackColors(),await this.preloadWaveforms()}generateTrackColors(){const t=["#FF6B6B","#4ECDC4","#45B7D1","#96CEB4","#FFEAA7","#DDA0DD","#98D8C8","#F7DC6F","#BB8FCE","#85C1E9","#FFFF00","#ADFF2F","#00FF00","#FFD700","#FFA500","#E6E6FA","#DA70D6","#BA55D3","#9370DB","#FF69B4","#FF1493","#DC143C","#B22222","#8B0000","#00CED1","#40E0D0","#48D1CC","#00FFFF","#7FFFD4","#98FB98","#90EE90","#32CD32","#228B22","#006400"];new Set;document.querySelectorAll(".track").forEach((e,i)=>{const a=e.dataset.src;let n;n=i<t.length?t[i]:t[i%t.length],this.trackColors.set(a,n)})}setupEventListeners(){document.querySelectorAll(".track").forEach(t=>{const e=t.querySelector(".play-button"),i=t.querySelector(".waveform");e.addEventListener("click",e=>{e.stopPropagation(),this.toggleTrack(t)}),i.addEventListener("click",e=>{if(this.currentTrack===t&&this.currentAudio){const t=i.getBoundingClientRect(),a=(e.clientX-t.left)/t.width*this.currentAudio.duration;this.currentAudio.currentTime=a}}),i.addEventListener("mousedown",e=>{this.currentTrack===t&&this.currentAudio&&(this.isDragging=!0,this.handleScrub(e,i))}),i.addEventListener("mousemove",e=>{this.isDragging&&this.currentTrack===t&&this.currentAudio&&this.handleScrub(e,i)}),i.addEventListener("mouseup",()=>{this.isDragging=!1}),i.addEventListener("mouseleave",()=>{this.isDragging=!1}),i.addEventListener("touchstart",e=>{e.preventDefault(),this.currentTrack===t&&this.currentAudio&&(this.isDragging=!0,this.handleTouchScrub(e,i))}),i.addEventListener("touchmove",e=>{e.preventDefault(),this.isDragging&&this.currentTrack===t&&this.currentAudio&&this.handleTouchScrub(e,i)}),i.addEventListener("touchend",t=>{t.preventDefault(),this.isDragging=!1}),i.addEventListener("touchcancel",t=>{t.preventDefault(),this.isDragging=!1}),i.style.cursor="pointer"})}handleScrub(t,e){const i=e.getBoundingClientRect(),a=t.clientX-i.left,n=Math.max(0,Math.min(1,a/i.width))*this.currentAudio.duration;this.currentAudio.currentTime=n}handleTouchScrub(t,e){const i=e.getBoundingClientRect(),a=(t.touches[0]||t.changedTouches[0]).clientX-i.left,n=Math.max(0,Math.min(1,a/i.width))*this.currentAudio.duration;this.currentAudio.currentTime=n}async preloadWaveforms(){const t=document.querySelectorAll(".track");for(const e of t){const t=e.dataset.src,i=e.querySelector(".waveform");try{const e=await this.generateWaveform(t);this.waveformData.set(t,e),setTimeout(()=>{this.drawStaticWaveform(i,e,t)},10)}catch(e){console.error(`Failed to generate waveform for ${t}:`,e),this.drawPlaceholderWaveform(i,t)}}}async generateWaveform(t){try{const e=await fetch(t),i=await e.arrayBuffer(),a=(await this.audioContext.decodeAudioData(i)).getChannelData(0),n=400,s=Math.floor(a.length/n),r=[];for(let t=0;t<n;t++){let e=s*t,i=0,n=0,o=0;for(let t=0;t<s;t++){const s=a[e+t],r=Math.abs(s);i+=r,n=Math.max(n,r),o+=s*s}const h=i/s,c=n,d=Math.sqrt(o/s),l=.4*h+.3*c+.3*d;r.push({average:h,peak:c,rms:d,combined:l})}const o=r.map(t=>t.combined),h=Math.max(...o),c=o.reduce((t,e)=>t+e,0)/o.length,d=.3*c,l=.7;return r.map(t=>{let e=t.combined;if(e<d)e=d+e/d*.2;else if(e>c){e=c+(e-c)*l}const i=.2+e/h*.7;return{average:Math.min(.85,Math.max(.15,t.average/h*.7+.15)),peak:Math.min(.9,Math.max(.2,t.peak/h*.7+.2)),rms:Math.min(.8,Math.max(.1,t.rms/h*.7+.1)),combined:Math.min(.95,Math.max(.2,i))}})}catch(t){return console.error("Error generating waveform:",t),this.generatePlaceholderData()}}generatePlaceholderData(){const t=[];for(let e=0;e<400;e++){const i=.15+.1*Math.sin(.1*e),a=.3*(Math.random()-.5),n=Math.random()>.9?.4*Math.random():0,s=Math.max(.05,Math.min(.9,i+a+n));t.push({average:.8*s,peak:s,rms:.9*s,combined:s})}return t}drawStaticWaveform(t,e,i){const a=t.getContext("2d"),n=this.trackColors.get(i)||"#2ECC71",s=t.getBoundingClientRect(),r=s.width,o=s.height;a.imageSmoothingEnabled=!0,a.imageSmoothingQuality="high";const h=window.devicePixelRatio||1;t.width=r*h,t.height=o*h,a.scale(h,h),a.clearRect(0,0,r,o);const c=o/2,d=e.length,l=r/d,u=Math.max(.5,.15*l);for(let t=0;t<d;t++){const i="object"==typeof e[t]?e[t].combined:e[t],s=Math.max(.3,Math.min(.95,i))*o*.85,r=t*l,h=Math.max(1,l-u),d=a.createLinearGradient(r,c-s/2,r,c+s/2);d.addColorStop(0,n+"CC"),d.addColorStop(.5,n+"99"),d.addColorStop(1,n+"CC"),a.fillStyle=d;const g=c-s/2,m=Math.min(h/3,2);a.beginPath(),a.roundRect(r,g,h,s,m),a.fill(),a.strokeStyle=n+"40",a.lineWidth=.5,a.stroke()}}drawAnimatedWaveform(t,e,i=0,a){const n=t.getContext("2d"),s=this.trackColors.get(a)||"#2ECC71",r=this.darkenColor(s,.3),o=t.getBoundingClientRect(),h=o.width,c=o.height;n.imageSmoothingEnabled=!0,n.imageSmoothingQuality="high";const d=window.devicePixelRatio||1;t.width=h*d,t.height=c*d,n.scale(d,d),n.clearRect(0,0,h,c);const l=c/2,u=h/(e.length-1),g=Math.floor(i*e.length);if(n.lineWidth=2,n.lineCap="round",n.lineJoin="round",g>0){n.strokeStyle=r,n.beginPath(),n.moveTo(0,l);for(let t=0;t<=g&&t<e.length;t++){const i=t*u,a=l-("object"==typeof e[t]?e[t].combined:e[t])*c*.4;n.lineTo(i,a)}n.stroke(),n.beginPath(),n.moveTo(0,l);for(let t=0;t<=g&&t<e.length;t++){const i=t*u,a=l+("object"==typeof e[t]?e[t].combined:e[t])*c*.4;n.lineTo(i,a)}n.stroke()}if(g<e.length-1){n.strokeStyle=s,n.beginPath();const t=g*u;n.moveTo(t,l);for(let t=g;t<e.length;t++){const i=t*u,a=l-("object"==typeof e[t]?e[t].combined:e[t])*c*.4;n.lineTo(i,a)}n.stroke(),n.beginPath(),n.moveTo(t,l);for(let t=g;t<e.length;t++){const i=t*u,a=l+("object"==typeof e[t]?e[t].combined:e[t])*c*.4;n.lineTo(i,a)}n.stroke()}const m=i*h;n.strokeStyle="#FF3B30",n.lineWidth=2,n.beginPath(),n.moveTo(m,0),n.lineTo(m,c),n.stroke()}darkenColor(t,e){const i=t.replace("#",""),a=Math.max(0,parseInt(i.substr(0,2),16)-Math.round(255*e)),n=Math.max(0,parseInt(i.substr(2,2),16)-Math.round(255*e)),s=Math.max(0,parseInt(i.substr(4,2),16)-Math.round(255*e));return`#${a.toString(16).padStart(2,"0")}${n.toString(16).padStart(2,"0")}${s.toString(16).padStart(2,"0")}`}drawPlaceholderWaveform(t,e){const i=this.generatePlaceholderData();this.drawStaticWaveform(t,i,e)}async toggleTrack(t){const e=t.dataset.src,i=t.querySelector(".play-button"),a=t.querySelector(".waveform");if(this.currentTrack!==t||!this.currentAudio||this.currentAudio.paused)if(this.currentTrack===t&&this.currentAudio&&this.currentAudio.paused)this.resumeTrack();else{this.currentAudio&&this.stopTrack();try{if(this.currentAudio=new Audio(e),this.currentTrack=t,this.audioContext&&"suspended"===this.audioContext.state&&await this.audioContext.resume(),this.audioContext){const t=this.audioContext.createMediaElementSource(this.currentAudio),i=this.audioContext.createAnalyser();i.fftSize=128,i.smoothingTimeConstant=.8,t.connect(i),i.connect(this.audioContext.destination),this.realtimeAnalysers.set(e,{analyser:i,dataArray:new Uint8Array(i.frequencyBinCount)})}t.classList.add("playing"),i.textContent="⏸",i.classList.add("playing"),await this.currentAudio.play(),this.audioContext&&this.realtimeAnalysers.has(e)&&this.startReactiveVisualization(a,e),this.currentAudio.addEventListener("timeupdate",()=>{if(this.currentAudio){const t=this.currentAudio.currentTime/this.currentAudio.duration,i=this.waveformData.get(e);if(i){this.drawAnimatedWaveform(a,i,t,e);const n=Math.floor(t*i.length);if(n<i.length){const t="object"==typeof i[n]?i[n].combined:i[n];if(this.rainEffect.updateIntensity(t),n>0){t-("object"==typeof i[n-1]?i[n-1].combined:i[n-1])>.4&&t>.8&&Math.random()>.8&&this.lightningEffect.trigger()}}}}}),this.currentAudio.addEventListener("ended",()=>{this.resetTrack(t)}),this.currentAudio.addEventListener("pause",()=>{if(this.currentTrack===t){t.classList.remove("playing"),i.textContent="▶",i.classList.remove("playing"),this.animationId&&(cancelAnimationFrame(this.animationId),this.animationId=null);const n=this.waveformData.get(e);n&&this.drawStaticWaveform(a,n,e)}})}catch(e){console.error("Error playing audio:",e),this.resetTrack(t)}}else this.pauseTrack()}pauseTrack(){this.currentAudio&&this.currentAudio.pause()}resumeTrack(){if(this.currentAudio&&this.currentTrack){const t=this.currentTrack.querySelector(".waveform"),e=this.currentTrack.dataset.src;this.currentAudio.play(),this.realtimeAnalysers.has(e)&&this.startReactiveVisualization(t,e)}}stopTrack(){this.currentAudio&&(this.currentAudio.pause(),this.currentAudio.currentTime=0),this.currentTrack&&this.resetTrack(this.currentTrack),this.rainEffect.stop(),this.lightningEffect.stop()}resetTrack(t){const e=t.querySelector(".play-button"),i=t.querySelector(".waveform"),a=t.dataset.src;t.classList.remove("playing"),e.textContent="▶",e.classList.remove("playing");const n=this.waveformData.get(a);n&&this.drawStaticWaveform(i,n,a),this.currentTrack===t&&(this.currentTrack=null,this.currentAudio=null,this.rainEffect.stop(),this.lightningEffect.stop(),this.animationId&&(cancelAnimationFrame(this.animationId),this.animationId=null))}startReactiveVisualization(t,e){t.getContext("2d");const i=this.realtimeAnalysers.get(e);if(!i)return;const a=()=>{this.currentAudio&&!this.currentAudio.paused&&this.currentTrack&&(i.analyser.getByteFrequencyData(i.dataArray),this.drawReactiveBarVisualizer(t,i.dataArray,e),this.animationId=requestAnimationFrame(a))};a()}drawReactiveBarVisualizer(t,e,i){const a=t.getContext("2d"),n=t.width,s=t.height,r=this.trackColors.get(i)||"#2ECC71";a.imageSmoothingEnabled=!0,a.imageSmoothingQuality="high";const o=window.devicePixelRatio||1;if(1!==o){const e=t.getBoundingClientRect();t.width=e.width*o,t.height=e.height*o,a.scale(o,o)}a.clearRect(0,0,n/o,s/o);const h=s/o/2,c=n/o/64,d=Math.floor(e.length/64),l=a.createLinearGradient(0,0,0,s/o);l.addColorStop(0,r),l.addColorStop(.5,this.lightenColor(r,.2)),l.addColorStop(1,r),a.fillStyle=l,a.shadowColor=r,a.shadowBlur=2,a.shadowOffsetY=1;for(let t=0;t<64;t++){const i=e[t*d]/255*(s/o)*.8,n=t*c,r=h-i/2,l=Math.max(2,.95*c),u=n+(c-l)/2;a.roundRect?(a.beginPath(),a.roundRect(u,r,l,i,2),a.fill()):a.fillRect(u,r,l,i)}a.shadowColor="transparent",a.shadowBlur=0,a.shadowOffsetY=0;const u=e.reduce((t,e)=>t+e,0)/e.length/255;this.rainEffect.updateIntensity(u);const g=e.slice(0,8);g.reduce((t,e)=>t+e,0)/g.length>180&&Math.random()>.7&&this.lightningEffect.trigger()}lightenColor(t,e){const i=t.replace("#",""),a=Math.min(255,parseInt(i.substr(0,2),16)+Math.round(255*e)),n=Math.min(255,parseInt(i.substr(2,2),16)+Math.round(255*e)),s=Math.min(255,parseInt(i.substr(4,2),16)+Math.round(255*e));return`#${a.toString(16).padStart(2,"0")}${n.toString(16).padStart(2,"0")}${s.toString(16).padStart(2,"0")}`}}class RainEffect{constructor(){this.canvas=null,this.ctx=null,this.raindrops=[],this.animationId=null,this.intensity=0,this.isActive=!1,this.init()}init(){this.canvas=document.createElement("canvas"),this.canvas.style.position="fixed",this.canvas.style.top="0",this.canvas.style.left="0",this.canvas.style.width="100%",this.canvas.style.height="100%",this.canvas.style.pointerEvents="none",this.canvas.style.zIndex="-1",this.canvas.style.opacity="0.6",document.body.appendChild(this.canvas),this.ctx=this.canvas.getContext("2d"),this.resize(),window.addEventListener("resize",()=>this.resize())}resize(){this.canvas.width=window.innerWidth,this.canvas.height=window.innerHeight}updateIntensity(t){this.intensity=t,!this.isActive&&t>.1?this.start():this.isActive&&t<.05&&this.stop();const e=Math.floor(25*t);for(let t=0;t<e;t++)this.addRaindrop()}addRaindrop(){this.raindrops.push({x:Math.random()*this.canvas.width,y:-20,speed:4+6*Math.random()+4*this.intensity,length:15+30*Math.random(),opacity:.4+.5*Math.random(),thickness:1+2*Math.random()})}start(){this.isActive||(this.isActive=!0,this.animate())}stop(){this.isActive=!1,this.animationId&&(cancelAnimationFrame(this.animationId),this.animationId=null),this.raindrops=[],this.ctx.clearRect(0,0,this.canvas.width,this.canvas.height)}animate(){this.isActive&&(this.ctx.clearRect(0,0,this.canvas.width,this.canvas.height),this.raindrops=this.raindrops.filter(t=>(t.y+=t.speed,!(t.y>this.canvas.height+t.length)&&(this.ctx.strokeStyle=`rgba(200, 200, 255, ${t.opacity})`,this.ctx.lineWidth=t.thickness,this.ctx.lineCap="round",this.ctx.beginPath(),this.ctx.moveTo(t.x,t.y),this.ctx.lineTo(t.x,t.y+t.length),this.ctx.stroke(),!0))),this.animationId=requestAnimationFrame(()=>this.animate()))}}class LightningEffect{constructor(){this.canvas=null,this.ctx=null,this.isActive=!1,this.animationId=null,this.init()}init(){this.canvas=document.createElement("canvas"),this.canvas.style.position="fixed",this.canvas.style.top="0",this.canvas.style.left="0",this.canvas.style.width="100%",this.canvas.style.height="100%",this.canvas.style.pointerEvents="none",this.canvas.style.zIndex="-1",document.body.appendChild(this.canvas),this.ctx=this.canvas.getContext("2d"),this.resize(),window.addEventListener("resize",()=>this.resize())}resize(){this.canvas.width=window.innerWidth,this.canvas.height=window.innerHeight}trigger(){if(this.isActive)return;this.isActive=!0,this.drawLightning(),document.body.style.transition="background-color 0.1s";const t=document.body.style.backgroundColor;document.body.style.backgroundColor="rgba(255, 255, 255, 0.1)",setTimeout(()=>{document.body.style.backgroundColor=t,this.ctx.clearRect(0,0,this.canvas.width,this.canvas.height),this.isActive=!1},150)}drawLightning(){const t=Math.random()*this.canvas.width,e=t+200*(Math.random()-.5),i=this.canvas.height;this.ctx.strokeStyle="#FFFFFF",this.ctx.lineWidth=3,this.ctx.shadowBlur=10,this.ctx.shadowColor="#FFFFFF",this.drawLightningBolt(t,0,e,i,.8);const a=(t+e)/2,n=this.canvas.height/2;this.ctx.lineWidth=2,this.drawLightningBolt(a,n,a+100*(Math.random()-.5),n+100,.5),this.drawLightningBolt(a,n,a+100*(Math.random()-.5),n+100,.5)}drawLightningBolt(t,e,i,a,n){const s=40*n;this.ctx.beginPath(),this.ctx.moveTo(t,e);for(let n=1;n<=20;n++){const r=n/20,o=t+(i-t)*r+(Math.random()-.5)*s,h=e+(a-e)*r;this.ctx.lineTo(o,h)}this.ctx.stroke()}stop(){this.isActive=!1,this.animationId&&(cancelAnimationFrame(this.animationId),this.animationId=null),this.ctx.clearRect(0,0,this.canvas.width,this.canvas.height)}}document.addEventListener("DOMContentLoaded",()=>{new AudioPlayer});
\ No newline at end of file
+const PLAYER_EVENTS=new Set(["trackchange","play","pause","seek","progress","stop","ended","amplitude","beat","drop"]);class AudioPlayer{constructor(){this.currentAudio=null,this.currentTrack=null,this.audioContext=null,this.engine=null,this.effects=new EffectsQuality(document.querySelector(".motion-toggle")),this.frames=new FrameLoop(this.effects),this.stopVisualization=null,this.waveformData=new Map,this.trackColors=new Map,this.catalog=new Map,this.tags=new TagReader,this.durations=new Map,this.beatsPerBar=4,this.gridSettings=this.readGridSettings(),this.loops=new LoopStore,this.crossfade=this.readCrossfade(),this.listeners=new Map,this.plugins=new Map,this.reportedTrack=null,this.onsetDetector=null,this.transition=null,this.loopDrag=null,this.mediaSession=new MediaSessionController({play:()=>this.currentAudio?this.resumeTrack():this.playNext(),pause:()=>this.pauseTrack(),seekTo:t=>this.seekTo(t),seekBy:t=>this.currentAudio&&this.seekTo(this.currentAudio.currentTime+t),next:()=>this.playNext(),previous:()=>this.playPrevious()}),this.registerPlugin(new RainEffect),this.registerPlugin(new LightningEffect),this.init()}async init(){try{this.audioContext=new(window.AudioContext||window.webkitAudioContext)}catch(t){console.warn("Web Audio API not supported")}this.engine=new PlaybackEngine(this.audioContext),this.metronome=new Metronome(this.audioContext,this.engine.master,()=>{const t=this.beatGrid(this.currentTrack);return t&&this.currentAudio?{audio:this.currentAudio,grid:t,beatsPerBar:this.beatsPerBar}:null}),this.engine.onsetAnalyser&&(this.onsetDetector=AudioAnalysis.createOnsetDetector({sampleRate:this.audioContext.sampleRate,fftSize:this.engine.onsetAnalyser.fftSize}),this.onsetMagnitudes=new Float32Array(this.engine.onsetAnalyser.frequencyBinCount)),this.voiceTag=new VoiceTag(this.audioContext,this.engine.master),this.visualizer=new ReactiveVisualizer(this,this.engine.analyser,document.querySelector(".tempo-controls")),this.setupEngineEvents(),window.addEventListener("pagehide",t=>{t.persisted||this.destroy()}),await this.loadCatalog(),this.setupEventListeners(),this.generateTrackColors(),this.setupFilter(),this.setupQueue(),this.setupTempo(),this.setupInquiry(),this.setupOffline(),this.setupLibrary(),this.setupDeepLinks(),await this.preloadWaveforms()}on(t,e){if(!PLAYER_EVENTS.has(t))throw new TypeError(`Unknown player event "${t}"`);return this.listeners.has(t)||this.listeners.set(t,new Set),this.listeners.get(t).add(e),()=>this.listeners.get(t).delete(e)}emit(t,e){const i=this.listeners.get(t);i&&i.forEach(i=>{try{i(e)}catch(e){console.error(`Error in ${t} listener:`,e)}})}registerPlugin(t){if(!t||"string"!=typeof t.name||"function"!=typeof t.install)throw new TypeError("A plugin needs a name and an install(player) method");if(this.plugins.has(t.name))throw new Error(`Plugin "${t.name}" is already registered`);const e=t.install(this);return this.plugins.set(t.name,{plugin:t,cleanup:"function"==typeof e?e:null}),()=>this.unregisterPlugin(t.name)}unregisterPlugin(t){const e=this.plugins.get(t);if(!e)return!1;if(this.plugins.delete(t),e.cleanup)try{e.cleanup()}catch(e){console.error(`Error removing plugin ${t}:`,e)}return!0}plugin(t){const e=this.plugins.get(t);return e?e.plugin:null}notifyTrackChange(t){if(t===this.reportedTrack)return;const e=this.reportedTrack;this.reportedTrack=t,this.emit("trackchange",{track:t,previous:e})}setupLibrary(){const t=document.querySelector(".library-strip");t&&(this.library=new ListeningLibrary(this,t))}setupDeepLinks(){this.pendingStart=null,this.lastHashSecond=null,window.addEventListener("hashchange",()=>this.applyDeepLink());const t=t=>{this.pendingStart&&(t.target.closest(".track, .filter-bar, .transport, a, button, input, select")||this.startPendingTrack())};document.addEventListener("pointerdown",t,!0),document.addEventListener("keydown",t,!0),this.applyDeepLink()}parseDeepLink(t){const e=/^#([a-z0-9-]+)(?:\?(.*))?$/i.exec(t);if(!e)return null;const i=new URLSearchParams(e[2]||"");return{slug:e[1].toLowerCase(),time:this.parseTimestamp(i.get("t"))}}parseTimestamp(t){if(!t)return 0;if(/^\d+(\.\d+)?$/.test(t))return parseFloat(t);const e=/^(?:(\d+):)?(\d+):(\d{1,2})$/.exec(t);if(e)return 3600*Number(e[1]||0)+60*Number(e[2])+Number(e[3]);const i=/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(t);return i?3600*Number(i[1]||0)+60*Number(i[2]||0)+Number(i[3]||0):0}applyDeepLink(){const t=this.parseDeepLink(window.location.hash);if(!t)return;const e=document.querySelector(`.track[data-slug="${t.slug}"]`);if(!e||e===this.currentTrack)return;if(e.hidden&&this.trackFilter&&this.trackFilter.reset(),document.querySelectorAll(".track.highlighted").forEach(t=>{t.classList.remove("highlighted");const e=t.querySelector(".deep-link-prompt");e&&e.remove()}),e.classList.add("highlighted"),e.scrollIntoView({behavior:"smooth",block:"center"}),this.pendingStart={track:e,time:t.time},this.audioContext&&"running"===this.audioContext.state)return void this.startPendingTrack();const i=document.createElement("button");i.type="button",i.className="deep-link-prompt",i.textContent=t.time>0?`▶ Play from ${this.formatTime(t.time)}`:"▶ Play",i.addEventListener("click",t=>{t.stopPropagation(),this.startPendingTrack()}),e.querySelector(".track-info").appendChild(i)}startPendingTrack(){this.pendingStart&&this.playTrack(this.pendingStart.track)}consumePendingStart(t){const e=this.pendingStart;return this.pendingStart=null,document.querySelectorAll(".deep-link-prompt").forEach(t=>t.remove()),!!(e&&e.track===t&&e.time>0)&&(this.seekWhenReady(e.time),!0)}seekWhenReady(t){const e=this.currentAudio;if(e.readyState>=1)return void this.seekTo(t);const i=e.src;e.addEventListener("loadedmetadata",()=>{this.currentAudio===e&&e.src===i&&this.seekTo(t)},{once:!0})}trackLink(t,e=0){const i=new URL(window.location.href);return i.search="",i.hash=e>=1?`${t.dataset.slug}?t=${Math.floor(e)}`:t.dataset.slug,i.href}updateHash(t,e){const i=Math.floor(e);if(i===this.lastHashSecond)return;this.lastHashSecond=i;const s=i>=1?`#${t.dataset.slug}?t=${i}`:`#${t.dataset.slug}`;history.replaceState(history.state,"",`${window.location.pathname}${window.location.search}${s}`)}async copyTrackLink(t,e){const i=this.currentTrack===t&&this.currentAudio?this.currentAudio.currentTime:0,s=this.trackLink(t,i);try{await navigator.clipboard.writeText(s)}catch(t){const e=document.createElement("textarea");e.value=s,e.setAttribute("readonly",""),e.style.position="fixed",e.style.opacity="0",document.body.appendChild(e),e.select(),document.execCommand("copy"),e.remove()}e.textContent="Copied!",this.announce("Link copied"),clearTimeout(e.resetTimer),e.resetTimer=setTimeout(()=>{e.textContent="Copy link"},1500)}setupFilter(){const t=document.querySelector("main.tracks"),e=document.querySelector(".filter-bar");t&&e&&(this.trackFilter=new TrackFilter(t,e,{onChange:t=>{t.forEach(t=>{t!==this.currentTrack&&this.redrawWaveform(t)})}}))}setupQueue(){this.queue=new PlaybackQueue(()=>this.queueTracks());const t=document.querySelector(".transport");if(!t)return;const e=t.querySelector(".transport-prev"),i=t.querySelector(".transport-next"),s=t.querySelector(".transport-shuffle"),r=t.querySelector(".transport-repeat"),a=t.querySelector(".transport-autoplay"),n={off:"Repeat: off",all:"Repeat: all",one:"Repeat: one"},o=()=>{this.transition&&!this.transition.started&&(this.transition=null),s.setAttribute("aria-pressed",this.queue.shuffle),a.setAttribute("aria-pressed",this.queue.autoplay),r.textContent=n[this.queue.repeat],r.classList.toggle("active","off"!==this.queue.repeat)};e.addEventListener("click",()=>this.playPrevious()),i.addEventListener("click",()=>this.playNext()),s.addEventListener("click",()=>{this.queue.setShuffle(!this.queue.shuffle,this.currentTrack),o()}),r.addEventListener("click",()=>{this.queue.cycleRepeat(),o()}),a.addEventListener("click",()=>{this.queue.autoplay=!this.queue.autoplay,o()});const h=document.querySelector(".crossfade-seconds"),l=document.querySelector(".crossfade-value");if(h){const t=()=>{h.value=this.crossfade,l.textContent=this.crossfade>0?`${this.crossfade}s`:"Off"};h.disabled=!this.audioContext,h.addEventListener("input",()=>{this.crossfade=parseFloat(h.value)||0,this.saveCrossfade(),t()}),t()}const c=t.querySelector(".transport-grid"),u=t.querySelector(".transport-click"),d=t.querySelector(".transport-downbeat"),p=()=>{c.setAttribute("aria-pressed",this.gridSettings.visible),u.setAttribute("aria-pressed",this.gridSettings.click),u.disabled=!this.audioContext};c.addEventListener("click",()=>{this.gridSettings.visible=!this.gridSettings.visible,this.saveGridSettings(),document.querySelectorAll(".track").forEach(t=>this.redrawWaveform(t)),p()}),u.addEventListener("click",()=>{this.gridSettings.click=!this.gridSettings.click,this.saveGridSettings(),this.gridSettings.click&&this.currentAudio&&!this.currentAudio.paused?this.metronome.start():this.metronome.stop(),p()}),d.addEventListener("click",()=>this.setDownbeatAtPlayhead()),p();t.querySelector(".transport-loop").addEventListener("click",()=>{this.currentTrack&&(this.loopFor(this.currentTrack)?(this.clearLoop(this.currentTrack),this.updateLoopButton()):this.setLoopMarker(null!=this.pendingLoopStart?"b":"a"))}),o(),t.hidden=!1}setupTempo(){this.tempo=new TempoController(document.querySelector(".tempo-controls"),{onChange:()=>{this.currentAudio&&(this.tempo.applyTo(this.currentAudio),this.mediaSession.updatePosition(this.currentAudio),this.metronome.resync()),this.engine.setPitchRatio(this.tempo.pitchRatio()),this.updateBpmLabels()}}),this.engine.setPitchRatio(this.tempo.pitchRatio()),this.engine.pitchReady.then(t=>this.tempo.setPitchSupported(t)),this.updateBpmLabels()}inquiryEmail(){const t=document.querySelector("main.tracks");return t&&t.dataset.inquiryEmail||"me@chrisgirmai.com"}setupInquiry(){const t=document.querySelector(".inquiry-dialog");if(!t)return;const e=document.querySelector("main.tracks");this.inquiry=new InquiryPanel(t,{email:this.inquiryEmail(),endpoint:e.dataset.inquiryEndpoint||null})}openInquiry(t,e){const i=parseFloat(t.dataset.bpm);this.inquiry.open({trackId:t.dataset.slug,title:t.querySelector(".track-title").textContent,bpm:i>0?i:null,link:this.trackLink(t)},e)}async setupOffline(){if(!this.catalogVersion)return;if(this.offline=new OfflineStore(this.catalogVersion),!this.offline.supported)return;const t=await this.offline.savedSources();document.querySelectorAll(".track").forEach(e=>{const i=e.querySelector(".offline-toggle");this.setOfflineState(i,t.has(new URL(e.dataset.src,document.baseURI).href)),i.hidden=!1}),this.updateOfflineUsage()}setOfflineState(t,e){const i=t.closest(".track").querySelector(".track-title").textContent;t.textContent=e?"Saved offline":"Save offline",t.setAttribute("aria-pressed",e),t.setAttribute("aria-label",e?`Remove ${i} from offline storage`:`Save ${i} for offline listening`)}async toggleOffline(t,e){const i=t.dataset.src,s=t.querySelector(".track-title").textContent,r="true"===e.getAttribute("aria-pressed");e.disabled=!0;try{r?(await this.offline.remove(i),this.setOfflineState(e,!1),this.announce(`${s} removed from offline storage`)):(e.textContent="Saving…",await this.offline.save(i),this.setOfflineState(e,!0),this.announce(`${s} saved for offline listening`))}catch(t){console.warn(`Offline storage failed for ${i}:`,t),this.setOfflineState(e,r),this.announce(`Couldn't save ${s} offline; storage may be full`)}finally{e.disabled=!1}this.updateOfflineUsage()}async updateOfflineUsage(){const t=document.querySelector(".offline-usage");if(!t)return;const e=await this.offline.savedSources(),i=Array.from(this.catalog.values()).filter(t=>e.has(new URL(t.src,document.baseURI).href)).reduce((t,e)=>t+(e.size||0),0),s=e.size;let r=s>0?`Saved offline: ${s} beat${1===s?"":"s"} (${this.formatBytes(i)})`:"No beats saved offline";const a=await this.offline.estimate();a&&(r+=` · ${this.formatBytes(a.usage)} of ${this.formatBytes(a.quota)} storage used`),t.textContent=r,t.hidden=!1}formatBytes(t){return t>=1e9?`${(t/1e9).toFixed(1)} GB`:t>=1e6?`${(t/1e6).toFixed(1)} MB`:`${Math.round(t/1e3)} KB`}updateBpmLabels(){const t=this.tempo?this.tempo.state.rate:1;document.querySelectorAll(".track").forEach(e=>{const i=e.querySelector(".bpm");if(!i)return;const s=parseFloat(e.dataset.bpm),r=Math.round(s*t*10)/10;i.textContent=`${r} BPM`,i.classList.toggle("adjusted",1!==t),i.title=1!==t?`Original tempo ${s} BPM`:""})}readCrossfade(){try{const t=parseFloat(localStorage.getItem("beatfolio:crossfade"));if(t>=0&&t<=8)return t}catch(t){}return 0}saveCrossfade(){try{localStorage.setItem("beatfolio:crossfade",String(this.crossfade))}catch(t){}}checkTransition(t){const e=this.currentAudio;if(!isFinite(e.duration)||e.paused||this.loopFor(t))return;const i=this.audioContext?this.crossfade:0,s=(e.duration-e.currentTime)/(e.playbackRate||1);if(s>Math.max(i,10))return;if(!this.transition||this.transition.from!==t){const e=this.queue.afterEnded(t);this.transition={from:t,to:e,started:!1},e&&e!==t&&this.engine.preload(e.dataset.src)}const{to:r}=this.transition;i>0&&r&&r!==t&&!this.transition.started&&s<=i&&s>.1&&(this.transition.started=!0,this.startCrossfade(r,s))}startCrossfade(t,e){try{const i=this.engine.crossfadeTo(t.dataset.src,e);this.tempo.applyTo(i)}catch(t){console.error("Error starting crossfade:",t),this.transition=null}}handleHandoff(){const t=this.transition;t&&t.started&&(this.transition=null,this.notifyTrackChange(t.to),this.currentTrack&&(this.emit("ended",{track:this.currentTrack}),this.resetTrack(this.currentTrack)),this.currentTrack=t.to,this.currentAudio=this.engine.audio,this.setPlayButtonState(t.to,!0),this.onTrackStarted(t.to))}cancelTransition(){this.transition=null,this.engine.cancelFade()}queueTracks(){return Array.from(document.querySelectorAll(".track"))}playNext(){const t=this.queue.next(this.currentTrack,{wrap:!0});t&&this.playTrack(t)}playPrevious(){if(this.currentAudio&&this.currentAudio.currentTime>3)return void this.seekTo(0);const t=this.queue.previous(this.currentTrack,{wrap:!0});t&&this.playTrack(t)}playTrack(t){if(this.currentTrack===t&&this.currentAudio)return this.seekTo(0),void(this.currentAudio.paused&&this.resumeTrack());this.toggleTrack(t)}mediaMetadataFor(t){const e=this.catalog.get(t.dataset.src),i=t.querySelector(".producer");return{title:t.querySelector(".track-title").textContent,artist:i?i.textContent:"Girmai",album:"Girmai Beats",artwork:e&&e.artwork?e.artwork:"laptop.png"}}async showEmbeddedArtwork(t,e){const i=this.catalog.get(t.dataset.src);if(i&&i.artwork)return;const s=await this.tags.artworkFor(t.dataset.src);s&&this.currentTrack===t&&this.mediaSession.setTrack({...e,artwork:s})}handleTrackEnded(t){const e=this.loopFor(t);if(e&&this.currentAudio)return this.currentAudio.currentTime=e.start,void this.resumeTrack();this.emit("ended",{track:t});const i=this.transition,s=i&&i.from===t?i.to:this.queue.afterEnded(t);this.transition=null,this.resetTrack(t),s&&this.toggleTrack(s)}redrawWaveform(t){const e=t.dataset.src,i=this.waveformData.get(e);if(!i)return;const s=t.querySelector(".waveform");t===this.currentTrack&&this.currentAudio&&this.currentAudio.duration?this.drawAnimatedWaveform(s,i,this.currentAudio.currentTime/this.currentAudio.duration,e):this.drawStaticWaveform(s,i,e)}loopFor(t){return t?this.loops.get(t.dataset.slug):null}timeAtX(t,e,i){const s=t.getBoundingClientRect();return Math.max(0,Math.min(1,(e-s.left)/s.width))*i}loopHandleAt(t,e,i){const s=this.loopFor(t);if(!s)return null;const r=e.getBoundingClientRect(),a=i-r.left,n=s.start/s.duration*r.width,o=s.end/s.duration*r.width;return Math.abs(a-n)<=8?"start":Math.abs(a-o)<=8?"end":null}snapToBar(t,e){const i=this.beatGrid(t);return i?Math.round((e-i.offset)/i.barLength)*i.barLength+i.offset:e}beatGrid(t){const e=t?parseFloat(t.dataset.bpm):NaN;if(!(e>0))return null;const i=60/e,s=i*this.beatsPerBar,r=this.gridSettings.offsets[t.dataset.slug];return{bpm:e,beatLength:i,barLength:s,offset:((null!=r?r:parseFloat(t.dataset.downbeat)||0)%s+s)%s}}barBeatAt(t,e){const i=this.beatGrid(t);if(!i)return null;const s=Math.floor((e-i.offset)/i.beatLength+1e-6);return{bar:Math.floor(s/this.beatsPerBar)+1,beat:(s%this.beatsPerBar+this.beatsPerBar)%this.beatsPerBar+1}}readGridSettings(){try{const t=JSON.parse(localStorage.getItem("beatfolio:grid"));if(t&&"object"==typeof t)return{visible:!1!==t.visible,click:!!t.click,offsets:t.offsets||{}}}catch(t){}return{visible:!0,click:!1,offsets:{}}}saveGridSettings(){try{localStorage.setItem("beatfolio:grid",JSON.stringify(this.gridSettings))}catch(t){}}setDownbeat(t,e){const i=this.beatGrid(t);if(!i)return;const s=(e%i.barLength+i.barLength)%i.barLength;this.gridSettings.offsets[t.dataset.slug]=Math.round(1e3*s)/1e3,this.saveGridSettings(),this.redrawWaveform(t),this.updatePositionReadout(t),this.metronome.resync(),t===this.currentTrack&&this.syncOnsetGrid(t)}setDownbeatAtPlayhead(){this.currentTrack&&this.currentAudio&&(this.setDownbeat(this.currentTrack,this.currentAudio.currentTime),this.announce(`Downbeat set at ${this.formatTime(this.currentAudio.currentTime)}`))}nudgeDownbeat(t){const e=this.beatGrid(this.currentTrack);e&&this.setDownbeat(this.currentTrack,e.offset+t)}updatePositionReadout(t){const e=t.querySelector(".track-position");if(!e)return;if(t!==this.currentTrack||!this.currentAudio)return void(e.hidden=!0);const i=this.currentAudio,s=this.barBeatAt(t,i.currentTime);e.textContent=`${this.formatTime(i.currentTime)} / ${this.formatTime(i.duration)}`+(s?` · ${s.bar}:${s.beat}`:""),e.hidden=!1}drawBeatGrid(t,e,i,s){if(!this.gridSettings.visible)return;const r=this.trackForSrc(e),a=this.beatGrid(r),n=this.trackDuration(r);if(!a||!n)return;const o=a.beatLength/n*i,h=o*this.beatsPerBar,l=o>=6;let c=1;for(;h*c<6;)c*=2;t.save(),t.lineWidth=1;for(let e=Math.ceil(-a.offset/a.beatLength);a.offset+e*a.beatLength<=n;e++){const r=e%this.beatsPerBar===0,o=Math.floor(e/this.beatsPerBar);if(!r&&!l)continue;if(r&&o%c!==0)continue;const h=Math.round((a.offset+e*a.beatLength)/n*i)+.5;t.strokeStyle=r?"rgba(255, 255, 255, 0.35)":"rgba(255, 255, 255, 0.12)",t.beginPath(),t.moveTo(h,r?0:.2*s),t.lineTo(h,r?s:.8*s),t.stroke()}t.restore()}trackDuration(t){return t?t===this.currentTrack&&this.currentAudio&&isFinite(this.currentAudio.duration)?this.currentAudio.duration:this.durations.get(t.dataset.src)||0:0}setLoop(t,e,i,{snap:s=!0}={}){const r=this.currentAudio.duration;if(!isFinite(r))return;s&&(e=this.snapToBar(t,e),i=this.snapToBar(t,i)),i<e&&([e,i]=[i,e]);const a=parseFloat(t.dataset.bpm),n=a>0?60/a*(s?4:1):.25;e=Math.max(0,Math.min(e,r-n)),i=Math.min(r,Math.max(i,e+n)),this.loops.set(t.dataset.slug,{start:e,end:i,duration:r}),t===this.currentTrack&&this.engine.setLoop(this.loopFor(t)),this.redrawWaveform(t)}clearLoop(t){this.loopFor(t)&&(this.loops.delete(t.dataset.slug),t===this.currentTrack&&this.engine.setLoop(null),this.redrawWaveform(t),this.announce("Loop cleared"))}beginLoopDrag(t,e,i,s){const r=this.loopHandleAt(t,e,i)||"new",a=this.timeAtX(e,i,this.currentAudio.duration);this.loopDrag={track:t,canvas:e,handle:r,anchor:a,startX:i,clearOnClick:s,moved:!1,pointer:null,stopFrame:null}}updateLoopDrag(t,e){this.loopDrag.pointer={clientX:t,snap:e},this.loopDrag.stopFrame||(this.loopDrag.stopFrame=this.frames.add(()=>this.applyLoopDrag()))}applyLoopDrag(){const t=this.loopDrag;t.stopFrame(),t.stopFrame=null;const{track:e,canvas:i,handle:s,anchor:r,startX:a,moved:n}=t,{clientX:o,snap:h}=t.pointer;if(!this.currentAudio||!n&&Math.abs(o-a)<4)return;const l=this.timeAtX(i,o,this.currentAudio.duration),c=this.loopFor(e);t.moved=!0,"new"===s?this.setLoop(e,r,l,{snap:h}):"start"===s?this.setLoop(e,l,c.end,{snap:h}):this.setLoop(e,c.start,l,{snap:h})}endLoopDrag(){if(!this.loopDrag)return!1;this.loopDrag.stopFrame&&this.applyLoopDrag();const{track:t,handle:e,moved:i,clearOnClick:s}=this.loopDrag;if(this.loopDrag=null,!i)return!("new"!==e||!s)&&(this.clearLoop(t),!0);const r=this.loopFor(t);return r&&this.announce(`Looping ${this.formatTime(r.start)} to ${this.formatTime(r.end)}`),!0}setLoopMarker(t){const e=this.currentTrack,i=this.currentAudio;if(!e||!i||!isFinite(i.duration))return;const s=i.currentTime,r=this.loopFor(e);if("a"===t)this.pendingLoopStart=s,r&&(this.loops.delete(e.dataset.slug),this.engine.setLoop(null)),this.redrawWaveform(e),this.announce(`Loop start set at ${this.formatTime(s)}`);else{const t=null!=this.pendingLoopStart?this.pendingLoopStart:r?r.start:0;this.pendingLoopStart=null,this.setLoop(e,t,s);const i=this.loopFor(e);this.announce(`Looping ${this.formatTime(i.start)} to ${this.formatTime(i.end)}`)}this.updateLoopButton()}updateLoopButton(){const t=document.querySelector(".transport-loop");if(!t)return;const e=!!this.loopFor(this.currentTrack);t.classList.toggle("active",e||null!=this.pendingLoopStart),t.textContent=e?"Clear loop":null!=this.pendingLoopStart?"Loop: set B":"Loop: set A"}drawLoopOverlay(t,e,i,s){const r=this.trackForSrc(e),a=this.loopFor(r);if(!a)return;const n=a.start/a.duration*i,o=a.end/a.duration*i;t.save(),t.fillStyle="rgba(0, 122, 255, 0.18)",t.fillRect(n,0,o-n,s),t.strokeStyle="rgba(0, 122, 255, 0.95)",t.lineWidth=2,t.fillStyle="rgba(0, 122, 255, 0.95)",t.font="600 10px monospace",t.textBaseline="top",[[n,"A"],[o,"B"]].forEach(([e,i])=>{t.beginPath(),t.moveTo(e,0),t.lineTo(e,s),t.stroke(),t.fillRect(e-3,s/2-8,6,16),t.fillText(i,"A"===i?e+4:e-11,3)}),t.restore()}trackForSrc(t){return Array.from(document.querySelectorAll(".track")).find(e=>e.dataset.src===t)||null}async loadCatalog(){const t=document.querySelector("main.tracks"),e=t&&t.dataset.catalog;if(!e)return;let i;try{const t=await fetch(e);if(!t.ok)throw new Error(`HTTP ${t.status}`);i=await t.json()}catch(t){return void console.error(`Failed to load beat catalog from ${e}:`,t)}this.catalogVersion=i.version||1;const s=e.slice(0,e.lastIndexOf("/")+1);this.setupPreviewMode(i.preview,s);const r=Array.isArray(i.tracks)?i.tracks:[],a=[],n=await Promise.all(r.map(async(t,e)=>{const i=this.validateCatalogEntry(t);if(i.length>0)return a.push(`#${e+1} ${t&&t.title?`"${t.title}"`:""}: ${i.join(", ")}`),null;const r=t.preview?AudioAnalysis.previewUrlFor(s+t.file):s+t.file,n=await this.engine.probe(r);if(!n){const i=t.preview?" (render it with scripts/render-previews.js)":"";return a.push(`#${e+1} ${t.title?`"${t.title}"`:t.file}: missing file ${r}${i}`),null}const o=await this.withFileTags(t,r),h=[];if(o.title||h.push("missing title"),o.producers||h.push("missing producers"),h.length>0)return a.push(`#${e+1} ${t.file}: ${h.join(", ")} (not in the catalog or the file's tags)`),null;const l=n.headers.get("content-length"),c=null!=o.bpm?o.bpm:AudioAnalysis.parseBpmFromFilename(t.file);return{...o,src:r,bpm:c,size:l?Number(l):null}}));a.length>0&&console.warn(`Beat catalog ${e} has ${a.length} unusable entr${1===a.length?"y":"ies"}:\n  ${a.join("\n  ")}`);const o=new Set;n.filter(Boolean).forEach(e=>{const i=e.slug||this.slugify(e.title);let s=i;for(let t=2;o.has(s);t++)s=`${i}-${t}`;o.add(s),this.catalog.set(e.src,{...e,slug:s}),t.appendChild(this.createTrackElement({...e,slug:s}))})}async withFileTags(t,e){if(t.title&&t.producers&&null!=t.bpm)return t;const i=await this.tags.read(e);return i?{...t,title:t.title||i.title,producers:t.producers||(i.artist?i.artist.split(/\s*[,/]\s*/):null),bpm:null!=t.bpm?t.bpm:i.bpm,key:null!=t.key?t.key:i.key}:t}setupPreviewMode(t,e){if(!t||"string"!=typeof t.tag)return;const i={...AudioAnalysis.PREVIEW_DEFAULTS,...t};i.interval>0?this.voiceTag.load(e+i.tag,i):console.warn("Preview mode disabled: preview.interval must be a positive number of seconds")}slugify(t){return t.normalize("NFKD").replace(/[\u0300-\u036f]/g,"").toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"")||"beat"}validateCatalogEntry(t){const e=[];return t&&"object"==typeof t?(null==t.title||"string"==typeof t.title&&t.title.trim()||e.push("title must be a non-empty string"),"string"==typeof t.file&&t.file.trim()||e.push("missing file"),null==t.bpm||"number"==typeof t.bpm&&t.bpm>0||e.push("bpm must be a positive number"),null!=t.preview&&"boolean"!=typeof t.preview&&e.push("preview must be true or false"),null!=t.downbeat&&"number"!=typeof t.downbeat&&e.push("downbeat must be a number of seconds"),null!=t.key&&"string"!=typeof t.key&&e.push("key must be a string"),null==t.producers||Array.isArray(t.producers)&&0!==t.producers.length&&!t.producers.some(t=>"string"!=typeof t)||e.push("producers must be a non-empty list of names"),null==t.tags||Array.isArray(t.tags)&&!t.tags.some(t=>"string"!=typeof t)||e.push("tags must be a list of strings"),null!=t.added&&isNaN(Date.parse(t.added))&&e.push("added must be a date"),e):["not an object"]}createKeyLabel(t,e=null){const i=document.createElement("span");if(i.className="key",i.textContent=t,null!=e){const t=Math.round(100*e),s=document.createElement("span");s.className="key-confidence",s.textContent=`${t}%`,i.classList.add("detected"),i.append(" ",s),i.title=`Detected from the audio, ${t}% confidence`}return i}showDetectedKey(t,e){const i=this.trackForSrc(t);i&&e&&!i.dataset.key&&(i.dataset.key=e.name,i.querySelector(".producer").after(this.createKeyLabel(e.name,e.confidence)))}createTrackElement(t){const e=document.createElement("div");e.className="track",e.dataset.src=t.src,e.dataset.slug=t.slug,t.bpm&&(e.dataset.bpm=t.bpm),null!=t.downbeat&&(e.dataset.downbeat=t.downbeat),t.preview&&(e.dataset.preview="true"),e.dataset.producers=t.producers.join(", "),t.key&&(e.dataset.key=t.key),t.tags&&t.tags.length>0&&(e.dataset.tags=t.tags.join(",")),t.added&&(e.dataset.added=t.added);const i=document.createElement("div");i.className="track-info";const s=document.createElement("h3");s.className="track-title",s.textContent=t.title;const r=document.createElement("div");if(r.className="track-meta",t.bpm){const e=document.createElement("span");e.className="bpm",e.textContent=`${t.bpm} BPM`,r.appendChild(e)}const a=document.createElement("span");a.className="producer",a.textContent=t.producers.join(", ");const n=document.createElement("span");if(n.className="track-position",n.hidden=!0,r.append(a),t.key&&r.appendChild(this.createKeyLabel(t.key)),r.appendChild(n),t.preview){const t=document.createElement("span");t.className="preview-badge",t.textContent="Preview",t.title="Tagged preview; lease the beat for the full-quality file",r.appendChild(t)}i.append(s,r);const o=document.createElement("div");o.className="waveform-container";const h=document.createElement("canvas");h.className="waveform",h.width=800,h.height=100,h.tabIndex=0,h.setAttribute("role","slider"),h.setAttribute("aria-label",`Seek ${t.title}`),h.setAttribute("aria-valuemin","0"),h.setAttribute("aria-valuemax","0"),h.setAttribute("aria-valuenow","0"),h.setAttribute("aria-valuetext","Not playing"),h.setAttribute("aria-keyshortcuts","Space Enter ArrowLeft ArrowRight PageUp PageDown Home End");const l=document.createElement("button");l.type="button",l.className="play-button",l.textContent="▶",l.setAttribute("aria-label",`Play ${t.title}`);const c=document.createElement("a");c.href=`mailto:${this.inquiryEmail()}?subject=${encodeURIComponent(`Lease inquiry: ${t.title}`)}`,c.className="dm-link",c.textContent="Lease / Inquire",c.setAttribute("aria-haspopup","dialog");const u=document.createElement("button");u.type="button",u.className="copy-link",u.textContent="Copy link",u.setAttribute("aria-label",`Copy link to ${t.title} at the current time`);const d=document.createElement("button");d.type="button",d.className="offline-toggle",d.textContent="Save offline",d.hidden=!0,d.setAttribute("aria-pressed","false"),d.setAttribute("aria-label",`Save ${t.title} for offline listening`);const p=document.createElement("div");return p.className="track-actions",p.append(c,u,d),o.append(h,l,p),e.append(i,o),e}generateTrackColors(){const t=["#FF6B6B","#4ECDC4","#45B7D1","#96CEB4","#FFEAA7","#DDA0DD","#98D8C8","#F7DC6F","#BB8FCE","#85C1E9","#FFFF00","#ADFF2F","#00FF00","#FFD700","#FFA500","#E6E6FA","#DA70D6","#BA55D3","#9370DB","#FF69B4","#FF1493","#DC143C","#B22222","#8B0000","#00CED1","#40E0D0","#48D1CC","#00FFFF","#7FFFD4","#98FB98","#90EE90","#32CD32","#228B22","#006400"];new Set;document.querySelectorAll(".track").forEach((e,i)=>{const s=e.dataset.src;let r;r=i<t.length?t[i]:t[i%t.length],this.trackColors.set(s,r)})}setupEventListeners(){document.addEventListener("keydown",t=>this.handleShortcut(t)),document.querySelectorAll(".track").forEach(t=>{const e=t.querySelector(".play-button"),i=t.querySelector(".waveform");e.addEventListener("click",e=>{e.stopPropagation(),this.toggleTrack(t)}),t.querySelector(".dm-link").addEventListener("click",e=>{this.inquiry&&(e.preventDefault(),e.stopPropagation(),this.openInquiry(t,e.currentTarget))}),t.querySelector(".offline-toggle").addEventListener("click",e=>{e.stopPropagation(),this.toggleOffline(t,e.currentTarget)}),t.querySelector(".copy-link").addEventListener("click",e=>{e.stopPropagation(),this.copyTrackLink(t,e.currentTarget)}),i.addEventListener("click",e=>{this.suppressClick?this.suppressClick=!1:this.currentTrack===t&&this.currentAudio&&this.handleScrub(e,i)}),i.addEventListener("mousedown",e=>{this.currentTrack===t&&this.currentAudio&&this.beginLoopDrag(t,i,e.clientX,e.shiftKey)}),i.addEventListener("mousemove",e=>{if(this.loopDrag&&this.loopDrag.track===t)return void this.updateLoopDrag(e.clientX,!e.altKey);const s=this.currentTrack===t&&this.loopHandleAt(t,i,e.clientX);i.style.cursor=s?"ew-resize":"pointer"}),i.addEventListener("mouseup",()=>{this.suppressClick=this.endLoopDrag()}),i.addEventListener("mouseleave",()=>{this.endLoopDrag()}),i.addEventListener("touchstart",e=>{e.preventDefault(),this.currentTrack===t&&this.currentAudio&&this.beginLoopDrag(t,i,e.touches[0].clientX,!1)}),i.addEventListener("touchmove",e=>{e.preventDefault(),this.loopDrag&&this.loopDrag.track===t&&this.updateLoopDrag(e.touches[0].clientX,!0)}),i.addEventListener("touchend",e=>{e.preventDefault(),!this.endLoopDrag()&&this.currentTrack===t&&this.currentAudio&&this.handleTouchScrub(e,i)}),i.addEventListener("touchcancel",t=>{t.preventDefault(),this.endLoopDrag()}),i.addEventListener("keydown",e=>this.handleWaveformKey(e,t)),i.style.cursor="pointer"})}handleWaveformKey(t,e){if(t.altKey||t.ctrlKey||t.metaKey)return;if(" "===t.key||"Enter"===t.key)return t.preventDefault(),void this.toggleTrack(e);if(this.currentTrack!==e||!this.currentAudio)return;const i=this.currentAudio,s={ArrowLeft:-5,ArrowDown:-5,ArrowRight:5,ArrowUp:5,PageDown:-30,PageUp:30};let r;if(t.key in s)r=i.currentTime+s[t.key];else if("Home"===t.key)r=0;else{if("End"!==t.key)return;r=i.duration}t.preventDefault(),this.seekTo(r),this.announce(this.describePosition(i))}handleShortcut(t){if(t.altKey||t.ctrlKey||t.metaKey||t.defaultPrevented)return;const e=t.target;if(!(e.isContentEditable||["INPUT","TEXTAREA","SELECT"].includes(e.tagName)||e.closest&&e.closest("dialog[open]")))switch(t.key){case"k":case"K":t.preventDefault(),this.currentTrack?this.toggleTrack(this.currentTrack):this.playNext();break;case"j":case"J":this.currentAudio&&(t.preventDefault(),this.seekTo(this.currentAudio.currentTime-10),this.announce(this.describePosition(this.currentAudio)));break;case"l":case"L":this.currentAudio&&(t.preventDefault(),this.seekTo(this.currentAudio.currentTime+10),this.announce(this.describePosition(this.currentAudio)));break;case"N":t.shiftKey&&(t.preventDefault(),this.playNext());break;case"P":t.shiftKey&&(t.preventDefault(),this.playPrevious());break;case"a":case"A":case"b":case"B":this.currentAudio&&(t.preventDefault(),this.setLoopMarker(t.key.toLowerCase()));break;case"d":case"D":this.currentAudio&&(t.preventDefault(),this.setDownbeatAtPlayhead());break;case"[":case"]":this.currentAudio&&(t.preventDefault(),this.nudgeDownbeat("["===t.key?-.01:.01));break;case"Escape":this.loopFor(this.currentTrack)&&(this.clearLoop(this.currentTrack),this.updateLoopButton())}}formatTime(t){if(!isFinite(t)||t<0)return"0:00";const e=Math.floor(t/60),i=Math.floor(t%60);return`${e}:${String(i).padStart(2,"0")}`}describePosition(t){return`${this.formatTime(t.currentTime)} of ${this.formatTime(t.duration)}`}announce(t){const e=document.querySelector(".player-status");e&&(e.textContent=t)}updateSeekSlider(t,e){const i=isFinite(e.duration)?e.duration:0;t.setAttribute("aria-valuemax",Math.round(i)),t.setAttribute("aria-valuenow",Math.round(e.currentTime)),t.setAttribute("aria-valuetext",this.describePosition(e))}resetSeekSlider(t){t.setAttribute("aria-valuenow","0"),t.setAttribute("aria-valuetext","Not playing")}setPlayButtonState(t,e){const i=t.querySelector(".play-button"),s=t.querySelector(".track-title").textContent;t.classList.toggle("playing",e),i.textContent=e?"⏸":"▶",i.classList.toggle("playing",e),i.setAttribute("aria-label",`${e?"Pause":"Play"} ${s}`)}handleScrub(t,e){const i=e.getBoundingClientRect(),s=t.clientX-i.left,r=Math.max(0,Math.min(1,s/i.width));this.seekTo(r*this.currentAudio.duration)}handleTouchScrub(t,e){const i=e.getBoundingClientRect(),s=(t.touches[0]||t.changedTouches[0]).clientX-i.left,r=Math.max(0,Math.min(1,s/i.width));this.seekTo(r*this.currentAudio.duration)}seekTo(t){if(!this.currentAudio)return;const e=this.currentAudio.duration||0;this.cancelTransition(),this.currentAudio.currentTime=Math.max(0,Math.min(e,t)),this.mediaSession.updatePosition(this.currentAudio),this.updateSeekSlider(this.currentTrack.querySelector(".waveform"),this.currentAudio),this.updateHash(this.currentTrack,this.currentAudio.currentTime),this.emit("seek",{track:this.currentTrack,time:this.currentAudio.currentTime})}async preloadWaveforms(){const t=document.querySelectorAll(".track");for(const e of t){const t=e.dataset.src,i=e.querySelector(".waveform");try{const e=await this.generateWaveform(t);this.waveformData.set(t,e),setTimeout(()=>{this.drawStaticWaveform(i,e,t)},10)}catch(e){console.error(`Failed to generate waveform for ${t}:`,e),this.drawPlaceholderWaveform(i,t)}}}async generateWaveform(t){const e=await this.loadPeaks(t);if(e)return e;try{const e=await fetch(t),i=await e.arrayBuffer(),s=AudioAnalysis.parseId3(new Uint8Array(i)),r=await this.audioContext.decodeAudioData(i);return this.durations.set(t,r.duration),this.showFallbackKey(t,s,r),AudioAnalysis.computeWaveformBuckets(r.getChannelData(0))}catch(t){return console.error("Error generating waveform:",t),this.generatePlaceholderData()}}showFallbackKey(t,e,i){const s=this.trackForSrc(t);s&&!s.dataset.key&&(e&&e.key?this.showDetectedKey(t,{name:e.key,confidence:null}):this.showDetectedKey(t,AudioAnalysis.detectKey(i.getChannelData(0),i.sampleRate)))}async loadPeaks(t){try{const e=await fetch(AudioAnalysis.peaksUrlFor(t));if(!e.ok)return null;const i=await e.json(),s=this.catalog.get(t);if(s&&null!=s.size&&i.source&&i.source.size!==s.size)return console.warn(`Peaks for ${t} are stale, decoding in the browser`),null;const r=AudioAnalysis.decodePeaks(i);return r&&i.duration&&this.durations.set(t,i.duration),r&&i.key&&this.showDetectedKey(t,i.key),r}catch(t){return null}}generatePlaceholderData(){const t=[];for(let e=0;e<400;e++){const i=.15+.1*Math.sin(.1*e),s=.3*(Math.random()-.5),r=Math.random()>.9?.4*Math.random():0,a=Math.max(.05,Math.min(.9,i+s+r));t.push({average:.8*a,peak:a,rms:.9*a,combined:a})}return t}drawStaticWaveform(t,e,i){const s=t.getContext("2d"),r=this.trackColors.get(i)||"#2ECC71",a=t.getBoundingClientRect(),n=a.width,o=a.height;s.imageSmoothingEnabled=!0,s.imageSmoothingQuality="high";const h=window.devicePixelRatio||1;t.width=n*h,t.height=o*h,s.scale(h,h),s.clearRect(0,0,n,o),this.drawBeatGrid(s,i,n,o);const l=o/2,c=e.length,u=n/c,d=Math.max(.5,.15*u);for(let t=0;t<c;t++){const i="object"==typeof e[t]?e[t].combined:e[t],a=Math.max(.3,Math.min(.95,i))*o*.85,n=t*u,h=Math.max(1,u-d),c=s.createLinearGradient(n,l-a/2,n,l+a/2);c.addColorStop(0,r+"CC"),c.addColorStop(.5,r+"99"),c.addColorStop(1,r+"CC"),s.fillStyle=c;const p=l-a/2,m=Math.min(h/3,2);s.beginPath(),s.roundRect(n,p,h,a,m),s.fill(),s.strokeStyle=r+"40",s.lineWidth=.5,s.stroke()}this.drawLoopOverlay(s,i,n,o)}drawAnimatedWaveform(t,e,i=0,s){const r=t.getContext("2d"),a=this.trackColors.get(s)||"#2ECC71",n=this.darkenColor(a,.3),o=t.getBoundingClientRect(),h=o.width,l=o.height;r.imageSmoothingEnabled=!0,r.imageSmoothingQuality="high";const c=window.devicePixelRatio||1;t.width=h*c,t.height=l*c,r.scale(c,c),r.clearRect(0,0,h,l),this.drawBeatGrid(r,s,h,l);const u=l/2,d=h/(e.length-1),p=Math.floor(i*e.length);if(r.lineWidth=2,r.lineCap="round",r.lineJoin="round",p>0){r.strokeStyle=n,r.beginPath(),r.moveTo(0,u);for(let t=0;t<=p&&t<e.length;t++){const i=t*d,s=u-("object"==typeof e[t]?e[t].combined:e[t])*l*.4;r.lineTo(i,s)}r.stroke(),r.beginPath(),r.moveTo(0,u);for(let t=0;t<=p&&t<e.length;t++){const i=t*d,s=u+("object"==typeof e[t]?e[t].combined:e[t])*l*.4;r.lineTo(i,s)}r.stroke()}if(p<e.length-1){r.strokeStyle=a,r.beginPath();const t=p*d;r.moveTo(t,u);for(let t=p;t<e.length;t++){const i=t*d,s=u-("object"==typeof e[t]?e[t].combined:e[t])*l*.4;r.lineTo(i,s)}r.stroke(),r.beginPath(),r.moveTo(t,u);for(let t=p;t<e.length;t++){const i=t*d,s=u+("object"==typeof e[t]?e[t].combined:e[t])*l*.4;r.lineTo(i,s)}r.stroke()}this.drawLoopOverlay(r,s,h,l);const m=i*h;r.strokeStyle="#FF3B30",r.lineWidth=2,r.beginPath(),r.moveTo(m,0),r.lineTo(m,l),r.stroke()}darkenColor(t,e){const i=t.replace("#",""),s=Math.max(0,parseInt(i.substr(0,2),16)-Math.round(255*e)),r=Math.max(0,parseInt(i.substr(2,2),16)-Math.round(255*e)),a=Math.max(0,parseInt(i.substr(4,2),16)-Math.round(255*e));return`#${s.toString(16).padStart(2,"0")}${r.toString(16).padStart(2,"0")}${a.toString(16).padStart(2,"0")}`}drawPlaceholderWaveform(t,e){const i=this.generatePlaceholderData();this.drawStaticWaveform(t,i,e)}setupEngineEvents(){this.engine.on("timeupdate",()=>this.handleTimeUpdate()),this.engine.on("ended",()=>{this.currentTrack&&this.handleTrackEnded(this.currentTrack)}),this.engine.on("loadedmetadata",()=>{this.currentTrack&&(this.mediaSession.updatePosition(this.currentAudio),this.durations.set(this.currentTrack.dataset.src,this.currentAudio.duration))}),this.engine.on("seeking",()=>{this.onsetDetector&&this.onsetDetector.reset(),this.metronome.resync(),this.currentAudio&&this.voiceTag.resync(this.currentAudio.currentTime)}),this.engine.on("pause",()=>this.handlePause()),this.engine.on("handoff",()=>this.handleHandoff())}handleTimeUpdate(){const t=this.currentTrack;if(!t||!this.currentAudio)return;const e=t.dataset.src,i=t.querySelector(".waveform"),s=this.currentAudio.currentTime/this.currentAudio.duration,r=this.waveformData.get(e);if(this.updateSeekSlider(i,this.currentAudio),this.updateHash(t,this.currentAudio.currentTime),this.updatePositionReadout(t),this.emit("progress",{track:t,time:this.currentAudio.currentTime,duration:this.currentAudio.duration}),this.checkTransition(t),"true"!==t.dataset.preview&&this.voiceTag.update(e,this.currentAudio.currentTime),r){this.drawAnimatedWaveform(i,r,s,e);const a=Math.floor(s*r.length);if(a<r.length){const e="object"==typeof r[a]?r[a].combined:r[a];this.emit("amplitude",{track:t,level:e,source:"waveform"})}}}handlePause(){const t=this.currentTrack;if(!t||!this.currentAudio||!this.currentAudio.paused)return;const e=t.dataset.src;this.emit("pause",{track:t,time:this.currentAudio.currentTime}),this.mediaSession.setPlaybackState("paused"),this.metronome.stop(),this.voiceTag.stop(),this.setPlayButtonState(t,!1),this.currentAudio.ended||this.announce(`Paused ${t.querySelector(".track-title").textContent} at ${this.describePosition(this.currentAudio)}`),this.stopReactiveVisualization();const i=this.waveformData.get(e);i&&this.drawStaticWaveform(t.querySelector(".waveform"),i,e)}async toggleTrack(t){const e=t.dataset.src;if(this.currentTrack!==t||!this.currentAudio||this.currentAudio.paused)if(this.currentTrack===t&&this.currentAudio&&this.currentAudio.paused)this.resumeTrack();else{this.currentAudio&&this.stopTrack();try{this.currentTrack=t,this.currentAudio=this.engine.load(e),this.tempo.applyTo(this.currentAudio),this.setPlayButtonState(t,!0),await this.engine.play(),this.onTrackStarted(t)}catch(e){if("AbortError"===e.name&&this.currentTrack!==t)return;console.error("Error playing audio:",e),this.resetTrack(t)}}else this.pauseTrack()}onTrackStarted(t){const e=t.querySelector(".waveform");this.lastHashSecond=null,this.updateHash(t,this.currentAudio.currentTime),this.pendingLoopStart=null,this.updateLoopButton(),this.engine.setLoop(this.loopFor(t)),this.gridSettings.click&&this.metronome.start();const i=this.consumePendingStart(t);this.notifyTrackChange(t),this.onsetDetector&&(this.onsetDetector.reset(),this.syncOnsetGrid(t));const s=this.mediaMetadataFor(t);this.mediaSession.setTrack(s),this.mediaSession.setPlaybackState("playing"),this.showEmbeddedArtwork(t,s),this.announce(`Playing ${s.title} by ${s.artist}`),this.engine.analyser&&this.startReactiveVisualization(e,t.dataset.src),this.emit("play",{track:t,time:this.currentAudio.currentTime,resumed:!1,deepLinked:i})}pauseTrack(){this.currentAudio&&(this.cancelTransition(),this.currentAudio.pause())}resumeTrack(){if(this.currentAudio&&this.currentTrack){const t=this.currentTrack.querySelector(".waveform"),e=this.currentTrack.dataset.src;this.engine.play(),this.mediaSession.setPlaybackState("playing"),this.gridSettings.click&&this.metronome.start(),this.announce(`Playing ${this.currentTrack.querySelector(".track-title").textContent}`),this.engine.analyser&&this.startReactiveVisualization(t,e),this.emit("play",{track:this.currentTrack,time:this.currentAudio.currentTime,resumed:!0,deepLinked:!1})}}stopTrack(){this.cancelTransition(),this.currentTrack&&this.currentAudio&&this.emit("stop",{track:this.currentTrack,time:this.currentAudio.currentTime}),this.currentAudio&&(this.currentAudio.pause(),this.currentAudio.currentTime=0),this.currentTrack&&this.resetTrack(this.currentTrack)}resetTrack(t){const e=t.querySelector(".waveform"),i=t.dataset.src;this.setPlayButtonState(t,!1),this.resetSeekSlider(e),this.metronome.stop(),this.voiceTag.stop();const s=this.waveformData.get(i);s&&this.drawStaticWaveform(e,s,i),this.currentTrack===t&&(this.currentTrack=null,this.currentAudio=null,this.updatePositionReadout(t),this.mediaSession.setPlaybackState("none"),this.reportedTrack===t&&this.notifyTrackChange(null),this.stopReactiveVisualization())}destroy(){this.stopTrack(),this.metronome.stop(),Array.from(this.plugins.keys()).forEach(t=>this.unregisterPlugin(t)),this.engine.destroy()}startReactiveVisualization(t,e){this.engine.analyser&&(this.stopReactiveVisualization(),this.visualizer.reset(),this.stopVisualization=this.frames.add(()=>{if(!this.currentAudio||this.currentAudio.paused||!this.currentTrack)return void this.stopReactiveVisualization();this.detectOnsets();const i=this.visualizer.render(t,e);this.emit("amplitude",{track:this.currentTrack,level:i,source:"analyser"})}))}stopReactiveVisualization(){this.stopVisualization&&(this.stopVisualization(),this.stopVisualization=null)}syncOnsetGrid(t){const e=this.beatGrid(t);this.onsetDetector.setGrid(e?e.bpm:0,e?e.offset:0)}detectOnsets(){const{onsetAnalyser:t,onsetData:e}=this.engine;if(!this.onsetDetector||!t)return;t.getFloatFrequencyData(e);for(let t=0;t<e.length;t++)this.onsetMagnitudes[t]=Number.isFinite(e[t])?Math.pow(10,e[t]/20):0;const i=this.currentAudio,s=t.fftSize/2/this.audioContext.sampleRate*i.playbackRate,r=this.onsetDetector.process(this.onsetMagnitudes,i.currentTime-s);if(!r)return;const a=this.currentTrack;this.emit("beat",{track:a,time:r.time,strength:r.strength,beat:r.beat,onGrid:r.onGrid}),r.drop&&this.emit("drop",{track:a,time:r.time,strength:r.strength})}lightenColor(t,e){const i=t.replace("#",""),s=Math.min(255,parseInt(i.substr(0,2),16)+Math.round(255*e)),r=Math.min(255,parseInt(i.substr(2,2),16)+Math.round(255*e)),a=Math.min(255,parseInt(i.substr(4,2),16)+Math.round(255*e));return`#${s.toString(16).padStart(2,"0")}${r.toString(16).padStart(2,"0")}${a.toString(16).padStart(2,"0")}`}}class PlaylistPlayer{constructor(t){this.root=t,this.items=[],this.entries=new Map,this.currentItem=null,this.currentAudio=null,this.isScrubbing=!1,this.engine=new PlaybackEngine(null),this.tags=new TagReader,this.queue=new PlaybackQueue(()=>this.items.filter(t=>!t.classList.contains("unavailable"))),this.queue.repeat="all",this.mediaSession=new MediaSessionController({play:()=>this.play(),pause:()=>this.pause(),seekTo:t=>this.seekTo(t),seekBy:t=>this.currentAudio&&this.seekTo(this.currentAudio.currentTime+t),next:()=>this.next(),previous:()=>this.previous()}),this.init()}async init(){this.list=this.root.querySelector(".playlist-items"),this.title=this.root.querySelector(".playlist-now-title"),this.artist=this.root.querySelector(".playlist-now-artist"),this.toggleButton=this.root.querySelector(".playlist-toggle"),this.seek=this.root.querySelector(".playlist-seek"),this.elapsed=this.root.querySelector(".playlist-elapsed"),this.duration=this.root.querySelector(".playlist-duration"),this.status=this.root.querySelector(".playlist-status"),this.toggleButton.addEventListener("click",()=>this.toggle()),this.root.querySelector(".playlist-prev").addEventListener("click",()=>this.previous()),this.root.querySelector(".playlist-next").addEventListener("click",()=>this.next()),this.seek.addEventListener("input",()=>{this.isScrubbing=!0,this.renderTime(Number(this.seek.value))}),this.seek.addEventListener("change",()=>{this.isScrubbing=!1,this.seekTo(Number(this.seek.value))}),this.engine.on("timeupdate",()=>this.handleTimeUpdate()),this.engine.on("loadedmetadata",()=>this.handleTimeUpdate()),this.engine.on("ended",()=>this.handleEnded()),this.engine.on("pause",()=>this.renderState()),await this.load()}async load(){const t=this.root.dataset.playlist;let e;try{const i=await fetch(t);if(!i.ok)throw new Error(`HTTP ${i.status}`);e=await i.json()}catch(e){return console.error(`Failed to load playlist from ${t}:`,e),void this.announce("Playlist unavailable")}const i=t.slice(0,t.lastIndexOf("/")+1);this.album=e.album||"",this.artwork=e.artwork?i+e.artwork:null;const s=Array.isArray(e.tracks)?e.tracks:[];this.items=s.map((t,e)=>{const s=i+encodeURIComponent(t.file),r=t.artwork?i+t.artwork:null,a=this.createItem(e);return this.entries.set(a,{...t,src:s,artwork:r}),this.renderItem(a),a}),this.list.replaceChildren(...this.items);const r=[];await Promise.all(this.items.map(async t=>{const e=this.entries.get(t);await this.engine.probe(e.src)?e.title&&e.artist||await this.applyFileTags(t):(this.markUnavailable(t),r.push(`"${this.titleFor(e)}": missing file ${e.file}`))})),r.length>0&&console.warn(`Playlist ${t} has ${r.length} unavailable entr${1===r.length?"y":"ies"}:\n  ${r.join("\n  ")}`)}async applyFileTags(t){const e=this.entries.get(t),i=await this.tags.read(e.src);i&&(e.title=e.title||i.title,e.artist=e.artist||i.artist,this.renderItem(t),t===this.currentItem&&this.renderTrack())}titleFor(t){return t.title||t.file.replace(/\.[^.]+$/,"")}createItem(t){const e=document.createElement("li");e.className="playlist-item";const i=document.createElement("button");return i.type="button",i.className="playlist-select",i.dataset.number=t+1,i.addEventListener("click",()=>this.playItem(e)),e.appendChild(i),e}renderItem(t){const e=this.entries.get(t),i=t.querySelector(".playlist-select"),s=document.createElement("span");s.className="playlist-number",s.textContent=`${i.dataset.number}.`;const r=document.createElement("strong");r.textContent=this.titleFor(e),i.replaceChildren(s,r,e.artist?` - ${e.artist}`:"")}markUnavailable(t){t.classList.add("unavailable");const e=t.querySelector(".playlist-select");e.disabled=!0,e.title="File not available"}async playItem(t){if(!t||t.classList.contains("unavailable"))return;const e=this.entries.get(t);this.currentItem=t,this.currentAudio=this.engine.load(e.src),this.renderTrack();try{await this.engine.play(),this.renderState();const i={title:this.titleFor(e),artist:e.artist||"",album:this.album,artwork:e.artwork||this.artwork};this.mediaSession.setTrack(i),this.showEmbeddedArtwork(t,i),this.announce(e.artist?`Playing ${i.title} by ${e.artist}`:`Playing ${i.title}`)}catch(i){if("AbortError"===i.name&&this.currentItem!==t)return;console.error(`Error playing ${e.src}:`,i);const s=this.queue.next(t,{wrap:!0});this.markUnavailable(t),this.announce(`${this.titleFor(e)} is unavailable, skipping`),s&&s!==t?this.playItem(s):this.renderState()}}async showEmbeddedArtwork(t,e){const i=this.entries.get(t);if(i.artwork)return;const s=await this.tags.artworkFor(i.src);s&&this.currentItem===t&&this.mediaSession.setTrack({...e,artwork:s})}play(){this.currentAudio&&this.currentAudio.paused?this.engine.play().then(()=>this.renderState()).catch(t=>{console.error("Error resuming audio:",t)}):this.currentAudio||this.playItem(this.queue.next(null))}pause(){this.currentAudio&&this.currentAudio.pause()}toggle(){this.currentAudio&&!this.currentAudio.paused?this.pause():this.play()}next(){this.playItem(this.queue.next(this.currentItem,{wrap:!0}))}previous(){this.currentAudio&&this.currentAudio.currentTime>3?this.seekTo(0):this.playItem(this.queue.previous(this.currentItem,{wrap:!0}))}seekTo(t){const e=this.currentAudio;e&&isFinite(e.duration)&&(e.currentTime=Math.max(0,Math.min(e.duration,t)),this.mediaSession.updatePosition(e),this.handleTimeUpdate())}handleTimeUpdate(){const t=this.currentAudio;if(!t)return;const e=isFinite(t.duration)?t.duration:0;if(this.seek.max=e,this.seek.disabled=!e,this.isScrubbing||(this.seek.value=t.currentTime,this.renderTime(t.currentTime)),e&&e-t.currentTime<10){const t=this.queue.afterEnded(this.currentItem);t&&t!==this.currentItem&&this.engine.preload(this.entries.get(t).src)}}handleEnded(){const t=this.queue.afterEnded(this.currentItem);t?this.playItem(t):this.renderState()}renderTrack(){const t=this.entries.get(this.currentItem);this.title.textContent=this.titleFor(t),this.artist.textContent=t.artist||"",this.items.forEach(t=>{const e=t===this.currentItem;t.classList.toggle("active",e),e?t.querySelector(".playlist-select").setAttribute("aria-current","true"):t.querySelector(".playlist-select").removeAttribute("aria-current")}),this.seek.value=0,this.renderTime(0)}renderState(){const t=!!this.currentAudio&&!this.currentAudio.paused;this.toggleButton.textContent=t?"⏸":"▶",this.toggleButton.setAttribute("aria-label",t?"Pause":"Play"),this.mediaSession.setPlaybackState(this.currentAudio?t?"playing":"paused":"none")}renderTime(t){const e=this.currentAudio?this.currentAudio.duration:NaN;this.elapsed.textContent=this.formatTime(t),this.duration.textContent=this.formatTime(e),this.seek.setAttribute("aria-valuetext",`${this.formatTime(t)} of ${this.formatTime(e)}`)}formatTime(t){if(!isFinite(t)||t<0)return"0:00";const e=Math.floor(t/60),i=Math.floor(t%60);return`${e}:${String(i).padStart(2,"0")}`}announce(t){this.status&&(this.status.textContent=t)}}const LOOP_SYNC_EVENTS=["seeked","pause","playing","ratechange","ended"];class PlaybackEngine{constructor(t){this.audioContext=t,this.handlers=new Map,this.nodes=new Set,this.voices=[],this.input=null,this.analyser=null,this.onsetAnalyser=null,this.onsetData=null,this.master=null,this.pitchShifter=null,this.pitchRatio=1,this.fade=null,this.loop=null,this.loopBuffer=null,this.looper=null,this.wrapTimer=null,this.wrapping=!1,this.init()}init(){const t=this.audioContext;t&&(this.input=this.register(t.createGain()),this.analyser=this.register(t.createAnalyser()),this.onsetAnalyser=this.register(t.createAnalyser()),this.onsetAnalyser.fftSize=AudioAnalysis.ONSET_DEFAULTS.fftSize,this.onsetAnalyser.smoothingTimeConstant=0,this.onsetData=new Float32Array(this.onsetAnalyser.frequencyBinCount),this.master=this.register(t.createGain()),this.input.connect(this.analyser),this.analyser.connect(this.master),this.analyser.connect(this.onsetAnalyser),this.master.connect(t.destination)),this.voice=this.createVoice(),this.createVoice(),this.pitchReady=this.loadPitchShifter()}get audio(){return this.voice.audio}get idleVoice(){return this.voices.find(t=>t!==this.voice)}register(t){return this.nodes.add(t),t}createVoice(){const t=new Audio;t.preload="auto";const e={audio:t,src:null,source:null,gain:null,listeners:[]};return this.audioContext&&(e.source=this.register(this.audioContext.createMediaElementSource(t)),e.gain=this.register(this.audioContext.createGain()),e.source.connect(e.gain),e.gain.connect(this.input)),["timeupdate","ended","loadedmetadata","seeking","seeked","pause","playing","ratechange"].forEach(i=>{const s=t=>{e===this.voice&&(this.emit(i,t),this.loop&&LOOP_SYNC_EVENTS.includes(i)&&this.syncLoop(i))};t.addEventListener(i,s),e.listeners.push([i,s])}),this.voices.push(e),e}async loadPitchShifter(){const t=this.audioContext;if(!t||!t.audioWorklet)return!1;try{await t.audioWorklet.addModule(new URL("pitch-shifter.js",SCRIPT_URL).href)}catch(t){return console.warn("Pitch shifting unavailable:",t),!1}return this.pitchShifter=this.register(new AudioWorkletNode(t,"pitch-shifter")),this.pitchShifter.parameters.get("pitchRatio").value=this.pitchRatio,this.input.disconnect(),this.input.connect(this.pitchShifter),this.pitchShifter.connect(this.analyser),!0}setPitchRatio(t){this.pitchRatio=t,this.applyPitchRatio()}applyPitchRatio(){if(!this.pitchShifter)return;const t=this.looper?this.pitchRatio/this.looper.rate:this.pitchRatio;this.pitchShifter.parameters.get("pitchRatio").setValueAtTime(t,this.audioContext.currentTime)}setLoop(t){if(this.loop=t?{start:t.start,end:t.end}:null,!this.loop)return void this.syncLoop();this.decodeLoopSource(this.voice.src);const e=this.voice.audio.currentTime;if(this.looper&&e>=this.loop.start&&e<this.loop.end)return this.looper.source.loopStart=this.loop.start,this.looper.source.loopEnd=this.loop.end,clearTimeout(this.wrapTimer),void this.scheduleWrap();this.syncLoop()}decodeLoopSource(t){if(!this.audioContext||!t||this.loopBuffer&&this.loopBuffer.src===t)return;const e={src:t,buffer:null};this.loopBuffer=e,fetch(t).then(t=>{if(!t.ok)throw new Error(`HTTP ${t.status}`);return t.arrayBuffer()}).then(t=>this.audioContext.decodeAudioData(t)).then(i=>{this.loopBuffer===e&&(e.buffer=i,this.loop&&this.voice.src===t&&this.syncLoop())}).catch(t=>console.warn("Seamless looping unavailable:",t))}canLoopFromBuffer(){const t=this.loopBuffer;return!(!t||!t.buffer||t.src!==this.voice.src)&&(1===this.voice.audio.playbackRate||Boolean(this.pitchShifter))}syncLoop(t=null){if(clearTimeout(this.wrapTimer),this.wrapTimer=null,"seeked"===t&&this.wrapping&&(this.wrapping=!1,this.loop&&(this.looper||!this.canLoopFromBuffer())))return void this.scheduleWrap();this.stopLooper();const e=this.voice.audio;if(!this.loop||e.paused||e.ended||this.fade)return;const i=e.currentTime;this.canLoopFromBuffer()&&i>=this.loop.start&&i<this.loop.end&&this.startLooper(i),this.scheduleWrap()}startLooper(t){const e=this.audioContext,i=this.voice.audio.playbackRate,s=e.createBufferSource(),r=e.createGain();s.buffer=this.loopBuffer.buffer,s.loop=!0,s.loopStart=this.loop.start,s.loopEnd=this.loop.end,s.playbackRate.value=i,s.connect(r),r.connect(this.input),s.start(e.currentTime,t),this.setGain(this.voice,0),this.looper={source:s,gain:r,voice:this.voice,rate:i},this.applyPitchRatio()}stopLooper(){if(!this.looper)return;const{source:t,gain:e,voice:i}=this.looper;this.looper=null,t.stop(),t.disconnect(),e.disconnect(),this.setGain(i,1),this.applyPitchRatio()}scheduleWrap(){const t=this.voice.audio,e=t.currentTime,i=!this.looper&&this.canLoopFromBuffer()&&e<this.loop.start?this.loop.start:this.loop.end,s=Math.max(0,(i-e)/t.playbackRate*1e3);this.wrapTimer=setTimeout(()=>this.wrap(),s)}wrap(){this.wrapTimer=null;const t=this.voice.audio;if(!this.loop||t.paused)return;const{start:e,end:i}=this.loop,s=t.currentTime;!this.looper&&this.canLoopFromBuffer()&&s>=e&&s<i?this.syncLoop():s<i-.01?this.scheduleWrap():(this.wrapping=!0,t.currentTime=e+Math.max(0,s-i)%(i-e))}on(t,e){this.handlers.has(t)||this.handlers.set(t,new Set),this.handlers.get(t).add(e)}emit(t,e){const i=this.handlers.get(t);i&&i.forEach(t=>t(e))}setSource(t,e){t.src!==e?(t.audio.src=e,t.src=e):t.audio.currentTime=0}setGain(t,e){t.gain&&(t.gain.gain.cancelScheduledValues(0),t.gain.gain.value=e)}preload(t){const e=this.idleVoice;e.src!==t&&this.setSource(e,t)}async probe(t){try{const e=await fetch(t,{method:"HEAD"});return e.ok?e:null}catch(t){return null}}load(t){this.cancelFade(),this.clearLoop(t);const e=this.idleVoice;return e.src===t&&(this.voice.audio.pause(),this.voice=e),this.setSource(this.voice,t),this.setGain(this.voice,1),this.voice.audio}crossfadeTo(t,e){this.cancelFade(),this.clearLoop(t);const i=this.voice,s=this.idleVoice,r=this.audioContext.currentTime;this.setSource(s,t),this.setGain(i,1),this.setGain(s,0),s.audio.play().catch(t=>{console.error("Error playing audio:",t),this.cancelFade()});const a=new Float32Array(64),n=new Float32Array(64);for(let t=0;t<64;t++){const e=t/63;a[t]=Math.cos(e*Math.PI/2),n[t]=Math.sin(e*Math.PI/2)}return i.gain.gain.setValueCurveAtTime(a,r,e),s.gain.gain.setValueCurveAtTime(n,r,e),this.fade={outgoing:i,handoffTimer:setTimeout(()=>{this.voice=s,this.emit("handoff")},500*e),endTimer:setTimeout(()=>{this.fade=null,i.audio.pause(),this.setGain(i,1)},1e3*e)},s.audio}clearLoop(t){this.setLoop(null),this.loopBuffer&&this.loopBuffer.src!==t&&(this.loopBuffer=null)}cancelFade(){this.fade&&(clearTimeout(this.fade.handoffTimer),clearTimeout(this.fade.endTimer),this.fade=null,this.idleVoice.audio.pause(),this.setGain(this.idleVoice,1),this.setGain(this.voice,1))}async play(){return this.audioContext&&"suspended"===this.audioContext.state&&await this.audioContext.resume(),this.voice.audio.play()}destroy(){this.cancelFade(),this.clearLoop(null),this.voices.forEach(t=>{t.listeners.forEach(([e,i])=>t.audio.removeEventListener(e,i)),t.audio.pause(),t.audio.removeAttribute("src"),t.audio.load()}),this.nodes.forEach(t=>t.disconnect()),this.voices=[],this.nodes.clear(),this.handlers.clear()}stats(){let t=0;return this.handlers.forEach(e=>{t+=e.size}),{voices:this.voices.length,nodes:this.nodes.size,mediaListeners:this.voices.reduce((t,e)=>t+e.listeners.length,0),subscribers:t}}}class TagReader{constructor(){this.chunkSize=4096,this.heads=new Map,this.artwork=new Map}async read(t){const e=await this.head(t);return e?AudioAnalysis.parseId3(e):null}artworkFor(t){return this.artwork.has(t)||this.artwork.set(t,this.readPicture(t).catch(()=>null)),this.artwork.get(t)}async readPicture(t){const e=await this.head(t),i=e?AudioAnalysis.id3TagLength(e):0;if(!i)return null;let s=e;if(i>e.length){const r=await this.fetchRange(t,e.length,i);if(!r)return null;s=new Uint8Array(e.length+r.length),s.set(e),s.set(r,e.length)}const r=AudioAnalysis.parseId3(s),a=r&&r.picture;return a?URL.createObjectURL(new Blob([a.data],{type:a.mime})):null}head(t){return this.heads.has(t)||this.heads.set(t,this.fetchRange(t,0,this.chunkSize)),this.heads.get(t)}async fetchRange(t,e,i){try{const s=await fetch(t,{headers:{Range:`bytes=${e}-${i-1}`}});if(!s.ok)return null;if(206===s.status||!s.body){const t=new Uint8Array(await s.arrayBuffer());return 206===s.status?t:t.subarray(e,i)}const r=s.body.getReader(),a=[];let n=0;for(;n<i;){const{done:t,value:e}=await r.read();if(t)break;a.push(e),n+=e.length}r.cancel();const o=new Uint8Array(n);let h=0;return a.forEach(t=>{o.set(t,h),h+=t.length}),o.subarray(e,i)}catch(t){return null}}}class FrameLoop{constructor(t=null){this.callbacks=new Set,this.frameId=null,this.monitor=t,this.tick=t=>{this.frameId=null,this.monitor&&this.monitor.sample(t),this.callbacks.forEach(e=>{try{e(t)}catch(t){console.error("Error in frame callback:",t)}}),this.callbacks.size&&this.start()}}add(t){return this.callbacks.add(t),this.start(),()=>this.remove(t)}remove(t){this.callbacks.delete(t),this.callbacks.size||null===this.frameId||(cancelAnimationFrame(this.frameId),this.frameId=null)}start(){null===this.frameId&&(this.monitor&&this.monitor.restart(),this.frameId=requestAnimationFrame(this.tick))}}class EffectsQuality{constructor(t){this.toggle=t,this.storageKey="beatfolio:motion",this.tiers=[{name:"high",maxDrops:300,spawnScale:1,canvasScale:1,maxDpr:1/0,shadows:!0},{name:"medium",maxDrops:150,spawnScale:.6,canvasScale:.75,maxDpr:1.5,shadows:!0},{name:"low",maxDrops:60,spawnScale:.3,canvasScale:.5,maxDpr:1,shadows:!1}],this.tier=0,this.listeners=new Set,this.frameBudget=25,this.sampleSize=120,this.deltas=[],this.lastFrame=null,this.query=window.matchMedia?window.matchMedia("(prefers-reduced-motion: reduce)"):null,this.preference=this.read(),this.init()}init(){if(this.query){const t=()=>{null===this.preference&&this.changed()};this.query.addEventListener?this.query.addEventListener("change",t):this.query.addListener&&this.query.addListener(t)}this.toggle&&this.toggle.addEventListener("click",()=>{this.preference=this.reducedMotion?"full":"reduced",this.save(),this.changed()}),this.render()}read(){try{const t=localStorage.getItem(this.storageKey);return"reduced"===t||"full"===t?t:null}catch(t){return null}}save(){try{localStorage.setItem(this.storageKey,this.preference)}catch(t){}}get reducedMotion(){return this.preference?"reduced"===this.preference:!(!this.query||!this.query.matches)}get limits(){const t=this.tiers[this.tier];return this.reducedMotion?{...t,maxDrops:Math.min(t.maxDrops,40),spawnScale:.2*t.spawnScale,flashes:!1}:{...t,flashes:!0}}subscribe(t){return this.listeners.add(t),()=>this.listeners.delete(t)}changed(){this.render(),this.listeners.forEach(t=>t(this.limits))}render(){document.documentElement.classList.toggle("reduced-motion",this.reducedMotion),this.toggle&&(this.toggle.setAttribute("aria-pressed",this.reducedMotion),this.toggle.title=this.tier>0?`Effects lowered to ${this.tiers[this.tier].name} quality to keep playback smooth`:"")}restart(){this.lastFrame=null}sample(t){const e=null===this.lastFrame?null:t-this.lastFrame;if(this.lastFrame=t,null===e||e>250)return;if(this.deltas.push(e),this.deltas.length<this.sampleSize)return;const i=this.deltas.reduce((t,e)=>t+e,0)/this.deltas.length;this.deltas=[],i>this.frameBudget&&this.tier<this.tiers.length-1&&(this.tier++,this.changed())}}class ReactiveVisualizer{constructor(t,e,i){this.player=t,this.analyser=e,this.controls=i,this.storageKey="beatfolio:visualizer",this.fftSizes=[128,256,512,1024,2048],this.modes=new Map,this.frequencyData=null,this.timeData=null,this.register("bars","Bars",BarsVisualizer),this.register("scope","Oscilloscope",ScopeVisualizer),this.register("spectrogram","Spectrogram",SpectrogramVisualizer),this.register("radial","Radial",RadialVisualizer),this.settings=this.read(),this.configure(),this.setupControls()}register(t,e,i){this.modes.set(t,{label:e,visualizer:new i(this.player)}),this.modeSelect&&this.renderControls()}read(){const t={mode:"bars",fftSize:128,smoothing:.8};try{const e=JSON.parse(localStorage.getItem(this.storageKey))||{};return{mode:"string"==typeof e.mode?e.mode:t.mode,fftSize:this.fftSizes.includes(e.fftSize)?e.fftSize:t.fftSize,smoothing:e.smoothing>=0&&e.smoothing<1?e.smoothing:t.smoothing}}catch(e){return t}}save(){try{localStorage.setItem(this.storageKey,JSON.stringify(this.settings))}catch(t){}}get mode(){return this.modes.get(this.settings.mode)||this.modes.get("bars")}configure(){this.analyser&&(this.analyser.fftSize=this.settings.fftSize,this.analyser.smoothingTimeConstant=this.settings.smoothing,this.frequencyData=new Uint8Array(this.analyser.frequencyBinCount),this.timeData=new Uint8Array(this.analyser.fftSize))}update(t){Object.assign(this.settings,t),this.save(),this.configure(),this.reset(),this.renderControls()}reset(){this.modes.forEach(({visualizer:t})=>{t.reset&&t.reset()})}setupControls(){this.controls&&(this.modeSelect=this.controls.querySelector(".visualizer-mode"),this.fftSelect=this.controls.querySelector(".visualizer-fft"),this.smoothingInput=this.controls.querySelector(".visualizer-smoothing"),this.smoothingOutput=this.controls.querySelector(".visualizer-smoothing-value"),this.modeSelect&&(this.fftSelect.replaceChildren(...this.fftSizes.map(t=>new Option(String(t),String(t)))),[this.modeSelect,this.fftSelect,this.smoothingInput].forEach(t=>{t.disabled=!this.analyser}),this.modeSelect.addEventListener("change",()=>this.update({mode:this.modeSelect.value})),this.fftSelect.addEventListener("change",()=>this.update({fftSize:Number(this.fftSelect.value)})),this.smoothingInput.addEventListener("input",()=>this.update({smoothing:Number(this.smoothingInput.value)})),this.renderControls()))}renderControls(){const t=this.modes.has(this.settings.mode)?this.settings.mode:"bars";this.modeSelect.replaceChildren(...Array.from(this.modes,([t,{label:e}])=>new Option(e,t))),this.modeSelect.value=t,this.fftSelect.value=String(this.settings.fftSize),this.smoothingInput.value=this.settings.smoothing,this.smoothingOutput.textContent=this.settings.smoothing.toFixed(2)}render(t,e){this.analyser.getByteFrequencyData(this.frequencyData),this.analyser.getByteTimeDomainData(this.timeData);const i=t.getContext("2d"),s=t.getBoundingClientRect(),r=s.width,a=s.height;i.imageSmoothingEnabled=!0,i.imageSmoothingQuality="high";const n=this.player.effects.limits,o=Math.min(window.devicePixelRatio||1,n.maxDpr);return t.width=r*o,t.height=a*o,i.scale(o,o),i.clearRect(0,0,r,a),this.mode.visualizer.draw(i,{width:r,height:a,shadows:n.shadows,color:this.player.trackColors.get(e)||"#2ECC71",frequencyData:this.frequencyData,timeData:this.timeData}),this.player.drawLoopOverlay(i,e,r,a),this.frequencyData.reduce((t,e)=>t+e,0)/this.frequencyData.length/255}}class BarsVisualizer{constructor(t){this.player=t}draw(t,{width:e,height:i,color:s,shadows:r,frequencyData:a}){const n=i/2,o=Math.min(64,a.length),h=e/o,l=Math.floor(a.length/o),c=t.createLinearGradient(0,0,0,i);c.addColorStop(0,s),c.addColorStop(.5,this.player.lightenColor(s,.2)),c.addColorStop(1,s),t.fillStyle=c,r&&(t.shadowColor=s,t.shadowBlur=2,t.shadowOffsetY=1);for(let e=0;e<o;e++){const s=a[e*l]/255*i*.8,r=Math.max(2,.95*h),o=e*h+(h-r)/2,c=n-s/2;t.roundRect?(t.beginPath(),t.roundRect(o,c,r,s,2),t.fill()):t.fillRect(o,c,r,s)}t.shadowColor="transparent",t.shadowBlur=0,t.shadowOffsetY=0}}class ScopeVisualizer{constructor(t){this.player=t}draw(t,{width:e,height:i,color:s,timeData:r}){const a=i/2,n=e/(r.length-1),o=t=>Math.abs(r[t]-128)/128*a*.9;t.beginPath(),t.moveTo(0,a);for(let e=0;e<r.length;e++)t.lineTo(e*n,a-o(e));for(let e=r.length-1;e>=0;e--)t.lineTo(e*n,a+o(e));t.closePath();const h=t.createLinearGradient(0,0,0,i);h.addColorStop(0,this.player.lightenColor(s,.2)),h.addColorStop(.5,this.player.darkenColor(s,.3)),h.addColorStop(1,this.player.lightenColor(s,.2)),t.fillStyle=h,t.globalAlpha=.5,t.fill(),t.globalAlpha=1,t.strokeStyle=s,t.lineWidth=1.5,t.lineJoin="round",t.stroke()}}class SpectrogramVisualizer{constructor(t){this.player=t,this.history=null,this.columnWidth=2}reset(){this.history=null}draw(t,{width:e,height:i,color:s,frequencyData:r}){this.history&&this.history.width===Math.round(e)&&this.history.height===Math.round(i)||(this.history=document.createElement("canvas"),this.history.width=Math.round(e),this.history.height=Math.round(i));const a=this.history.getContext("2d"),n=this.history.width-this.columnWidth;a.drawImage(this.history,-this.columnWidth,0),a.clearRect(n,0,this.columnWidth,this.history.height);const o=this.player.lightenColor(s,.3),h=this.history.height,l=r.length;for(let t=0;t<h;t++){const e=Math.min(l-1,Math.floor(Math.pow(l,1-t/h))-1),i=r[Math.max(0,e)]/255;i<.05||(a.globalAlpha=i,a.fillStyle=i>.75?o:s,a.fillRect(n,t,this.columnWidth,1))}a.globalAlpha=1,t.drawImage(this.history,0,0,e,i)}}class RadialVisualizer{constructor(t){this.player=t}draw(t,{width:e,height:i,color:s,frequencyData:r}){const a=e/2,n=i/2,o=Math.min(64,r.length),h=Math.floor(r.length/o),l=r.slice(0,Math.max(1,Math.floor(r.length/16))),c=l.reduce((t,e)=>t+e,0)/l.length/255,u=Math.min(e,i)*(.18+.08*c),d=Math.min(e,i)/2-u;t.lineCap="round",t.lineWidth=Math.max(1.5,2*Math.PI*u/o*.6);for(let e=0;e<o;e++){const i=r[e*h]/255,l=e/o*Math.PI*2-Math.PI/2,c=Math.max(1,i*d),p=Math.cos(l),m=Math.sin(l);t.strokeStyle=i>.7?this.player.lightenColor(s,.2):s,t.beginPath(),t.moveTo(a+p*u,n+m*u),t.lineTo(a+p*(u+c),n+m*(u+c)),t.stroke()}t.fillStyle=this.player.darkenColor(s,.3),t.beginPath(),t.arc(a,n,.8*u,0,2*Math.PI),t.fill()}}class Metronome{constructor(t,e,i){this.audioContext=t,this.destination=e,this.getState=i,this.timerId=null,this.lastBeat=null,this.output=null,this.lookahead=.1,this.interval=25}start(){this.audioContext&&!this.timerId&&(this.output||(this.output=this.audioContext.createGain(),this.output.gain.value=.5,this.output.connect(this.destination)),this.resync(),this.timerId=setInterval(()=>this.schedule(),this.interval),this.schedule())}stop(){clearInterval(this.timerId),this.timerId=null}resync(){this.lastBeat=null}schedule(){const t=this.getState();if(!t||t.audio.paused)return;const{audio:e,grid:i,beatsPerBar:s}=t,r=e.playbackRate||1,a=e.currentTime,n=a+this.lookahead*r,o=Math.ceil((a-i.offset)/i.beatLength),h=Math.floor((n-i.offset)/i.beatLength);for(let t=o;t<=h;t++){if(null!=this.lastBeat&&t<=this.lastBeat)continue;const e=i.offset+t*i.beatLength;if(e<0)continue;const n=this.audioContext.currentTime+(e-a)/r;this.click(n,t%s===0),this.lastBeat=t}}click(t,e){const i=this.audioContext,s=i.createOscillator(),r=i.createGain();s.frequency.value=e?1600:1e3,r.gain.setValueAtTime(1e-4,t),r.gain.exponentialRampToValueAtTime(1,t+.002),r.gain.exponentialRampToValueAtTime(1e-4,t+.05),s.connect(r),r.connect(this.output),s.start(t),s.stop(t+.06),s.onended=()=>r.disconnect()}}class VoiceTag{constructor(t,e){this.audioContext=t,this.output=e,this.buffer=null,this.gain=null,this.interval=AudioAnalysis.PREVIEW_DEFAULTS.interval,this.src=null,this.lastSlot=-1,this.active=null}async load(t,{interval:e,gain:i}){if(this.audioContext){try{const e=await fetch(t);if(!e.ok)throw new Error(`HTTP ${e.status}`);this.buffer=await this.audioContext.decodeAudioData(await e.arrayBuffer())}catch(e){return void console.warn(`Preview mode disabled: voice tag ${t} could not be loaded:`,e)}this.interval=e,this.gain=this.audioContext.createGain(),this.gain.gain.value=i,this.gain.connect(this.output)}}update(t,e){if(!this.buffer)return;t!==this.src&&(this.src=t,this.lastSlot=-1);const i=Math.floor(e/this.interval);i>this.lastSlot&&(this.lastSlot=i,this.play())}resync(t){this.lastSlot=Math.floor(t/this.interval)}play(){this.stop();const t=this.audioContext.createBufferSource();t.buffer=this.buffer,t.connect(this.gain),t.onended=()=>{t.disconnect(),this.active===t&&(this.active=null)},t.start(),this.active=t}stop(){this.active&&(this.active.stop(),this.active=null)}}class OfflineStore{constructor(t){this.cacheName=`beatfolio-audio-v${t}`,this.supported="caches"in window&&"serviceWorker"in navigator&&window.isSecureContext}async savedSources(){const t=await caches.open(this.cacheName),e=await t.keys();return new Set(e.map(t=>t.url).filter(t=>!/\/peaks\/[^/]+\.json$/.test(t)))}async save(t){const e=await caches.open(this.cacheName);await e.add(t);try{await e.add(AudioAnalysis.peaksUrlFor(t))}catch(t){}navigator.storage&&navigator.storage.persist&&navigator.storage.persist()}async remove(t){const e=await caches.open(this.cacheName);await e.delete(t),await e.delete(AudioAnalysis.peaksUrlFor(t))}async estimate(){if(!navigator.storage||!navigator.storage.estimate)return null;try{return await navigator.storage.estimate()}catch(t){return null}}}class LibraryStore{constructor(t="beatfolio:library"){this.storageKey=t,this.version=1,this.historyLimit=20,this.data=this.read()}empty(){return{version:this.version,favorites:[],history:[],positions:{}}}read(){try{return this.migrate(JSON.parse(localStorage.getItem(this.storageKey)))||this.empty()}catch(t){return this.empty()}}migrate(t){return t&&"object"==typeof t&&t.version===this.version?{version:this.version,favorites:Array.isArray(t.favorites)?t.favorites.filter(t=>"string"==typeof t):[],history:Array.isArray(t.history)?t.history.filter(t=>t&&"string"==typeof t.slug&&"number"==typeof t.playedAt):[],positions:t.positions&&"object"==typeof t.positions?t.positions:{}}:null}save(){try{localStorage.setItem(this.storageKey,JSON.stringify(this.data))}catch(t){}}isFavorite(t){return this.data.favorites.includes(t)}toggleFavorite(t){const e=!this.isFavorite(t);return this.data.favorites=e?[...this.data.favorites,t]:this.data.favorites.filter(e=>e!==t),this.save(),e}recordPlay(t){const e=this.data.history.filter(e=>e.slug!==t);e.unshift({slug:t,playedAt:Date.now()}),this.data.history=e.slice(0,this.historyLimit),this.save()}position(t){return this.data.positions[t]||null}setPosition(t,e,i){this.data.positions[t]={time:Math.round(10*e)/10,duration:i,savedAt:Date.now()},this.save()}clearPosition(t){this.data.positions[t]&&(delete this.data.positions[t],this.save())}export(){return JSON.stringify({app:"beatfolio",exportedAt:(new Date).toISOString(),...this.data},null,2)}import(t){const e=this.migrate(JSON.parse(t));if(!e)throw new Error("Not a beatfolio library export");const i=e.favorites.filter(t=>!this.isFavorite(t));this.data.favorites.push(...i);const s=new Map;return[...this.data.history,...e.history].forEach(t=>{const e=s.get(t.slug);(!e||t.playedAt>e.playedAt)&&s.set(t.slug,t)}),this.data.history=Array.from(s.values()).sort((t,e)=>e.playedAt-t.playedAt).slice(0,this.historyLimit),Object.entries(e.positions).forEach(([t,e])=>{const i=this.data.positions[t];(!i||e.savedAt>i.savedAt)&&(this.data.positions[t]=e)}),this.save(),{favorites:i.length}}}class ListeningLibrary{constructor(t,e){this.player=t,this.strip=e,this.store=new LibraryStore,this.lastSaved=0,this.resumeMargin=5,this.endMargin=10,this.recentLimit=8,this.init()}init(){document.querySelectorAll(".track").forEach(t=>this.addFavoriteToggle(t)),this.player.on("play",({track:t,time:e,resumed:i,deepLinked:s})=>{i||(this.store.recordPlay(t.dataset.slug),!s&&e<1&&this.resume(t),this.render())}),this.player.on("pause",({track:t,time:e})=>this.savePosition(t,e)),this.player.on("stop",({track:t,time:e})=>this.savePosition(t,e)),this.player.on("seek",({track:t,time:e})=>this.savePosition(t,e)),this.player.on("progress",({track:t,time:e})=>{Date.now()-this.lastSaved>5e3&&this.savePosition(t,e)}),this.player.on("ended",({track:t})=>this.store.clearPosition(t.dataset.slug)),this.strip.querySelector(".library-export").addEventListener("click",()=>this.exportLibrary());const t=this.strip.querySelector(".library-import-file");this.strip.querySelector(".library-import").addEventListener("click",()=>t.click()),t.addEventListener("change",()=>{t.files[0]&&this.importLibrary(t.files[0]),t.value=""}),this.render(),this.strip.hidden=!1}addFavoriteToggle(t){const e=t.querySelector(".track-title").textContent,i=document.createElement("button");i.type="button",i.className="favorite-toggle",i.setAttribute("aria-label",`Favorite ${e}`),i.addEventListener("click",s=>{s.stopPropagation();const r=this.store.toggleFavorite(t.dataset.slug);this.renderFavoriteToggle(i,r),this.player.announce(r?`${e} added to favorites`:`${e} removed from favorites`),this.render()}),this.renderFavoriteToggle(i,this.store.isFavorite(t.dataset.slug)),t.querySelector(".track-info").prepend(i)}renderFavoriteToggle(t,e){t.textContent=e?"♥":"♡",t.setAttribute("aria-pressed",e)}savePosition(t,e){const i=t.dataset.slug,s=this.player.durations.get(t.dataset.src)||0;this.lastSaved=Date.now(),e<this.resumeMargin||s&&e>s-this.endMargin?this.store.clearPosition(i):this.store.setPosition(i,e,s)}resume(t){const e=this.store.position(t.dataset.slug);e&&e.time>=this.resumeMargin&&(this.player.seekWhenReady(e.time),this.player.announce(`Resuming ${t.querySelector(".track-title").textContent} at ${this.player.formatTime(e.time)}`))}trackForSlug(t){return document.querySelector(`.track[data-slug="${t}"]`)}render(){const{favorites:t,history:e}=this.store.data;this.renderRow(this.strip.querySelector(".library-favorites"),t),this.renderRow(this.strip.querySelector(".library-recent"),e.map(t=>t.slug).slice(0,this.recentLimit))}renderRow(t,e){const i=t.querySelector(".library-list"),s=e.map(t=>this.trackForSlug(t)).filter(Boolean);i.replaceChildren(...s.map(t=>{const e=t.querySelector(".track-title").textContent,i=document.createElement("li"),s=document.createElement("button");s.type="button",s.className="library-item",s.textContent=e;const r=this.store.position(t.dataset.slug);return r&&(s.title=`Resume at ${this.player.formatTime(r.time)}`),s.addEventListener("click",()=>{t.hidden&&this.player.trackFilter&&this.player.trackFilter.reset(),t.scrollIntoView({behavior:"smooth",block:"center"}),this.player.playTrack(t)}),i.appendChild(s),i})),t.hidden=0===s.length}exportLibrary(){const t=new Blob([this.store.export()],{type:"application/json"}),e=URL.createObjectURL(t),i=document.createElement("a");i.href=e,i.download="beatfolio-library.json",document.body.appendChild(i),i.click(),i.remove(),setTimeout(()=>URL.revokeObjectURL(e),0)}async importLibrary(t){try{const{favorites:e}=this.store.import(await t.text());document.querySelectorAll(".track").forEach(t=>{this.renderFavoriteToggle(t.querySelector(".favorite-toggle"),this.store.isFavorite(t.dataset.slug))}),this.render(),this.player.announce(`Library imported: ${e} new favorite${1===e?"":"s"}`)}catch(t){console.warn("Library import failed:",t),this.player.announce("That file is not a beatfolio library export")}}}class LoopStore{constructor(t="beatfolio:loops"){this.storageKey=t,this.loops=this.read()}read(){try{return JSON.parse(localStorage.getItem(this.storageKey))||{}}catch(t){return{}}}save(){try{localStorage.setItem(this.storageKey,JSON.stringify(this.loops))}catch(t){}}get(t){return this.loops[t]||null}set(t,e){this.loops[t]=e,this.save()}delete(t){delete this.loops[t],this.save()}}class TrackFilter{constructor(t,e,i={}){this.container=t,this.filterBar=e,this.onChange=i.onChange||(()=>{}),this.tracks=Array.from(t.querySelectorAll(".track")),this.state={query:"",bpmMin:null,bpmMax:null,producers:[],sort:""},this.init()}init(){this.tracks.forEach((t,e)=>{t.dataset.order=e}),this.searchInput=this.filterBar.querySelector(".filter-search"),this.bpmMinInput=this.filterBar.querySelector(".filter-bpm-min"),this.bpmMaxInput=this.filterBar.querySelector(".filter-bpm-max"),this.producerList=this.filterBar.querySelector(".filter-producers"),this.sortSelect=this.filterBar.querySelector(".filter-sort"),this.emptyMessage=document.createElement("p"),this.emptyMessage.className="filter-empty",this.emptyMessage.textContent="No beats match these filters.",this.emptyMessage.hidden=!0,this.container.after(this.emptyMessage),this.renderProducerOptions(),this.readFromUrl(),this.syncControls(),this.setupEventListeners(),this.filterBar.hidden=!1,this.apply({updateUrl:!1})}renderProducerOptions(){const t=new Set;this.tracks.forEach(e=>{this.trackProducers(e).forEach(e=>t.add(e))}),Array.from(t).sort((t,e)=>t.localeCompare(e)).forEach(t=>{const e=document.createElement("label");e.className="filter-producer";const i=document.createElement("input");i.type="checkbox",i.value=t,e.append(i,document.createTextNode(t)),this.producerList.appendChild(e)})}setupEventListeners(){this.searchInput.addEventListener("input",()=>{this.state.query=this.searchInput.value.trim(),this.apply()}),[this.bpmMinInput,this.bpmMaxInput].forEach(t=>{t.addEventListener("input",()=>{this.state.bpmMin=this.parseBpm(this.bpmMinInput.value),this.state.bpmMax=this.parseBpm(this.bpmMaxInput.value),this.apply()})}),this.producerList.addEventListener("change",()=>{this.state.producers=Array.from(this.producerList.querySelectorAll("input:checked")).map(t=>t.value),this.apply()}),this.sortSelect.addEventListener("change",()=>{this.state.sort=this.sortSelect.value,this.apply()});const t=this.filterBar.querySelector(".filter-reset");t&&t.addEventListener("click",()=>this.reset())}reset(){this.state={query:"",bpmMin:null,bpmMax:null,producers:[],sort:""},this.syncControls(),this.apply()}parseBpm(t){const e=parseFloat(t);return isNaN(e)?null:e}trackProducers(t){return(t.dataset.producers||"").split(",").map(t=>t.trim()).filter(Boolean)}readFromUrl(){const t=new URLSearchParams(window.location.search);this.state.query=t.get("q")||"",this.state.producers=t.getAll("producer"),this.state.sort=["bpm","title","newest"].includes(t.get("sort"))?t.get("sort"):"";const e=(t.get("bpm")||"").split("-");this.state.bpmMin=this.parseBpm(e[0]),this.state.bpmMax=this.parseBpm(e[1])}writeToUrl(){const t=new URLSearchParams(window.location.search);["q","bpm","producer","sort"].forEach(e=>t.delete(e)),this.state.query&&t.set("q",this.state.query),null==this.state.bpmMin&&null==this.state.bpmMax||t.set("bpm",`${this.state.bpmMin??""}-${this.state.bpmMax??""}`),this.state.producers.forEach(e=>t.append("producer",e)),this.state.sort&&t.set("sort",this.state.sort);const e=t.toString(),i=`${window.location.pathname}${e?`?${e}`:""}${window.location.hash}`;history.replaceState(history.state,"",i)}syncControls(){this.searchInput.value=this.state.query,this.bpmMinInput.value=this.state.bpmMin??"",this.bpmMaxInput.value=this.state.bpmMax??"",this.sortSelect.value=this.state.sort,this.producerList.querySelectorAll("input").forEach(t=>{t.checked=this.state.producers.includes(t.value)})}matches(t){const{query:e,bpmMin:i,bpmMax:s,producers:r}=this.state,a=parseFloat(t.dataset.bpm);if(null!=i&&!(a>=i))return!1;if(null!=s&&!(a<=s))return!1;if(r.length>0){const e=this.trackProducers(t);if(!r.some(t=>e.includes(t)))return!1}if(e){const i=[t.querySelector(".track-title").textContent,t.dataset.producers,t.dataset.tags,t.dataset.key].filter(Boolean).join(" ").toLowerCase();if(!e.toLowerCase().split(/\s+/).every(t=>i.includes(t)))return!1}return!0}compare(t,e){const i=Number(t.dataset.order)-Number(e.dataset.order);switch(this.state.sort){case"bpm":return(parseFloat(t.dataset.bpm)||1/0)-(parseFloat(e.dataset.bpm)||1/0)||i;case"title":return t.querySelector(".track-title").textContent.localeCompare(e.querySelector(".track-title").textContent,void 0,{sensitivity:"base"})||i;case"newest":return(Date.parse(e.dataset.added)||0)-(Date.parse(t.dataset.added)||0)||i;default:return i}}apply({updateUrl:t=!0}={}){this.tracks.slice().sort((t,e)=>this.compare(t,e)).forEach(t=>{t.hidden=!this.matches(t),this.container.appendChild(t)});const e=this.visibleTracks();this.emptyMessage.hidden=e.length>0,t&&this.writeToUrl(),this.onChange(e)}visibleTracks(){return Array.from(this.container.querySelectorAll(".track")).filter(t=>!t.hidden)}}class PlaybackQueue{constructor(t){this.getTracks=t,this.shuffle=!1,this.repeat="off",this.autoplay=!0,this.shuffleOrder=[]}visibleTracks(){return this.getTracks().filter(t=>!t.hidden)}setShuffle(t,e){this.shuffle=t,this.shuffleOrder=t?this.buildShuffleOrder(e):[]}cycleRepeat(){const t=["off","all","one"];this.repeat=t[(t.indexOf(this.repeat)+1)%t.length]}buildShuffleOrder(t){const e=this.visibleTracks().filter(e=>e!==t);for(let t=e.length-1;t>0;t--){const i=Math.floor(Math.random()*(t+1));[e[t],e[i]]=[e[i],e[t]]}return t&&!t.hidden?[t,...e]:e}order(t){if(!this.shuffle)return this.visibleTracks();const e=this.visibleTracks();return(e.length!==this.shuffleOrder.length||e.some(t=>!this.shuffleOrder.includes(t)))&&(this.shuffleOrder=this.buildShuffleOrder(t)),this.shuffleOrder}step(t,e,i){const s=this.order(t);if(0===s.length)return null;let r=s.indexOf(t);if(-1===r){if(!t||this.shuffle)return e>0?s[0]:s[s.length-1];const r=this.getTracks(),a=r.indexOf(t),n=(e>0?r.slice(a+1):r.slice(0,a).reverse()).find(t=>!t.hidden);return n||(i?e>0?s[0]:s[s.length-1]:null)}if(r+=e,r>=s.length||r<0){if(!i)return null;if(this.shuffle&&e>0)return this.shuffleOrder=this.buildShuffleOrder(null),this.shuffleOrder.length>1&&this.shuffleOrder[0]===t&&this.shuffleOrder.push(this.shuffleOrder.shift()),this.shuffleOrder[0];r=(r+s.length)%s.length}return s[r]}next(t,{wrap:e=!1}={}){return this.step(t,1,e)}previous(t,{wrap:e=!1}={}){return this.step(t,-1,e)}afterEnded(t){return"one"===this.repeat?t:this.autoplay?this.next(t,{wrap:"all"===this.repeat}):null}}class TempoController{constructor(t,e={}){this.controls=t,this.onChange=e.onChange||(()=>{}),this.storageKey="beatfolio:tempo",this.state=this.read(),this.init()}init(){this.controls&&(this.rateInput=this.controls.querySelector(".tempo-rate"),this.rateOutput=this.controls.querySelector(".tempo-rate-value"),this.pitchInput=this.controls.querySelector(".tempo-pitch"),this.pitchOutput=this.controls.querySelector(".tempo-pitch-value"),this.resetButton=this.controls.querySelector(".tempo-reset"),this.rateInput.addEventListener("input",()=>{this.set({rate:parseFloat(this.rateInput.value)})}),this.pitchInput.addEventListener("input",()=>{this.set({semitones:parseInt(this.pitchInput.value,10)})}),this.resetButton.addEventListener("click",()=>this.reset()),this.render(),this.controls.hidden=!1)}read(){const t={rate:1,semitones:0};try{const e=JSON.parse(sessionStorage.getItem(this.storageKey));return e?{rate:Math.min(1.5,Math.max(.5,Number(e.rate)||1)),semitones:Math.min(12,Math.max(-12,Math.round(Number(e.semitones)||0)))}:t}catch(e){return t}}save(){try{sessionStorage.setItem(this.storageKey,JSON.stringify(this.state))}catch(t){}}set(t){this.state={...this.state,...t},this.save(),this.render(),this.onChange(this.state)}reset(){this.set({rate:1,semitones:0})}setPitchSupported(t){this.pitchInput&&(this.pitchInput.disabled=!t,this.pitchInput.title=t?"":"Pitch shifting is not supported in this browser")}pitchRatio(){return Math.pow(2,this.state.semitones/12)}applyTo(t){t.preservesPitch=!0,t.mozPreservesPitch=!0,t.webkitPreservesPitch=!0,t.defaultPlaybackRate=this.state.rate,t.playbackRate=this.state.rate}render(){if(!this.controls)return;const{rate:t,semitones:e}=this.state;this.rateInput.value=t,this.rateOutput.textContent=`${Math.round(100*t)}%`,this.pitchInput.value=e,this.pitchOutput.textContent=`${e>0?"+":""}${e} st`,this.resetButton.disabled=1===t&&0===e}}class InquiryPanel{constructor(t,e={}){this.dialog=t,this.email=e.email,this.endpoint=e.endpoint||null,this.maxAttempts=e.maxAttempts||3,this.retryDelay=e.retryDelay||1e3,this.context=null,this.opener=null,this.inquiryId=null,this.sending=!1,this.init()}init(){this.form=this.dialog.querySelector(".inquiry-form"),this.heading=this.dialog.querySelector(".inquiry-beat"),this.emailLink=this.dialog.querySelector(".inquiry-email-link"),this.submitButton=this.dialog.querySelector(".inquiry-submit"),this.status=this.dialog.querySelector(".inquiry-status"),this.confirmation=this.dialog.querySelector(".inquiry-confirmation"),this.submitButton.textContent=this.endpoint?"Send inquiry":"Write email",this.emailLink.hidden=!this.endpoint,this.form.addEventListener("submit",t=>{t.preventDefault(),this.submit()}),this.form.addEventListener("input",()=>{this.emailLink.href=this.mailtoUrl(this.payload())}),this.dialog.querySelectorAll(".inquiry-close").forEach(t=>{t.addEventListener("click",()=>this.close())}),this.dialog.addEventListener("close",()=>{this.opener&&(this.opener.focus(),this.opener=null)}),this.dialog.addEventListener("click",t=>{t.target===this.dialog&&this.close()})}open(t,e){this.context=t,this.opener=e||null,this.heading.textContent=t.bpm?`${t.title} · ${t.bpm} BPM`:t.title,this.form.hidden=!1,this.confirmation.hidden=!0,this.setStatus(""),this.emailLink.href=this.mailtoUrl(this.payload()),"function"==typeof this.dialog.showModal?this.dialog.showModal():this.dialog.setAttribute("open",""),this.form.elements.name.focus()}close(){"function"==typeof this.dialog.close?this.dialog.close():(this.dialog.removeAttribute("open"),this.dialog.dispatchEvent(new Event("close")))}payload(){const t=this.form.elements;return{inquiryId:this.inquiryId||"",trackId:this.context.trackId,title:this.context.title,bpm:this.context.bpm,link:this.context.link,name:t.name.value.trim(),email:t.email.value.trim(),use:t.use.value.trim(),tier:t.tier.value}}subject(t){const e=t.bpm?` (${t.bpm} BPM)`:"";return`Lease inquiry: ${t.title}${e} [${t.trackId}]`}mailtoUrl(t){const e=this.form.elements.tier.selectedOptions[0],i=[`Beat: ${t.title}${t.bpm?` (${t.bpm} BPM)`:""}`,`Track ID: ${t.trackId}`,`Link: ${t.link}`,`License tier: ${e?e.textContent:t.tier}`,"",`Name: ${t.name}`,`Email: ${t.email}`,"","Intended use:",t.use].join("\n");return`mailto:${this.email}?subject=${encodeURIComponent(this.subject(t))}&body=${encodeURIComponent(i)}`}setStatus(t,e=!1){this.status.textContent=t,this.status.classList.toggle("error",e)}async submit(){if(this.sending||!this.form.reportValidity())return;this.inquiryId=`${Date.now().toString(36)}-${Math.random().toString(36).slice(2,8)}`;const t={...this.payload(),submittedAt:(new Date).toISOString()};if(!this.endpoint)return window.location.href=this.mailtoUrl(t),void this.showConfirmation(`Your email app should open with the inquiry about ${t.title} ready to send.`);this.sending=!0,this.submitButton.disabled=!0,this.setStatus("Sending…");try{await this.post(t),this.showConfirmation(`Thanks, ${t.name}. Your inquiry about ${t.title} was sent; expect a reply at ${t.email}.`)}catch(e){console.warn("Inquiry could not be sent:",e),this.emailLink.href=this.mailtoUrl(t),this.setStatus("The inquiry could not be sent. Try again, or send it by email instead.",!0)}finally{this.sending=!1,this.submitButton.disabled=!1}}async post(t){let e=null;for(let i=1;i<=this.maxAttempts;i++){i>1&&(this.setStatus(`Sending… (attempt ${i} of ${this.maxAttempts})`),await new Promise(t=>setTimeout(t,this.retryDelay*Math.pow(2,i-2))));try{const i=await fetch(this.endpoint,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(t)});if(i.ok)return;if(e=new Error(`Inquiry endpoint responded ${i.status}`),i.status<500&&429!==i.status)break}catch(t){e=t}}throw e}showConfirmation(t){this.form.hidden=!0,this.setStatus(""),this.confirmation.querySelector(".inquiry-confirmation-message").textContent=t,this.confirmation.hidden=!1,this.confirmation.querySelector(".inquiry-close").focus(),this.form.reset()}}class MediaSessionController{constructor(t){this.handlers=t,this.supported="mediaSession"in navigator,this.init()}init(){if(!this.supported)return;const t={play:()=>this.handlers.play(),pause:()=>this.handlers.pause(),seekto:t=>this.handlers.seekTo(t.seekTime),seekbackward:t=>this.handlers.seekBy(-(t.seekOffset||10)),seekforward:t=>this.handlers.seekBy(t.seekOffset||10),previoustrack:()=>this.handlers.previous(),nexttrack:()=>this.handlers.next()};Object.entries(t).forEach(([t,e])=>{try{navigator.mediaSession.setActionHandler(t,e)}catch(e){console.warn(`Media session action "${t}" not supported`)}})}setTrack({title:t,artist:e,album:i,artwork:s}){this.supported&&"undefined"!=typeof MediaMetadata&&(navigator.mediaSession.metadata=new MediaMetadata({title:t,artist:e,album:i||"",artwork:s?[{src:new URL(s,document.baseURI).href,sizes:"512x512"}]:[]}))}setPlaybackState(t){this.supported&&(navigator.mediaSession.playbackState=t,"none"===t&&(navigator.mediaSession.metadata=null))}updatePosition(t){if(!this.supported||!navigator.mediaSession.setPositionState||!t)return;const e=t.duration;if(isFinite(e)&&!(e<=0))try{navigator.mediaSession.setPositionState({duration:e,playbackRate:t.playbackRate||1,position:Math.min(t.currentTime,e)})}catch(t){}}}class RainEffect{constructor(){this.name="rain",this.canvas=null,this.ctx=null,this.raindrops=[],this.stopFrame=null,this.intensity=0,this.isActive=!1,this.width=0,this.height=0,this.handleResize=()=>this.resize()}install(t){this.effects=t.effects,this.frames=t.frames,this.init();const e=[t.on("amplitude",({level:t})=>this.updateIntensity(t)),t.on("beat",({strength:t})=>this.updateIntensity(Math.min(1,this.intensity+.1*t))),t.on("drop",()=>this.updateIntensity(1)),t.on("trackchange",({track:t})=>{t||this.stop()}),this.effects.subscribe(({maxDrops:t})=>{this.raindrops=this.raindrops.slice(0,t),this.resize()})];return()=>{e.forEach(t=>t()),this.stop(),window.removeEventListener("resize",this.handleResize),this.canvas.remove()}}init(){this.canvas=document.createElement("canvas"),this.canvas.style.position="fixed",this.canvas.style.top="0",this.canvas.style.left="0",this.canvas.style.width="100%",this.canvas.style.height="100%",this.canvas.style.pointerEvents="none",this.canvas.style.zIndex="-1",this.canvas.style.opacity="0.6",document.body.appendChild(this.canvas),this.ctx=this.canvas.getContext("2d"),this.resize(),window.addEventListener("resize",this.handleResize)}resize(){const{canvasScale:t}=this.effects.limits;this.width=window.innerWidth,this.height=window.innerHeight,this.canvas.width=Math.round(this.width*t),this.canvas.height=Math.round(this.height*t),this.ctx.setTransform(t,0,0,t,0,0)}updateIntensity(t){this.intensity=t,!this.isActive&&t>.1?this.start():this.isActive&&t<.05&&this.stop();const{maxDrops:e,spawnScale:i}=this.effects.limits,s=Math.min(Math.floor(25*t*i),e-this.raindrops.length);for(let t=0;t<s;t++)this.addRaindrop()}addRaindrop(){this.raindrops.push({x:Math.random()*this.width,y:-20,speed:4+6*Math.random()+4*this.intensity,length:15+30*Math.random(),opacity:.4+.5*Math.random(),thickness:1+2*Math.random()})}start(){this.isActive||(this.isActive=!0,this.stopFrame=this.frames.add(()=>this.animate()))}stop(){this.isActive=!1,this.stopFrame&&(this.stopFrame(),this.stopFrame=null),this.raindrops=[],this.ctx.clearRect(0,0,this.width,this.height)}animate(){this.isActive&&(this.ctx.clearRect(0,0,this.width,this.height),this.raindrops=this.raindrops.filter(t=>(t.y+=t.speed,!(t.y>this.height+t.length)&&(this.ctx.strokeStyle=`rgba(200, 200, 255, ${t.opacity})`,this.ctx.lineWidth=t.thickness,this.ctx.lineCap="round",this.ctx.beginPath(),this.ctx.moveTo(t.x,t.y),this.ctx.lineTo(t.x,t.y+t.length),this.ctx.stroke(),!0))))}}class LightningEffect{constructor(){this.name="lightning",this.canvas=null,this.ctx=null,this.isActive=!1,this.minStrength=2,this.handleResize=()=>this.resize()}install(t){this.effects=t.effects,this.init();const e=[t.on("drop",()=>this.trigger()),t.on("beat",({strength:e,beat:i,onGrid:s})=>{(null===i?e>=1.5*this.minStrength:s&&i%t.beatsPerBar===0&&e>=this.minStrength)&&this.trigger()}),t.on("trackchange",({track:t})=>{t||this.stop()})];return()=>{e.forEach(t=>t()),this.stop(),window.removeEventListener("resize",this.handleResize),this.canvas.remove()}}init(){this.canvas=document.createElement("canvas"),this.canvas.style.position="fixed",this.canvas.style.top="0",this.canvas.style.left="0",this.canvas.style.width="100%",this.canvas.style.height="100%",this.canvas.style.pointerEvents="none",this.canvas.style.zIndex="-1",document.body.appendChild(this.canvas),this.ctx=this.canvas.getContext("2d"),this.resize(),window.addEventListener("resize",this.handleResize)}resize(){this.canvas.width=window.innerWidth,this.canvas.height=window.innerHeight}trigger(){if(this.isActive||!this.effects.limits.flashes)return;this.isActive=!0,this.drawLightning(),document.body.style.transition="background-color 0.1s";const t=document.body.style.backgroundColor;document.body.style.backgroundColor="rgba(255, 255, 255, 0.1)",setTimeout(()=>{document.body.style.backgroundColor=t,this.ctx.clearRect(0,0,this.canvas.width,this.canvas.height),this.isActive=!1},150)}drawLightning(){const t=Math.random()*this.canvas.width,e=t+200*(Math.random()-.5),i=this.canvas.height;this.ctx.strokeStyle="#FFFFFF",this.ctx.lineWidth=3,this.ctx.shadowBlur=this.effects.limits.shadows?10:0,this.ctx.shadowColor="#FFFFFF",this.drawLightningBolt(t,0,e,i,.8);const s=(t+e)/2,r=this.canvas.height/2;this.ctx.lineWidth=2,this.drawLightningBolt(s,r,s+100*(Math.random()-.5),r+100,.5),this.drawLightningBolt(s,r,s+100*(Math.random()-.5),r+100,.5)}drawLightningBolt(t,e,i,s,r){const a=40*r;this.ctx.beginPath(),this.ctx.moveTo(t,e);for(let r=1;r<=20;r++){const n=r/20,o=t+(i-t)*n+(Math.random()-.5)*a,h=e+(s-e)*n;this.ctx.lineTo(o,h)}this.ctx.stroke()}stop(){this.isActive=!1,this.ctx.clearRect(0,0,this.canvas.width,this.canvas.height)}}const SCRIPT_URL=document.currentScript?document.currentScript.src:document.baseURI;document.addEventListener("DOMContentLoaded",()=>{document.querySelector("main.tracks")?(window.audioPlayer=new AudioPlayer,window.dispatchEvent(new CustomEvent("beatfolio:ready",{detail:window.audioPlayer}))):document.querySelector(".playlist-player[data-playlist]")&&(window.playlistPlayer=new PlaylistPlayer(document.querySelector(".playlist-player[data-playlist]")))}),window.addEventListener("load",()=>{"serviceWorker"in navigator&&navigator.serviceWorker.register(new URL("sw.js",SCRIPT_URL).href).catch(t=>{console.warn("Offline support unavailable:",t)})});
\ No newline at end of file
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+// Builds the year playlist pages and the index of years from their manifests.
+//
+//   node scripts/build-years.js [--strict] [year ...]
+//
+// Every top-level <year>/ directory with a playlist.json is a year. The manifest is the
+// same file the page's player loads, with the profile and album grid added:
+//
+//   { "year": 2025, "album": "Top 25 of 2025", "artwork": "boy1.jpg",
+//     "profile": { "name", "headline", "location": [...], "lastLogin", "mood", "about" },
+//     "albums": [{ "title", "artist", "image", "alt"? }],
+//     "tracks": [{ "title", "artist", "file" }] }
+//
+// A track's title and artist may be left out when the file's ID3 tag has them.
+//
+// Writes <year>/index.html for each year (or just the given ones) and years.html. A year
+// whose manifest is malformed or whose artwork or album images are missing is not
+// written. Missing audio is only a warning, since the player greys those songs out,
+// unless --strict is passed.
+const fs = require('fs');
+const path = require('path');
+const { readTags } = require('./read-tags.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATES = path.join(__dirname, 'templates');
+const MANIFEST = 'playlist.json';
+const INDEX = 'years.html';
+const ALBUMS_PER_ROW = 5;
+
+// Fragments built here from already-escaped parts; everything else is escaped on fill
+class Html {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// File names go into src/href attributes; encode each path segment, then escape
+function fileUrl(...segments) {
+    return escapeHtml(segments.map(segment => encodeURIComponent(segment)).join('/'));
+}
+
+function fill(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+        if (!(key in values)) {
+            throw new Error(`Template placeholder ${placeholder} has no value`);
+        }
+        const value = values[key];
+        return value instanceof Html ? value.value : escapeHtml(value);
+    });
+}
+
+function lines(items, depth) {
+    const pad = ' '.repeat(depth);
+    return new Html(items.map(item => pad + item).join('\n'));
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function findYears() {
+    return fs.readdirSync(ROOT)
+        .filter(name => /^\d{4}$/.test(name) && fs.existsSync(path.join(ROOT, name, MANIFEST)))
+        .sort();
+}
+
+function readManifest(year) {
+    const file = path.join(ROOT, year, MANIFEST);
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path.relative(ROOT, file)}: ${error.message}`);
+    }
+}
+
+// Returns { errors, warnings } for one year's manifest and the files it references
+async function validate(year, manifest, { strict }) {
+    const errors = [];
+    const warnings = [];
+    const dir = path.join(ROOT, year);
+
+    // Returns the file's path when it exists
+    const checkFile = (file, label, problems) => {
+        if (!isText(file)) {
+            errors.push(`${label} has no file name`);
+            return null;
+        }
+        const resolved = path.resolve(dir, file);
+        if (path.dirname(resolved) !== dir) {
+            errors.push(`${label} "${file}" must be a file directly in ${year}/`);
+        } else if (!fs.existsSync(resolved)) {
+            problems.push(`${label} "${file}" not found`);
+        } else {
+            return resolved;
+        }
+        return null;
+    };
+
+    if (String(manifest.year) !== year) {
+        errors.push(`"year" is ${JSON.stringify(manifest.year)} but the manifest is in ${year}/`);
+    }
+    if (!isText(manifest.album)) {
+        errors.push('"album" is missing');
+    }
+    checkFile(manifest.artwork, 'Artwork', errors);
+
+    const profile = manifest.profile || {};
+    if (!isText(profile.name)) {
+        errors.push('"profile.name" is missing');
+    }
+    if (profile.location !== undefined && !Array.isArray(profile.location)) {
+        errors.push('"profile.location" must be a list of lines');
+    }
+
+    if (!Array.isArray(manifest.albums)) {
+        errors.push('"albums" must be a list');
+    } else {
+        manifest.albums.forEach((album, i) => {
+            if (!isText(album.title)) errors.push(`Album ${i + 1} has no title`);
+            checkFile(album.image, `Album ${i + 1} image`, errors);
+        });
+    }
+
+    if (!Array.isArray(manifest.tracks) || manifest.tracks.length === 0) {
+        errors.push('"tracks" must be a non-empty list');
+    } else {
+        for (const [i, track] of manifest.tracks.entries()) {
+            const audio = checkFile(track.file, `Track ${i + 1} audio`, strict ? errors : warnings);
+            // The player falls back to the file's own ID3 title
+            if (!isText(track.title) && !(audio && ((await readTags(audio)) || {}).title)) {
+                errors.push(`Track ${i + 1} has no title in the manifest or its file's tags`);
+            }
+        }
+    }
+
+    return { errors, warnings };
+}
+
+function profileLines(profile) {
+    const items = [];
+    if (isText(profile.headline)) items.push(`<p><strong>${escapeHtml(profile.headline)}</strong></p>`);
+    for (const line of profile.location || []) {
+        items.push(`<p>${escapeHtml(line)}</p>`);
+    }
+    if (isText(profile.lastLogin)) items.push(`<p><strong>Last Login:</strong> ${escapeHtml(profile.lastLogin)}</p>`);
+    if (isText(profile.mood)) items.push(`<p><strong>Mood:</strong> ${escapeHtml(profile.mood)}</p>`);
+    return lines(items, 20);
+}
+
+function albumRows(albums) {
+    const items = [];
+    for (let start = 0; start < albums.length; start += ALBUMS_PER_ROW) {
+        items.push('<div class="album-row">');
+        for (const album of albums.slice(start, start + ALBUMS_PER_ROW)) {
+            const caption = isText(album.artist) ? `${album.title} - ${album.artist}` : album.title;
+            items.push(
+                '    <div class="album-cell">',
+                '        <div class="album-box">',
+                `            <div class="album-cover"><img src="${fileUrl(album.image)}" alt="${escapeHtml(album.alt || album.title)}"></div>`,
+                `            <div class="album-title">${escapeHtml(caption)}</div>`,
+                '        </div>',
+                '    </div>'
+            );
+        }
+        items.push('</div>');
+    }
+    return lines(items, 32);
+}
+
+function renderYear(template, manifest) {
+    const profile = manifest.profile;
+    return fill(template, {
+        manifest: MANIFEST,
+        pageTitle: `${profile.name}'s MySpace`,
+        headerTitle: `${profile.name.toUpperCase()}'S PROFILE`,
+        name: profile.name,
+        picture: new Html(fileUrl(manifest.artwork)),
+        profileLines: profileLines(profile),
+        about: profile.about || '',
+        year: manifest.year,
+        songCount: manifest.tracks.length,
+        albumCount: manifest.albums.length,
+        albumRows: albumRows(manifest.albums)
+    });
+}
+
+function renderIndex(template, manifests) {
+    const items = manifests
+        .slice()
+        .sort((a, b) => b.year - a.year)
+        .map(manifest => {
+            const year = String(manifest.year);
+            const summary = `${manifest.tracks.length} songs · ${manifest.albums.length} albums`;
+            return [
+                '<li>',
+                `    <a class="year-link" href="${fileUrl(year)}/">`,
+                `        <img src="${fileUrl(year, manifest.artwork)}" alt="">`,
+                `        <span class="year-number">${escapeHtml(year)}</span>`,
+                `        <span class="year-album">${escapeHtml(manifest.album)}</span>`,
+                `        <span class="year-summary">${escapeHtml(summary)}</span>`,
+                '    </a>',
+                '</li>'
+            ].join('\n');
+        });
+
+    return fill(template, {
+        pageTitle: 'Top songs by year',
+        heading: 'TOP SONGS BY YEAR',
+        yearItems: lines(items.join('\n').split('\n'), 16)
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    const requested = args.filter(arg => !arg.startsWith('--'));
+    const years = findYears();
+
+    const unknown = requested.filter(year => !years.includes(year));
+    if (unknown.length > 0) {
+        throw new Error(`No ${MANIFEST} for ${unknown.join(', ')}`);
+    }
+    if (years.length === 0) {
+        console.log(`No <year>/${MANIFEST} manifests found`);
+        return;
+    }
+
+    const pageTemplate = fs.readFileSync(path.join(TEMPLATES, 'year-page.html'), 'utf8');
+    const indexTemplate = fs.readFileSync(path.join(TEMPLATES, 'years.html'), 'utf8');
+    const valid = [];
+    let written = 0;
+    let failed = 0;
+
+    for (const year of years) {
+        let manifest;
+        let problems;
+        try {
+            manifest = readManifest(year);
+            problems = await validate(year, manifest, { strict });
+        } catch (error) {
+            manifest = null;
+            problems = { errors: [error.message], warnings: [] };
+        }
+
+        problems.warnings.forEach(warning => console.warn(`  ${year}: ${warning}`));
+        if (problems.errors.length > 0) {
+            problems.errors.forEach(error => console.error(`  failed ${year}: ${error}`));
+            failed++;
+            continue;
+        }
+
+        valid.push(manifest);
+        if (requested.length === 0 || requested.includes(year)) {
+            const output = path.join(ROOT, year, 'index.html');
+            fs.writeFileSync(output, renderYear(pageTemplate, manifest));
+            console.log(`  wrote ${path.relative(ROOT, output)}`);
+            written++;
+        }
+    }
+
+    // Years that failed validation stay off the index until they're fixed
+    fs.writeFileSync(path.join(ROOT, INDEX), renderIndex(indexTemplate, valid));
+    console.log(`  wrote ${INDEX}`);
+
+    console.log(`Years: ${written} written, ${failed} failed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,30 @@
+// Decodes an audio file to 32-bit float PCM through ffmpeg, which has to be on PATH.
+const { runFfmpeg } = require('./ffmpeg.js');
+
+const DEFAULT_SAMPLE_RATE = 44100;
+
+async function decodeAudio(file, { sampleRate = DEFAULT_SAMPLE_RATE } = {}) {
+    let buffer;
+    try {
+        // Keep only the first channel, the same one the browser reads with getChannelData(0)
+        buffer = await runFfmpeg([
+            '-i', file,
+            '-af', 'pan=mono|c0=c0',
+            '-ar', String(sampleRate),
+            '-f', 'f32le',
+            'pipe:1'
+        ]);
+    } catch (error) {
+        if (error.code !== 'FFMPEG_MISSING') {
+            error.message = `${error.message} (decoding ${file})`;
+        }
+        throw error;
+    }
+
+    // Copy into an aligned buffer; Buffer.concat may hand back an offset slice
+    const samples = new Float32Array(Math.floor(buffer.length / 4));
+    new Uint8Array(samples.buffer).set(buffer.subarray(0, samples.length * 4));
+    return { samples, sampleRate };
+}
+
+module.exports = { decodeAudio };
@@ -0,0 +1,34 @@
+// Runs ffmpeg (which has to be on PATH) and resolves with whatever it wrote to stdout.
+const { spawn } = require('child_process');
+
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', ['-v', 'error', ...args]);
+
+        const chunks = [];
+        let stderr = '';
+
+        ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+
+        ffmpeg.on('error', error => {
+            if (error.code === 'ENOENT') {
+                const missing = new Error('ffmpeg was not found on PATH; install it to process audio');
+                missing.code = 'FFMPEG_MISSING';
+                reject(missing);
+            } else {
+                reject(error);
+            }
+        });
+
+        ffmpeg.on('close', code => {
+            if (code !== 0) {
+                reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`));
+                return;
+            }
+            resolve(Buffer.concat(chunks));
+        });
+    });
+}
+
+module.exports = { runFfmpeg };
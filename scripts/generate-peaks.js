@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Precomputes waveform peak files so the player doesn't decode whole MP3s on page load.
+// The same decode estimates each file's musical key, which the beats page shows unless
+// the catalog gives one.
+//
+//   node scripts/generate-peaks.js [--force] [dir ...]
+//
+// Writes <dir>/peaks/<name>.json next to every .mp3 in beats/, beats/previews/ and 2025/
+// (or the given directories). Files whose peaks are already current are skipped unless
+// --force is passed.
+const fs = require('fs');
+const path = require('path');
+const AudioAnalysis = require('../analysis.js');
+const { decodeAudio } = require('./decode-audio.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DIRS = ['beats', 'beats/previews', '2025'];
+
+function isCurrent(peaksFile, audioStat) {
+    if (!fs.existsSync(peaksFile)) return false;
+
+    try {
+        const peaks = JSON.parse(fs.readFileSync(peaksFile, 'utf8'));
+        return peaks.version === AudioAnalysis.PEAKS_VERSION &&
+            peaks.resolution === AudioAnalysis.WAVEFORM_RESOLUTION &&
+            // Files from before key detection are redone to pick up a key
+            peaks.key !== undefined &&
+            peaks.source && peaks.source.size === audioStat.size &&
+            peaks.source.modified >= Math.floor(audioStat.mtimeMs);
+    } catch (error) {
+        return false;
+    }
+}
+
+async function generatePeaks(dir, { force }) {
+    const audioDir = path.join(ROOT, dir);
+    if (!fs.existsSync(audioDir)) {
+        console.warn(`Skipping ${dir}: directory not found`);
+        return { written: 0, skipped: 0, failed: 0 };
+    }
+
+    const peaksDir = path.join(audioDir, 'peaks');
+    const files = fs.readdirSync(audioDir).filter(name => /\.mp3$/i.test(name)).sort();
+    const counts = { written: 0, skipped: 0, failed: 0 };
+
+    for (const name of files) {
+        const audioFile = path.join(audioDir, name);
+        const relative = path.posix.join(dir, name);
+        const peaksFile = path.join(ROOT, AudioAnalysis.peaksUrlFor(relative));
+        const stat = fs.statSync(audioFile);
+
+        if (!force && isCurrent(peaksFile, stat)) {
+            counts.skipped++;
+            continue;
+        }
+
+        try {
+            const { samples, sampleRate } = await decodeAudio(audioFile);
+            const waveform = AudioAnalysis.computeWaveformBuckets(samples);
+            const peaks = AudioAnalysis.encodePeaks(waveform, {
+                sampleRate: sampleRate,
+                duration: Math.round((samples.length / sampleRate) * 1000) / 1000,
+                key: AudioAnalysis.detectKey(samples, sampleRate),
+                source: {
+                    file: name,
+                    size: stat.size,
+                    modified: Math.floor(stat.mtimeMs)
+                }
+            });
+
+            fs.mkdirSync(peaksDir, { recursive: true });
+            fs.writeFileSync(peaksFile, JSON.stringify(peaks) + '\n');
+            console.log(`  wrote ${path.relative(ROOT, peaksFile)}`);
+            counts.written++;
+        } catch (error) {
+            if (error.code === 'FFMPEG_MISSING') throw error;
+            console.error(`  failed ${relative}: ${error.message}`);
+            counts.failed++;
+        }
+    }
+
+    return counts;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const dirs = args.filter(arg => !arg.startsWith('--'));
+    const totals = { written: 0, skipped: 0, failed: 0 };
+
+    for (const dir of dirs.length > 0 ? dirs : DEFAULT_DIRS) {
+        console.log(`${dir}/`);
+        const counts = await generatePeaks(dir, { force });
+        Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+    }
+
+    console.log(`Peaks: ${totals.written} written, ${totals.skipped} up to date, ${totals.failed} failed`);
+    if (totals.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
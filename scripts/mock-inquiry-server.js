@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Local stand-in for the lease inquiry backend, for trying the inquiry panel end to end.
+//
+//   node scripts/mock-inquiry-server.js [--port 8787] [--fail N]
+//
+// Point the page at it with data-inquiry-endpoint="http://localhost:8787/inquiries" on
+// main.tracks. --fail N answers the first N posts with a 503 so the retry path can be
+// exercised. GET /inquiries lists what has been received so far.
+const http = require('http');
+
+const REQUIRED_FIELDS = ['inquiryId', 'trackId', 'title', 'name', 'email', 'tier'];
+
+function option(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? Number(args[index + 1]) : fallback;
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body) + '\n');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const port = option(args, '--port', 8787);
+    let failuresLeft = option(args, '--fail', 0);
+    const inquiries = new Map();
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+        if (req.method === 'OPTIONS') return send(res, 204);
+        if (pathname !== '/inquiries') return send(res, 404, { error: 'Not found' });
+        if (req.method === 'GET') return send(res, 200, Array.from(inquiries.values()));
+        if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`  503 (simulated failure, ${failuresLeft} left)`);
+            return send(res, 503, { error: 'Simulated outage' });
+        }
+
+        let inquiry;
+        try {
+            inquiry = JSON.parse(await readBody(req));
+        } catch (error) {
+            return send(res, 400, { error: 'Body must be JSON' });
+        }
+
+        const missing = REQUIRED_FIELDS.filter(field => !inquiry[field]);
+        if (missing.length > 0) {
+            return send(res, 400, { error: `Missing ${missing.join(', ')}` });
+        }
+
+        // Retries reuse the inquiry ID, so a repeat is acknowledged without a duplicate
+        const duplicate = inquiries.has(inquiry.inquiryId);
+        inquiries.set(inquiry.inquiryId, { ...inquiry, receivedAt: new Date().toISOString() });
+        console.log(`  ${duplicate ? 'repeat' : 'new'} inquiry ${inquiry.inquiryId}: ${inquiry.name} <${inquiry.email}> ` +
+            `wants "${inquiry.title}" (${inquiry.tier})`);
+        send(res, duplicate ? 200 : 201, { ok: true, id: inquiry.inquiryId });
+    });
+
+    server.listen(port, () => {
+        console.log(`Mock inquiry endpoint on http://localhost:${port}/inquiries`);
+    });
+}
+
+main();
@@ -0,0 +1,22 @@
+// Reads an audio file's ID3v2 tag with AudioAnalysis.parseId3, touching only the tag's
+// bytes rather than the whole file. Resolves to null for files without a tag.
+const fs = require('fs');
+const AudioAnalysis = require('../analysis.js');
+
+async function readTags(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const header = Buffer.alloc(AudioAnalysis.ID3_HEADER_SIZE);
+        const { bytesRead } = await handle.read(header, 0, header.length, 0);
+        const length = AudioAnalysis.id3TagLength(header.subarray(0, bytesRead));
+        if (!length) return null;
+
+        const tag = Buffer.alloc(length);
+        const read = await handle.read(tag, 0, length, 0);
+        return AudioAnalysis.parseId3(tag.subarray(0, read.bytesRead));
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = { readTags };
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// Renders tagged, lower-bitrate previews of preview-only beats so the public page never
+// has to reference the masters.
+//
+//   node scripts/render-previews.js [--force] [--all] [--masters dir] [catalog]
+//
+// Reads beats/catalog.json (or the given catalog). For every track marked "preview": true
+// (every track with --all) it mixes the catalog's voice tag in at the start and every
+// `interval` seconds, encodes at `bitrate` and writes <dir>/previews/<name>.mp3. The tag
+// settings come from the catalog's "preview" block:
+//
+//   "preview": { "tag": "tags/voice-tag.mp3", "interval": 30, "gain": 0.8, "bitrate": "96k" }
+//
+// Previews newer than both their master and the tag are skipped unless --force is passed.
+//
+// Masters are read from the catalog's directory unless --masters points elsewhere. Only a
+// master kept out of the published site is actually protected: anything committed under
+// beats/ can still be downloaded by name, whether the page links to it or not.
+const fs = require('fs');
+const path = require('path');
+const AudioAnalysis = require('../analysis.js');
+const { runFfmpeg } = require('./ffmpeg.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_CATALOG = 'beats/catalog.json';
+const SAMPLE_RATE = 44100;
+
+function option(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+// Whether file would be deployed along with the site
+function isPublished(file) {
+    const relative = path.relative(ROOT, file);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function readConfig(catalog, catalogDir) {
+    const preview = catalog.preview;
+    if (!preview || typeof preview.tag !== 'string') {
+        throw new Error('The catalog needs a "preview" block with a "tag" file to render previews');
+    }
+
+    const config = { ...AudioAnalysis.PREVIEW_DEFAULTS, ...preview };
+    config.tagFile = path.join(catalogDir, preview.tag);
+    if (!fs.existsSync(config.tagFile)) {
+        throw new Error(`Voice tag ${path.relative(ROOT, config.tagFile)} not found`);
+    }
+    if (!(config.interval > 0)) {
+        throw new Error('preview.interval must be a positive number of seconds');
+    }
+    return config;
+}
+
+function isCurrent(output, inputs) {
+    if (!fs.existsSync(output)) return false;
+
+    const rendered = fs.statSync(output).mtimeMs;
+    return inputs.every(input => fs.statSync(input).mtimeMs <= rendered);
+}
+
+// The tag is padded with silence to one interval and looped, then laid over the beat
+function filterGraph(config) {
+    const loopSamples = Math.round(config.interval * SAMPLE_RATE);
+    return [
+        `[1:a]aformat=sample_rates=${SAMPLE_RATE}:channel_layouts=stereo,volume=${config.gain},` +
+            `apad=whole_dur=${config.interval},aloop=loop=-1:size=${loopSamples}[tag]`,
+        `[0:a]aformat=sample_rates=${SAMPLE_RATE}:channel_layouts=stereo[beat]`,
+        // amix scales each input by 1/n; double it back so the beat keeps its level
+        '[beat][tag]amix=inputs=2:duration=first:dropout_transition=0,volume=2[out]'
+    ].join(';');
+}
+
+async function renderPreview(master, output, config) {
+    const partial = `${output}.partial`;
+
+    await runFfmpeg([
+        '-y',
+        '-i', master,
+        '-i', config.tagFile,
+        '-filter_complex', filterGraph(config),
+        '-map', '[out]',
+        '-map_metadata', '-1',
+        '-metadata', 'comment=Preview',
+        '-codec:a', 'libmp3lame',
+        '-b:a', config.bitrate,
+        '-f', 'mp3',
+        partial
+    ]);
+
+    // Only replace a previous preview once the new one is complete
+    fs.renameSync(partial, output);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const all = args.includes('--all');
+    const catalogArg = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--masters');
+    const catalogPath = path.resolve(ROOT, catalogArg || DEFAULT_CATALOG);
+    const catalogDir = path.dirname(catalogPath);
+    const mastersDir = path.resolve(ROOT, option(args, '--masters', catalogDir));
+
+    const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    const config = readConfig(catalog, catalogDir);
+    const tracks = (catalog.tracks || []).filter(track => all || track.preview === true);
+    const counts = { written: 0, skipped: 0, failed: 0 };
+    const exposed = [];
+
+    if (tracks.length === 0) {
+        console.log('No preview-only tracks in the catalog (mark them with "preview": true, or pass --all)');
+        return;
+    }
+
+    for (const track of tracks) {
+        const master = path.join(mastersDir, track.file);
+        const output = path.join(catalogDir, AudioAnalysis.previewUrlFor(track.file));
+
+        if (!fs.existsSync(master)) {
+            console.error(`  failed ${track.file}: master not found`);
+            counts.failed++;
+            continue;
+        }
+        if (track.preview === true && isPublished(master)) {
+            exposed.push(path.relative(ROOT, master));
+        }
+
+        if (!force && isCurrent(output, [master, config.tagFile])) {
+            counts.skipped++;
+            continue;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(output), { recursive: true });
+            await renderPreview(master, output, config);
+            console.log(`  wrote ${path.relative(ROOT, output)}`);
+            counts.written++;
+        } catch (error) {
+            if (error.code === 'FFMPEG_MISSING') throw error;
+            console.error(`  failed ${track.file}: ${error.message}`);
+            counts.failed++;
+        }
+    }
+
+    console.log(`Previews: ${counts.written} written, ${counts.skipped} up to date, ${counts.failed} failed`);
+    if (exposed.length > 0) {
+        console.warn(`${exposed.length} preview-only master${exposed.length === 1 ? ' is' : 's are'} still inside the site and can be downloaded:\n  ` +
+            `${exposed.join('\n  ')}\nMove them out of the repository and pass --masters <dir>.`);
+    }
+    if (counts.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
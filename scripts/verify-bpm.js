@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Checks the BPM in each beat's filename against the tempo the audio actually has.
+//
+//   node scripts/verify-bpm.js [--report bpm-report.json] [dir ...]
+//
+// Decodes every .mp3 in beats/ (or the given directories), estimates its tempo with
+// AudioAnalysis.estimateTempo and compares it with the "140BPM" part of the name. Each
+// file is reported as a match, half-time or double-time (the audio moves at half or
+// twice the claimed BPM, usually a labelling choice worth a look), a mismatch, or
+// unclaimed when the name has no BPM. The results are written as JSON to the report
+// file, and the exit code is non-zero when anything didn't match.
+const fs = require('fs');
+const path = require('path');
+const AudioAnalysis = require('../analysis.js');
+const { decodeAudio } = require('./decode-audio.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DIRS = ['beats'];
+const DEFAULT_REPORT = 'bpm-report.json';
+// Plenty for onsets, and a quarter of the FFT work of 44.1 kHz
+const SAMPLE_RATE = 22050;
+
+function option(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+async function verifyDir(dir) {
+    const audioDir = path.join(ROOT, dir);
+    if (!fs.existsSync(audioDir)) {
+        console.warn(`Skipping ${dir}: directory not found`);
+        return [];
+    }
+
+    const files = fs.readdirSync(audioDir).filter(name => /\.mp3$/i.test(name)).sort();
+    const results = [];
+
+    for (const name of files) {
+        const file = path.posix.join(dir, name);
+        const claimed = AudioAnalysis.parseBpmFromFilename(name);
+
+        try {
+            const { samples, sampleRate } = await decodeAudio(path.join(audioDir, name), { sampleRate: SAMPLE_RATE });
+            const tempo = AudioAnalysis.estimateTempo(samples, sampleRate);
+            const status = !tempo ? 'no-tempo'
+                : claimed ? AudioAnalysis.compareTempo(tempo.bpm, claimed)
+                    : 'unclaimed';
+
+            results.push({
+                file,
+                claimed,
+                estimated: tempo ? tempo.bpm : null,
+                confidence: tempo ? tempo.confidence : null,
+                status
+            });
+            const estimate = tempo ? `${tempo.bpm} BPM (confidence ${tempo.confidence})` : 'no steady tempo';
+            console.log(`  ${status.padEnd(11)} ${name}: claims ${claimed || '-'}, sounds like ${estimate}`);
+        } catch (error) {
+            if (error.code === 'FFMPEG_MISSING') throw error;
+            console.error(`  failed      ${name}: ${error.message}`);
+            results.push({ file, claimed, estimated: null, confidence: null, status: 'failed', error: error.message });
+        }
+    }
+
+    return results;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const reportFile = path.resolve(ROOT, option(args, '--report', DEFAULT_REPORT));
+    const dirs = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--report');
+    const results = [];
+
+    for (const dir of dirs.length > 0 ? dirs : DEFAULT_DIRS) {
+        console.log(`${dir}/`);
+        results.push(...await verifyDir(dir));
+    }
+
+    const counts = {};
+    results.forEach(result => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+    });
+
+    const report = {
+        generated: new Date().toISOString(),
+        tolerance: AudioAnalysis.TEMPO_DEFAULTS.tolerance,
+        counts,
+        tracks: results
+    };
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 4) + '\n');
+
+    const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+    console.log(`BPM: ${summary || 'no files'}; report in ${path.relative(ROOT, reportFile)}`);
+    if (results.some(result => result.status !== 'match' && result.status !== 'unclaimed')) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,191 @@
+// Service worker: keeps the beats page usable offline.
+//
+// - The shell is precached and served stale-while-revalidate.
+// - Beats are only cached when a listener saves them (the page writes them into the
+//   beatfolio-audio-v<catalog version> cache). They are served from there, including
+//   the Range requests media elements use for seeking.
+// - The catalog is network-first; when its version changes, saved beats from older
+//   versions are dropped.
+const SHELL_CACHE = 'beatfolio-shell-v1';
+const AUDIO_CACHE_PREFIX = 'beatfolio-audio-v';
+
+const SHELL = [
+    'portfolio.html',
+    'script.min.js',
+    'analysis.min.js',
+    'styles.min.css',
+    'pitch-shifter.js',
+    'beats/catalog.json',
+    'Background.jpg',
+    'laptop.png',
+    'instagram.svg',
+    'youtube.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('beatfolio-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) return;
+
+    const isAudio = /\.(mp3|m4a|wav)$/i.test(url.pathname);
+
+    // The page checks every beat with a HEAD request before listing it
+    if (request.method === 'HEAD' && isAudio) {
+        event.respondWith(audioHead(request));
+        return;
+    }
+
+    // Inquiry posts and the like go straight to the network
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (/\/catalog\.json$/.test(url.pathname)) {
+        event.respondWith(catalogResponse(request));
+    } else if (isAudio) {
+        event.respondWith(audioResponse(request));
+    } else if (/\/peaks\/[^/]+\.json$/.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Filter and deep-link query strings shouldn't stop the page loading offline
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function catalogResponse(request) {
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) {
+            const catalog = await response.clone().json();
+            await dropStaleAudio(catalog.version);
+
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function dropStaleAudio(version) {
+    const current = AUDIO_CACHE_PREFIX + version;
+    const keys = await caches.keys();
+    await Promise.all(keys
+        .filter(key => key.startsWith(AUDIO_CACHE_PREFIX) && key !== current)
+        .map(key => caches.delete(key)));
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request, { cache: 'no-cache' })
+        .then(async response => {
+            if (response.ok) {
+                await cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Answer from the cache now, but keep the worker alive until the refresh is stored
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+async function audioResponse(request) {
+    // Saved beats are stored whole; match on the URL alone so Range requests find them
+    const cached = await caches.match(request.url, { ignoreVary: true });
+    if (!cached) return fetch(request);
+
+    const range = request.headers.get('range');
+    return range ? rangeResponse(cached, range) : cached;
+}
+
+async function audioHead(request) {
+    const cached = await caches.match(request.url, { ignoreVary: true });
+    if (!cached) return fetch(request);
+
+    return new Response(null, { status: 200, headers: cached.headers });
+}
+
+async function rangeResponse(response, header) {
+    const blob = await response.blob();
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+    let start = NaN;
+    let end = NaN;
+    if (match && match[1] !== '') {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    } else if (match && match[2] !== '') {
+        // "bytes=-500" asks for the last 500 bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    }
+
+    if (!(start <= end) || start >= size) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${size}` }
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
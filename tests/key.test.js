@@ -0,0 +1,88 @@
+// Key detection on synthesized chord progressions.
+//
+//   node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const AudioAnalysis = require('../analysis.js');
+
+const SAMPLE_RATE = 44100;
+const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10]
+};
+
+const midiHz = note => 440 * 2 ** ((note - 69) / 12);
+
+// Plucked tones with a few partials. Each event is { notes (MIDI), start, length } in seconds.
+function render(events, seconds) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (const { notes, start, length } of events) {
+        const from = Math.round(start * SAMPLE_RATE);
+        const to = Math.min(samples.length, Math.round((start + length) * SAMPLE_RATE));
+        for (const note of notes) {
+            const frequency = midiHz(note);
+            for (let i = from; i < to; i++) {
+                const t = i / SAMPLE_RATE - start;
+                const envelope = Math.min(1, t * 50) * Math.exp(-t * 1.5);
+                let value = 0;
+                for (let harmonic = 1; harmonic <= 4; harmonic++) {
+                    value += Math.sin(2 * Math.PI * frequency * harmonic * t) / harmonic ** 2;
+                }
+                samples[i] += 0.1 * envelope * value;
+            }
+        }
+    }
+    return samples;
+}
+
+// I-IV-V-I (i-iv-v-i in minor) with a bass note under each triad, then the scale
+function progression(tonic, mode) {
+    const scale = SCALES[mode];
+    const degree = step => 48 + tonic + scale[step % 7] + 12 * Math.floor(step / 7);
+    const events = [0, 3, 4, 0].map((root, i) => ({
+        notes: [degree(root), degree(root + 2), degree(root + 4), 36 + tonic + scale[root]],
+        start: i * 1.5,
+        length: 1.5
+    }));
+    scale.concat(12).forEach((step, i) => {
+        events.push({ notes: [60 + tonic + step], start: 6 + i * 0.4, length: 0.4 });
+    });
+    return render(events, 10);
+}
+
+for (const [tonic, mode, name] of [[0, 'major', 'C major'], [9, 'minor', 'A minor'], [7, 'major', 'G major'], [4, 'minor', 'E minor']]) {
+    test(`detectKey hears ${name}`, () => {
+        const key = AudioAnalysis.detectKey(progression(tonic, mode), SAMPLE_RATE);
+
+        assert.strictEqual(key.name, name);
+        assert.strictEqual(key.tonic, AudioAnalysis.KEY_NAMES[tonic]);
+        assert.strictEqual(key.mode, mode);
+        assert.ok(key.confidence > 0.5 && key.confidence <= 1, `confidence ${key.confidence}`);
+    });
+}
+
+test('detectKey returns null for silence', () => {
+    assert.strictEqual(AudioAnalysis.detectKey(new Float32Array(SAMPLE_RATE * 2), SAMPLE_RATE), null);
+});
+
+test('chromagram sums to 1 and puts a lone A in its pitch class', () => {
+    const chroma = AudioAnalysis.chromagram(render([{ notes: [69], start: 0, length: 2 }], 2), SAMPLE_RATE);
+
+    assert.strictEqual(chroma.length, 12);
+    assert.ok(Math.abs(chroma.reduce((sum, value) => sum + value, 0) - 1) < 1e-9);
+    assert.strictEqual(chroma.indexOf(Math.max(...chroma)), AudioAnalysis.KEY_NAMES.indexOf('A'));
+});
+
+test('estimateKey matches the key profiles themselves', () => {
+    for (const mode of ['major', 'minor']) {
+        for (let tonic = 0; tonic < 12; tonic++) {
+            const profile = AudioAnalysis.KEY_PROFILES[mode];
+            const chroma = Array.from({ length: 12 }, (_, pc) => profile[(pc - tonic + 12) % 12]);
+            const key = AudioAnalysis.estimateKey(chroma);
+
+            assert.strictEqual(key.name, `${AudioAnalysis.KEY_NAMES[tonic]} ${mode}`);
+            assert.strictEqual(key.confidence, 1);
+        }
+    }
+    assert.strictEqual(AudioAnalysis.estimateKey(new Array(12).fill(0)), null);
+});
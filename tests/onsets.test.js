@@ -0,0 +1,82 @@
+// Onset detection on synthetic kick drums.
+//
+//   node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const AudioAnalysis = require('../analysis.js');
+
+const SAMPLE_RATE = 44100;
+// Half a 1024-sample hop, plus a little for the kick's attack
+const TOLERANCE = 0.02;
+
+// Pitch-swept sine kicks with a little noise under them. level(time) sets each kick's
+// amplitude. Returns the samples and the times the kicks start.
+function kickTrain({ bpm, start, seconds, level = () => 0.8 }) {
+    const samples = new Float32Array(SAMPLE_RATE * seconds);
+    let seed = 1;
+    for (let i = 0; i < samples.length; i++) {
+        seed = (seed * 16807) % 2147483647;
+        samples[i] = (seed / 2147483647 - 0.5) * 0.02;
+    }
+
+    const times = [];
+    for (let time = start; time < seconds - 0.25; time += 60 / bpm) {
+        const offset = Math.round(time * SAMPLE_RATE);
+        const amplitude = level(time);
+        for (let i = 0; i < SAMPLE_RATE * 0.25; i++) {
+            const t = i / SAMPLE_RATE;
+            const frequency = 50 + 80 * Math.exp(-t * 30);
+            samples[offset + i] += amplitude * Math.exp(-t * 18) * Math.sin(2 * Math.PI * frequency * t);
+        }
+        times.push(time);
+    }
+
+    return { samples, times };
+}
+
+const nearest = (time, times) => Math.min(...times.map(other => Math.abs(other - time)));
+
+test('detectOnsets finds every kick of a 120 BPM train on time', () => {
+    const { samples, times } = kickTrain({ bpm: 120, start: 0.5, seconds: 10 });
+    const onsets = AudioAnalysis.detectOnsets(samples, SAMPLE_RATE);
+
+    assert.strictEqual(onsets.length, times.length);
+    onsets.forEach(onset => {
+        assert.ok(nearest(onset.time, times) <= TOLERANCE, `onset at ${onset.time.toFixed(3)}s is off the beat`);
+        assert.ok(onset.strength >= 1);
+    });
+    times.forEach(time => {
+        assert.ok(nearest(time, onsets.map(onset => onset.time)) <= TOLERANCE, `kick at ${time}s was missed`);
+    });
+    assert.ok(onsets.every(onset => !onset.drop), 'a steady train has no drop');
+});
+
+test('detectOnsets places onsets on a known grid', () => {
+    const { samples, times } = kickTrain({ bpm: 120, start: 0.5, seconds: 6 });
+    const onsets = AudioAnalysis.detectOnsets(samples, SAMPLE_RATE, { bpm: 120, offset: 0.5 });
+
+    assert.strictEqual(onsets.length, times.length);
+    onsets.forEach((onset, i) => {
+        // === so that an onset a hair early, on beat -0, still counts as beat 0
+        assert.ok(onset.beat === i, `onset ${i} landed on beat ${onset.beat}`);
+        assert.strictEqual(onset.onGrid, true);
+    });
+});
+
+test('detectOnsets marks exactly one drop where a quiet section turns loud', () => {
+    const { samples } = kickTrain({ bpm: 120, start: 0.5, seconds: 16, level: time => (time < 8 ? 0.08 : 0.8) });
+    const drops = AudioAnalysis.detectOnsets(samples, SAMPLE_RATE).filter(onset => onset.drop);
+
+    assert.strictEqual(drops.length, 1);
+    assert.ok(Math.abs(drops[0].time - 8) <= TOLERANCE, `drop at ${drops[0].time.toFixed(3)}s, expected 8s`);
+});
+
+test('createOnsetDetector stays quiet on silence', () => {
+    const fftSize = AudioAnalysis.ONSET_DEFAULTS.fftSize;
+    const detector = AudioAnalysis.createOnsetDetector({ sampleRate: SAMPLE_RATE, fftSize });
+    const silence = new Float32Array(fftSize / 2);
+
+    for (let frame = 0; frame < 200; frame++) {
+        assert.strictEqual(detector.process(silence, frame * fftSize / 2 / SAMPLE_RATE), null);
+    }
+});
@@ -0,0 +1,617 @@
+// Switching tracks must not leak voices, audio nodes or listeners.
+//
+//   node --test tests/
+//
+// script.js is a browser script, so it runs here in a bare VM context with just enough
+// of the page, AudioContext and Audio stubbed for the player to work.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const AudioAnalysis = require('../analysis.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SWITCHES = 200;
+
+// Event targets that count what is attached to them
+class FakeTarget {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (this.listeners.has(type)) this.listeners.get(type).delete(listener);
+    }
+
+    listenerCount() {
+        let count = 0;
+        this.listeners.forEach(listeners => {
+            count += listeners.size;
+        });
+        return count;
+    }
+
+    dispatch(type, event = {}) {
+        (this.listeners.get(type) || []).forEach(listener => listener({ type, target: this, ...event }));
+    }
+}
+
+// Elements only as far as the player touches them. querySelector hands out one child per
+// selector, so a track always finds its canvas, buttons and labels.
+class FakeElement extends FakeTarget {
+    constructor() {
+        super();
+        this.children = new Map();
+        this.dataset = {};
+        this.style = {};
+        this.attributes = {};
+        this.classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => this.classes.add(name)),
+            remove: (...names) => names.forEach(name => this.classes.delete(name)),
+            contains: name => this.classes.has(name),
+            toggle: (name, force = !this.classes.has(name)) => {
+                if (force) this.classes.add(name);
+                else this.classes.delete(name);
+                return force;
+            }
+        };
+        this.textContent = '';
+        this.hidden = false;
+        this.width = 300;
+        this.height = 60;
+    }
+
+    querySelector(selector) {
+        if (!this.children.has(selector)) this.children.set(selector, new FakeElement());
+        return this.children.get(selector);
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    appendChild(child) {
+        return child;
+    }
+
+    append(...children) {
+        this.appended = (this.appended || []).concat(children);
+    }
+
+    // Keeps what was inserted after it, for tests to find
+    after(...nodes) {
+        this.following = nodes;
+    }
+
+    remove() {}
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width, height: this.height };
+    }
+
+    getContext() {
+        // Every drawing call is a no-op; gradients need an object back
+        return new Proxy({}, {
+            get: (target, key) => (key in target ? target[key] : () => ({ addColorStop() {} })),
+            set: (target, key, value) => {
+                target[key] = value;
+                return true;
+            }
+        });
+    }
+}
+
+class FakeParam {
+    constructor(value) {
+        this.value = value;
+    }
+
+    cancelScheduledValues() {}
+    setValueAtTime(value) {
+        this.value = value;
+    }
+    setValueCurveAtTime(curve) {
+        this.value = curve[curve.length - 1];
+    }
+}
+
+class FakeNode {
+    constructor(context) {
+        this.context = context;
+        this.outputs = new Set();
+        context.created.push(this);
+    }
+
+    connect(target) {
+        this.outputs.add(target);
+    }
+
+    disconnect() {
+        this.outputs.clear();
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.created = [];
+        this.currentTime = 0;
+        this.sampleRate = 44100;
+        this.state = 'running';
+        this.destination = new FakeNode(this);
+        FakeAudioContext.instances.push(this);
+    }
+
+    createGain() {
+        const node = new FakeNode(this);
+        node.gain = new FakeParam(1);
+        return node;
+    }
+
+    createAnalyser() {
+        const node = new FakeNode(this);
+        node.fftSize = 2048;
+        node.smoothingTimeConstant = 0.8;
+        Object.defineProperty(node, 'frequencyBinCount', { get: () => node.fftSize / 2 });
+        node.getByteFrequencyData = () => {};
+        node.getByteTimeDomainData = () => {};
+        node.getFloatFrequencyData = data => data.fill(-Infinity);
+        return node;
+    }
+
+    createMediaElementSource(audio) {
+        assert.ok(!audio.sourced, 'an element can only be wrapped in one source node');
+        audio.sourced = true;
+        return new FakeNode(this);
+    }
+
+    createBufferSource() {
+        const node = new FakeNode(this);
+        node.playbackRate = new FakeParam(1);
+        node.offsets = [];
+        node.start = (when, offset) => node.offsets.push(offset);
+        node.stop = () => {
+            node.stopped = true;
+        };
+        return node;
+    }
+
+    decodeAudioData() {
+        if (FakeAudioContext.decoded) return Promise.resolve(FakeAudioContext.decoded);
+        return Promise.reject(new Error('No decoder in tests'));
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    // Nodes still wired to something, i.e. audio that would keep being processed
+    connectedNodes() {
+        return this.created.filter(node => node.outputs.size > 0).length;
+    }
+}
+FakeAudioContext.instances = [];
+// What every decodeAudioData resolves to; while null it rejects
+FakeAudioContext.decoded = null;
+
+class FakeAudio extends FakeTarget {
+    constructor() {
+        super();
+        this.paused = true;
+        this.ended = false;
+        this.currentTime = 0;
+        this.duration = 120;
+        this.playbackRate = 1;
+        this.src = '';
+        FakeAudio.created.push(this);
+    }
+
+    play() {
+        this.paused = false;
+        FakeAudio.plays++;
+        return Promise.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    removeAttribute(name) {
+        if (name === 'src') this.src = '';
+    }
+
+    load() {}
+}
+FakeAudio.created = [];
+FakeAudio.plays = 0;
+
+// fetch answers 404 unless a test passes its own
+function loadScripts({ tracks = [], fetch = async () => ({ ok: false, status: 404, arrayBuffer: async () => new ArrayBuffer(0) }) } = {}) {
+    const noop = () => {};
+    // Errors are kept for the test to check; waveforms can't be decoded here and say so
+    const errors = [];
+    const storage = new Map();
+    const frames = new Map();
+    let nextFrame = 1;
+    const document = Object.assign(new FakeTarget(), {
+        currentScript: null,
+        baseURI: 'http://localhost/',
+        documentElement: new FakeElement(),
+        body: new FakeElement(),
+        // The page has no chrome here; only the tracks exist
+        querySelector: () => null,
+        querySelectorAll: selector => (selector === '.track' ? tracks : []),
+        createElement: () => new FakeElement()
+    });
+    const window = Object.assign(new FakeTarget(), {
+        AudioContext: FakeAudioContext,
+        innerWidth: 1280,
+        innerHeight: 800,
+        devicePixelRatio: 1,
+        location: { hash: '', href: 'http://localhost/' },
+        matchMedia: () => ({ matches: false, addEventListener: noop })
+    });
+    const context = vm.createContext({
+        console: { ...console, warn: noop, error: (...args) => errors.push(args.join(' ')) },
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        Audio: FakeAudio,
+        window,
+        document,
+        navigator: {},
+        history: { replaceState: noop },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        fetch,
+        requestAnimationFrame: callback => {
+            frames.set(nextFrame, callback);
+            return nextFrame++;
+        },
+        cancelAnimationFrame: id => frames.delete(id),
+        performance: { now: () => Date.now() }
+    });
+    for (const file of ['analysis.js', 'script.js']) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+
+    // Runs the callbacks waiting for the next animation frame
+    context.runFrame = () => {
+        const pending = Array.from(frames.values());
+        frames.clear();
+        pending.forEach(callback => callback(Date.now()));
+    };
+    context.pendingFrames = () => frames.size;
+    context.errors = errors;
+    return context;
+}
+
+function createTrack(i) {
+    const track = new FakeElement();
+    track.classList.add('track');
+    track.dataset.src = `beats/track-${i}.mp3`;
+    track.dataset.slug = `track-${i}`;
+    track.dataset.bpm = '140';
+    track.querySelector('.track-title').textContent = `Track ${i}`;
+    return track;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function engineSnapshot(engine, audioContext) {
+    return {
+        ...engine.stats(),
+        elements: FakeAudio.created.length,
+        attached: FakeAudio.created.reduce((count, audio) => count + audio.listenerCount(), 0),
+        connected: audioContext.connectedNodes()
+    };
+}
+
+test('PlaybackEngine counts stay flat across many track switches', async () => {
+    const context = loadScripts();
+    const PlaybackEngine = vm.runInContext('PlaybackEngine', context);
+    const audioContext = new FakeAudioContext();
+    const engine = new PlaybackEngine(audioContext);
+    await engine.pitchReady;
+
+    // Subscribers as AudioPlayer adds them, once, before any track plays
+    ['timeupdate', 'ended', 'loadedmetadata', 'seeking', 'pause', 'handoff'].forEach(type => engine.on(type, () => {}));
+
+    const src = i => `beats/track-${i % 7}.mp3`;
+    engine.load(src(0));
+    await engine.play();
+    const before = engineSnapshot(engine, audioContext);
+
+    for (let i = 1; i <= SWITCHES; i++) {
+        switch (i % 4) {
+            case 0:
+                // Plain switch
+                engine.load(src(i));
+                break;
+            case 1:
+                // Next track preloaded, then played from the idle voice
+                engine.preload(src(i));
+                engine.load(src(i));
+                break;
+            case 2:
+                // Crossfade that runs to the end
+                engine.crossfadeTo(src(i), 0.01);
+                await wait(15);
+                break;
+            default:
+                // Crossfade abandoned halfway by a manual pick
+                engine.crossfadeTo(src(i), 1);
+                engine.load(src(i + 1));
+        }
+        await engine.play();
+        engine.audio.dispatch('timeupdate');
+    }
+
+    assert.deepStrictEqual(engineSnapshot(engine, audioContext), before);
+    assert.strictEqual(engine.fade, null);
+    assert.strictEqual(FakeAudio.created.filter(audio => !audio.paused).length, 1, 'only the active voice plays');
+});
+
+test('AudioPlayer leaks nothing across many track switches', async () => {
+    const tracks = Array.from({ length: 6 }, (_, i) => createTrack(i));
+    const context = loadScripts({ tracks });
+    const player = vm.runInContext('new AudioPlayer()', context);
+    // init() is async; wait for it to finish wiring up the page
+    await wait(20);
+
+    const audioContext = FakeAudioContext.instances[FakeAudioContext.instances.length - 1];
+    const subscribers = () => {
+        let count = 0;
+        player.listeners.forEach(handlers => {
+            count += handlers.size;
+        });
+        return count;
+    };
+    const snapshot = () => ({
+        ...engineSnapshot(player.engine, audioContext),
+        playerSubscribers: subscribers(),
+        plugins: player.plugins.size,
+        frameCallbacks: player.frames.callbacks.size,
+        pendingFrames: context.pendingFrames(),
+        trackListeners: tracks.reduce((count, track) => count + track.querySelector('.waveform').listenerCount() +
+            track.querySelector('.play-button').listenerCount(), 0),
+        windowListeners: context.window.listenerCount(),
+        documentListeners: context.document.listenerCount()
+    });
+
+    // One full play/stop first, so anything set up lazily on first play exists already
+    await player.toggleTrack(tracks[0]);
+    context.runFrame();
+    player.stopTrack();
+    context.runFrame();
+    const before = snapshot();
+    const playsBefore = FakeAudio.plays;
+
+    for (let i = 1; i <= SWITCHES; i++) {
+        const track = tracks[i % tracks.length];
+        switch (i % 5) {
+            case 0:
+                // Pause and resume before moving on
+                await player.toggleTrack(track);
+                player.pauseTrack();
+                player.engine.audio.dispatch('pause');
+                player.resumeTrack();
+                break;
+            case 1:
+                // Crossfade into the next track, handing off halfway
+                await player.toggleTrack(track);
+                player.startCrossfade(tracks[(i + 1) % tracks.length], 0.01);
+                await wait(15);
+                break;
+            case 2:
+                // A track that fails to play is reset
+                await player.toggleTrack(track);
+                player.resetTrack(track);
+                break;
+            default:
+                await player.toggleTrack(track);
+        }
+        player.engine.audio.dispatch('timeupdate');
+        context.runFrame();
+    }
+    player.stopTrack();
+    context.runFrame();
+
+    assert.deepStrictEqual(snapshot(), before);
+    assert.ok(FakeAudio.plays - playsBefore > SWITCHES, 'tracks were not played');
+    assert.deepStrictEqual(context.errors.filter(error => !error.includes('waveform')), []);
+});
+
+test('Loop drags apply the latest pointer move once per frame', async () => {
+    const tracks = [createTrack(0)];
+    const context = loadScripts({ tracks });
+    const player = vm.runInContext('new AudioPlayer()', context);
+    await wait(20);
+
+    const track = tracks[0];
+    const canvas = track.querySelector('.waveform');
+    await player.toggleTrack(track);
+    const callbacks = player.frames.callbacks.size;
+
+    player.beginLoopDrag(track, canvas, 30, false);
+    [60, 90, 120].forEach(x => player.updateLoopDrag(x, false));
+    assert.ok(!player.loopFor(track), 'nothing is applied before the frame');
+    assert.strictEqual(player.frames.callbacks.size, callbacks + 1);
+
+    context.runFrame();
+    const loop = player.loopFor(track);
+    assert.deepStrictEqual([loop.start, loop.end], [12, 48]);
+    assert.deepStrictEqual({ ...player.engine.loop }, { start: 12, end: 48 });
+    assert.strictEqual(player.frames.callbacks.size, callbacks);
+
+    // A move still waiting for its frame is applied when the drag ends
+    player.updateLoopDrag(150, false);
+    assert.strictEqual(player.endLoopDrag(), true);
+    assert.strictEqual(player.loopFor(track).end, 60);
+    assert.strictEqual(player.frames.callbacks.size, callbacks);
+    player.destroy();
+});
+
+// An ID3v2.3 tag holding only a TKEY frame
+function keyTag(key) {
+    const text = Buffer.from(`\0${key}`, 'latin1');
+    const frame = Buffer.alloc(10 + text.length);
+    frame.write('TKEY', 0, 'latin1');
+    frame.writeUInt32BE(text.length, 4);
+    text.copy(frame, 10);
+    const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, frame.length]);
+    return Buffer.concat([header, frame]);
+}
+
+test('Without peaks files the key comes from the tag, or is detected from the audio', async () => {
+    const tracks = [createTrack(0), createTrack(1)];
+    const files = { 'beats/track-0.mp3': keyTag('F#m'), 'beats/track-1.mp3': Buffer.alloc(16) };
+    const fetch = async url => {
+        const file = files[url];
+        if (!file) return { ok: false, status: 404, arrayBuffer: async () => new ArrayBuffer(0) };
+        return { ok: true, status: 200, arrayBuffer: async () => file.buffer.slice(file.byteOffset, file.byteOffset + file.length) };
+    };
+    // Two seconds of an A major triad
+    const samples = new Float32Array(88200).map((_, i) => [440, 554.37, 659.26]
+        .reduce((sum, hz) => sum + 0.2 * Math.sin(2 * Math.PI * hz * i / 44100), 0));
+    FakeAudioContext.decoded = { duration: 2, sampleRate: 44100, getChannelData: () => samples };
+
+    try {
+        const context = loadScripts({ tracks, fetch });
+        vm.runInContext('new AudioPlayer()', context);
+        await wait(200);
+
+        const tagged = tracks[0].querySelector('.producer').following[0];
+        assert.strictEqual(tracks[0].dataset.key, 'F#m');
+        assert.strictEqual(tagged.textContent, 'F#m');
+        assert.ok(!tagged.classList.contains('detected'), 'a tagged key is shown as given');
+
+        const detected = AudioAnalysis.detectKey(samples, 44100);
+        const label = tracks[1].querySelector('.producer').following[0];
+        assert.strictEqual(tracks[1].dataset.key, detected.name);
+        assert.strictEqual(label.textContent, detected.name);
+        assert.ok(label.classList.contains('detected'));
+    } finally {
+        FakeAudioContext.decoded = null;
+    }
+});
+
+test('The metronome plays through the engine master', async () => {
+    const context = loadScripts();
+    const player = vm.runInContext('new AudioPlayer()', context);
+    await wait(20);
+
+    player.metronome.start();
+    player.metronome.stop();
+    assert.deepStrictEqual(Array.from(player.metronome.output.outputs), [player.engine.master]);
+});
+
+test('PlaybackEngine loops a region from a buffer source while the element wraps on a timer', async () => {
+    const context = loadScripts({ fetch: async () => ({ ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(8) }) });
+    const PlaybackEngine = vm.runInContext('PlaybackEngine', context);
+    const audioContext = new FakeAudioContext();
+    const buffer = { duration: 120 };
+    audioContext.decodeAudioData = async () => buffer;
+    const engine = new PlaybackEngine(audioContext);
+    await engine.pitchReady;
+    const connected = audioContext.connectedNodes();
+
+    engine.load('beats/a.mp3');
+    await engine.play();
+    const audio = engine.audio;
+    audio.currentTime = 10;
+    engine.setLoop({ start: 10, end: 10.05 });
+    // Decoding the track
+    await wait(0);
+
+    const { source } = engine.looper;
+    assert.strictEqual(source.buffer, buffer);
+    assert.strictEqual(source.loop, true);
+    assert.deepStrictEqual([source.loopStart, source.loopEnd, ...source.offsets], [10, 10.05, 10]);
+    assert.strictEqual(engine.voice.gain.gain.value, 0, 'the element is muted under the buffer source');
+
+    // The element runs past B; the timer brings it back without touching the buffer source
+    audio.currentTime = 10.06;
+    await wait(70);
+    assert.ok(Math.abs(audio.currentTime - 10.01) < 1e-6, `element at ${audio.currentTime}`);
+    audio.dispatch('seeked');
+    assert.strictEqual(engine.looper.source, source);
+    assert.strictEqual(source.offsets.length, 1);
+    assert.strictEqual(context.pendingFrames(), 0, 'no animation frames are involved');
+
+    // Moving an edge updates the running source
+    engine.setLoop({ start: 9, end: 10.05 });
+    assert.strictEqual(engine.looper.source, source);
+    assert.strictEqual(source.loopStart, 9);
+
+    audio.pause();
+    audio.dispatch('pause');
+    assert.strictEqual(engine.looper, null);
+    assert.strictEqual(source.stopped, true);
+    assert.strictEqual(engine.voice.gain.gain.value, 1);
+    assert.strictEqual(audioContext.connectedNodes(), connected);
+    engine.destroy();
+});
+
+test('PlaybackEngine loops by seeking the element until the track is decoded', async () => {
+    const context = loadScripts();
+    const PlaybackEngine = vm.runInContext('PlaybackEngine', context);
+    const engine = new PlaybackEngine(new FakeAudioContext());
+
+    engine.load('beats/a.mp3');
+    await engine.play();
+    engine.setLoop({ start: 4, end: 4.02 });
+    await wait(0);
+    assert.strictEqual(engine.looper, null);
+
+    // Seeked to just short of B
+    engine.audio.currentTime = 4.015;
+    engine.audio.dispatch('seeked');
+    await wait(40);
+    assert.strictEqual(engine.audio.currentTime, 4);
+
+    // A new source drops the loop
+    engine.load('beats/b.mp3');
+    assert.strictEqual(engine.loop, null);
+    engine.destroy();
+});
+
+test('PlaybackEngine.destroy releases everything', async () => {
+    const context = loadScripts();
+    const PlaybackEngine = vm.runInContext('PlaybackEngine', context);
+    const audioContext = new FakeAudioContext();
+    const engine = new PlaybackEngine(audioContext);
+    engine.on('timeupdate', () => {});
+    engine.load('beats/a.mp3');
+    engine.crossfadeTo('beats/b.mp3', 1);
+
+    const elements = FakeAudio.created.slice(-2);
+    engine.destroy();
+
+    assert.deepStrictEqual({ ...engine.stats() }, { voices: 0, nodes: 0, mediaListeners: 0, subscribers: 0 });
+    assert.strictEqual(audioContext.connectedNodes(), 0);
+    elements.forEach(audio => assert.strictEqual(audio.listenerCount(), 0));
+});
@@ -0,0 +1,104 @@
+// Tempo estimation on click tracks, and reading BPMs out of file names.
+//
+//   node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const AudioAnalysis = require('../analysis.js');
+
+// What scripts/verify-bpm.js decodes at
+const SAMPLE_RATE = 22050;
+const SECONDS = 20;
+
+// Decaying 1 kHz clicks on every beat, accented on the one. hats adds noise bursts on
+// the off-beats.
+function clickTrack(bpm, { hats = false } = {}) {
+    const samples = new Float32Array(SECONDS * SAMPLE_RATE);
+    const beat = 60 / bpm;
+    let seed = 1;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 * 2 - 1;
+    };
+    const hit = (time, frequency, decay, amplitude) => {
+        const offset = Math.round(time * SAMPLE_RATE);
+        for (let i = 0; i < SAMPLE_RATE * 0.15 && offset + i < samples.length; i++) {
+            const t = i / SAMPLE_RATE;
+            const wave = frequency ? Math.sin(2 * Math.PI * frequency * t) : noise();
+            samples[offset + i] += amplitude * Math.exp(-t * decay) * wave;
+        }
+    };
+
+    for (let n = 0; n * beat < SECONDS - 0.2; n++) {
+        hit(n * beat, 1000, 60, n % 4 === 0 ? 0.8 : 0.5);
+        if (hats) hit(n * beat + beat / 2, 0, 120, 0.15);
+    }
+    return samples;
+}
+
+for (const bpm of [90, 128, 140, 165]) {
+    test(`estimateTempo finds ${bpm} BPM in a click track`, () => {
+        const tempo = AudioAnalysis.estimateTempo(clickTrack(bpm), SAMPLE_RATE);
+
+        assert.ok(Math.abs(tempo.bpm - bpm) <= 1, `estimated ${tempo.bpm} BPM`);
+        assert.ok(tempo.confidence > 0.5, `confidence ${tempo.confidence}`);
+        assert.strictEqual(AudioAnalysis.compareTempo(tempo.bpm, bpm), 'match');
+    });
+}
+
+test('estimateTempo ignores off-beat hats', () => {
+    const tempo = AudioAnalysis.estimateTempo(clickTrack(140, { hats: true }), SAMPLE_RATE);
+    assert.ok(Math.abs(tempo.bpm - 140) <= 1, `estimated ${tempo.bpm} BPM`);
+});
+
+test('estimateTempo returns null without a beat', () => {
+    assert.strictEqual(AudioAnalysis.estimateTempo(new Float32Array(SAMPLE_RATE * 5), SAMPLE_RATE), null);
+    assert.strictEqual(AudioAnalysis.estimateTempo(new Float32Array(100), SAMPLE_RATE), null);
+});
+
+test('compareTempo tells half-time, double-time and mismatches apart', () => {
+    // A 70 BPM beat labelled 140, and a 150 BPM one labelled 75
+    const slow = AudioAnalysis.estimateTempo(clickTrack(70), SAMPLE_RATE);
+    assert.strictEqual(AudioAnalysis.compareTempo(slow.bpm, 140), 'half-time');
+    const fast = AudioAnalysis.estimateTempo(clickTrack(150), SAMPLE_RATE);
+    assert.strictEqual(AudioAnalysis.compareTempo(fast.bpm, 75), 'double-time');
+    const other = AudioAnalysis.estimateTempo(clickTrack(136), SAMPLE_RATE);
+    assert.strictEqual(AudioAnalysis.compareTempo(other.bpm, 128), 'mismatch');
+
+    assert.strictEqual(AudioAnalysis.compareTempo(141, 140), 'match');
+    assert.strictEqual(AudioAnalysis.compareTempo(144, 140), 'mismatch');
+    assert.strictEqual(AudioAnalysis.compareTempo(144, 140, 0.05), 'match');
+    assert.strictEqual(AudioAnalysis.compareTempo(100, 140), 'mismatch');
+});
+
+test('parseBpmFromFilename reads the BPM either side of "bpm"', () => {
+    const cases = {
+        'coconut water 140BPM Girmai Fleur Delis .mp3': 140,
+        '140bpm.mp3': 140,
+        'loop 140 bpm.mp3': 140,
+        'loop 140-bpm.mp3': 140,
+        'trap 85.5bpm.mp3': 85.5,
+        'beat bpm 92.mp3': 92,
+        'BPM_92 dark.mp3': 92,
+        'Bpm-174 final.mp3': 174
+    };
+    for (const [name, bpm] of Object.entries(cases)) {
+        assert.strictEqual(AudioAnalysis.parseBpmFromFilename(name), bpm, name);
+    }
+});
+
+test('parseBpmFromFilename ignores numbers that are not BPMs', () => {
+    const names = [
+        'track 12.mp3',
+        'summer 2024 mix.mp3',
+        'beat 140.mp3',
+        '1400bpm.mp3',
+        'bpm 1400.mp3',
+        '10bpm.mp3',
+        'fast 320bpm.mp3',
+        'bpm.mp3',
+        'Girmai.mp3'
+    ];
+    for (const name of names) {
+        assert.strictEqual(AudioAnalysis.parseBpmFromFilename(name), null, name);
+    }
+});